@@ -0,0 +1,120 @@
+/* ***********************************************************************************************
+// This file contains the screen reader support for The Arrow Game.
+//
+// The cells of the grid are laid out in columns (see buildGrid in main.js), but screen readers
+// expect grids to be read row by row. So addGridSemantics builds a row element for each row of the
+// grid, which takes ownership of that row's cells through aria-owns, and leaves the columns out of
+// the accessibility tree. Each cell is labelled with the name of its arrow (see arrow_names in
+// rules.js) whenever it's drawn.
+//
+// Everything else the user would otherwise have to watch for (drops, grid actions, score,
+// swaps, and the end of the game) is read out through a live region. See announce.
+//
+// *********************************************************************************************** */
+
+// Announcer fields.
+let announcements = [], // Messages waiting to be read out.
+    announcement_timer = null;
+
+const announcement_delay = 100; // ms. Messages made within this time of each other are read together.
+
+
+/* **************************************************
+// Gives the grid, its cells, and the next arrows
+// their roles and labels. Called by buildGrid whenever
+// the cells are (re)built.
+// ************************************************** */
+function addGridSemantics(
+){
+  let ag_grid = document.getElementById('ag_grid')
+  ag_grid.setAttribute('role', 'grid')
+  ag_grid.setAttribute('aria-label', 'Arrow grid')
+  ag_grid.setAttribute('aria-rowcount', grid_size)
+  ag_grid.setAttribute('aria-colcount', grid_size)
+
+  for(let j = 0; j < grid_size; ++j) { document.getElementById('col-' + j.toString()).setAttribute('role', 'presentation') }
+
+  for(let i = 0; i < grid_size; ++i)
+  {
+    let row = document.createElement('div'),
+        owned = [];
+
+    for(let j = 0; j < grid_size; ++j)
+    {
+      let container = get_cell_container(grid_id(i,j))
+      container.setAttribute('role', 'gridcell')
+      container.setAttribute('aria-colindex', j+1)
+      get_cell(grid_id(i,j)).setAttribute('aria-hidden', 'true')
+      owned.push(container.id)
+    }
+
+    row.setAttribute('role', 'row')
+    row.setAttribute('aria-rowindex', i+1)
+    row.setAttribute('aria-owns', owned.join(' '))
+    ag_grid.appendChild(row)
+  }
+
+  document.getElementById('next_arrow').setAttribute('role', 'button')
+  document.getElementById('next_next_arrow').setAttribute('role', 'img')
+}
+
+
+// Labels cell k with the name of the arrow drawn in it.
+function labelCell( k, content
+){ get_cell_container(k).setAttribute('aria-label', arrow_names[content]) }
+
+
+// Labels the next arrow and the preview with the names of their arrows.
+function labelNextArrows(
+){
+  document.getElementById('next_arrow').setAttribute('aria-label', "Next arrow: " + arrow_names[next_arrow])
+  document.getElementById('next_next_arrow').setAttribute('aria-label', "After that: " + arrow_names[next_next_arrow])
+}
+
+
+/* **************************************************
+// Reads a message out through the live region.
+// Messages made in quick succession (e.g. an action
+// and the game over that follows it) are read out
+// together, rather than cutting each other off.
+// ************************************************** */
+function announce( message
+){
+  announcements.push(message)
+  if(announcement_timer !== null) { return }
+
+  // Clearing the region first makes screen readers repeat a message that's the same as the last one.
+  document.getElementById('announcer').textContent = ""
+  announcement_timer = setTimeout( () => {
+    document.getElementById('announcer').textContent = announcements.join(" ")
+    announcements = []
+    announcement_timer = null
+  }, announcement_delay)
+}
+
+
+// Describes a grid action for announce. e.g. "Combined up and down for 8 points."
+function describeAction( action // Merge, Combine, or Cancel.
+                       , src_content, dest_content, points
+){
+  let verb = action === Merge? "Merged" : action === Combine? "Combined" : "Cancelled";
+  return verb + " " + arrow_names[src_content] + " and " + arrow_names[dest_content] + " for " + points.toString() + " points."
+}
+
+
+// Describes the number of swaps left for announce.
+function describeSwaps(
+){ return board.spins_remaining === 1? "1 swap left." : board.spins_remaining.toString() + " swaps left." }
+
+
+// Describes a hint for announce. e.g. "Hint: drop the next arrow in column 3."
+function describeHint( move // A move from parseMove.
+){
+  if(move.type === "drop") { return "Hint: drop the next arrow in column " + (move.column+1).toString() + "." }
+
+  let [src_i, src_j] = grid_indices(move.src),
+      [dest_i, dest_j] = grid_indices(move.dest);
+
+  return "Hint: drag the " + arrow_names[grid[move.src]] + " in row " + (src_i+1).toString() + ", column " + (src_j+1).toString()
+       + " onto the " + arrow_names[grid[move.dest]] + " in row " + (dest_i+1).toString() + ", column " + (dest_j+1).toString() + "."
+}
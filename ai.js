@@ -0,0 +1,151 @@
+/* ***********************************************************************************************
+// This file contains the bots for The Arrow Game.
+//
+// A bot is a strategy: a function that takes a game (see the Playing moves section of rules.js)
+// and returns the encoded move to play next, or null if it has none. playGame plays a whole game
+// with a strategy, and returns its move log, so a bot's game can be watched in the replay viewer
+// just like the user's own (see watchBot in replay.js).
+//
+// There are two strategies, in ai_strategies:
+//   - greedy plays whatever scores the most right away.
+//   - search looks search_depth moves ahead (swaps included), and plays the move that leads to
+//     the best position. See evaluateGame.
+//
+// Both play by the rules alone, with no dependence on the page, so tools/simulate.js can run them
+// under Node over thousands of seeds. Note that the bots know the arrows to come, since the
+// generator is part of the game. So they play a little better than a person could.
+//
+// *********************************************************************************************** */
+
+// Bot fields.
+const search_depth = 2, // The number of moves that the search strategy looks ahead.
+      max_bot_moves = 5000; // Games longer than this are cut short by playGame.
+
+// How much evaluateGame values each thing besides points.
+const bot_weights = { options: 6 // Each grid action available.
+                    , room: 2 // Each empty cell.
+                    , spins: 10 // Each swap left.
+                    , stuck: -1000 } // Having no moves at all.
+
+
+/* **************************************************
+// Returns how good a position is for the bots: its
+// score, plus something for the grid actions, room
+// and swaps that it leaves to earn more points with.
+// ************************************************** */
+function evaluateGame( game
+){
+  let options = legalActions(game.grid).length,
+      room = game.grid.filter(content => content === 0).length;
+
+  if(options === 0 && room === 0) { return game.score + bot_weights.stuck }
+  return game.score + bot_weights.options * options + bot_weights.room * room + bot_weights.spins * game.spins
+}
+
+
+/* **************************************************
+// Returns the moves that the bots consider in a game:
+// every drop and grid action, and a swap if there's
+// one left and it would change the next arrow.
+// ************************************************** */
+function botMoves( game
+                 , allow_swap = true
+){
+  let moves = legalMoves(game)
+  if(allow_swap && game.spins > 0 && game.next_arrow !== game.next_next_arrow && game.next_next_arrow !== 0) { moves.push(swap_move) }
+  return moves
+}
+
+
+/* **************************************************
+// The greedy strategy. Plays the move that scores the
+// most right away. Ties go to the move that leaves
+// the best position (see evaluateGame). Never swaps.
+// ************************************************** */
+function greedyMove( game
+){
+  let best = null
+
+  for(let move of legalMoves(game))
+  {
+    let next = applyMove(game, move),
+        candidate = { move: move, points: next.score - game.score, value: evaluateGame(next) };
+
+    if(best === null || candidate.points > best.points || (candidate.points === best.points && candidate.value > best.value))
+    { best = candidate }
+  }
+  return best === null? null : best.move
+}
+
+
+/* **************************************************
+// Returns the value (see evaluateGame) of the best
+// position that can be reached within depth moves of
+// the given game. Two swaps in a row are skipped, as
+// they'd only undo each other.
+// ************************************************** */
+function searchValue( game, depth
+                    , allow_swap = true
+){
+  if(depth <= 0) { return evaluateGame(game) }
+
+  let moves = botMoves(game, allow_swap)
+  if(moves.length === 0) { return evaluateGame(game) }
+
+  let best = -Infinity
+  for(let move of moves) { best = Math.max(best, searchValue(applyMove(game, move), depth-1, move !== swap_move)) }
+  return best
+}
+
+
+/* **************************************************
+// The search strategy. Plays the move that leads to
+// the best position within search_depth moves. Ties
+// go to the move that scores the most right away.
+// ************************************************** */
+function searchMove( game
+                   , depth = search_depth
+){
+  let best = null
+
+  for(let move of botMoves(game))
+  {
+    let next = applyMove(game, move),
+        candidate = { move: move, value: searchValue(next, depth-1, move !== swap_move), points: next.score - game.score };
+
+    if(best === null || candidate.value > best.value || (candidate.value === best.value && candidate.points > best.points))
+    { best = candidate }
+  }
+  return best === null? null : best.move
+}
+
+
+const ai_strategies = { greedy: greedyMove, search: searchMove }
+
+
+/* **************************************************
+// Plays a whole game from the given seed with the
+// given strategy, until the game is over (see
+// isGameOver) or the strategy has no move. Returns
+// { seed, moves, score, drops, game }, where moves is
+// the move log and game is the final position.
+// ************************************************** */
+function playGame( seed
+                 , strategy // A function from ai_strategies.
+){
+  let game = newGame(seed),
+      moves = [],
+      drops = 0;
+
+  while(moves.length < max_bot_moves && !isGameOver(game))
+  {
+    let move = strategy(game)
+    if(move === null) { break }
+
+    game = applyMove(game, move)
+    moves.push(move)
+    if(parseMove(move).type === "drop") { ++drops }
+  }
+
+  return { seed: seed, moves: moves, score: game.score, drops: drops, game: game }
+}
@@ -0,0 +1,388 @@
+/* ***********************************************************************************************
+// This file contains the level editor for The Arrow Game.
+//
+// The editor makes puzzle levels (see levels.js) on the page's own grid. While it's open, clicking
+// a grid cell paints the arrow picked in the palette into it (the empty swatch erases), and the
+// grid settles after every stroke, so a level never has arrows floating over empty cells. The
+// queue of arrows, swaps and goal are set in the editor panel, and the first two arrows of the
+// queue are shown as the next arrows.
+//
+// Like the replay viewer, the editor sets the user's own game aside while it has the grid, and
+// puts it back when it's closed. Its draft can be checked for a solution (see solveLevel), tested
+// (which starts a puzzle game on it, in place of the user's game), and exported as a level file.
+// The Editor button of the level select picks the draft back up after a test.
+//
+// *********************************************************************************************** */
+
+// Editor fields.
+let editing = false, // True while the editor has the grid.
+    editor_backup = null, // The user's own game. Restored by closeEditor.
+    editor_arrow = arrows[0], // The arrow that clicks paint, or 0 to erase.
+    editor_queue = []; // The queue of the draft. See levels.js.
+
+
+/* **************************************************
+// Opens the editor. Its draft starts from the given
+// level, or from the board of the current game (its
+// grid, next arrows and swaps), if there's no level.
+// ************************************************** */
+function openEditor( level = null
+){
+  if(replaying || editing) { return false }
+
+  // Set the user's own game aside. The blitz timer waits for it.
+  pauseTimer()
+  settleFalls()
+  clearHint()
+  editor_backup = { snapshot: takeSnapshot()
+                  , size: grid_size
+                  , move_log: move_log
+                  , undo_stack: undo_stack
+                  , redo_stack: redo_stack
+                  , undos_remaining: undos_remaining }
+  editing = true
+
+  // Levels are made for the default rules (see loadNewGame), so Check solves them by those.
+  setRuleSet(null)
+
+  if(level !== null) { loadEditorLevel(level) }
+  else
+  {
+    editor_queue = [next_arrow, next_next_arrow].filter(content => content !== 0)
+    document.getElementById('editor-name').value = ""
+    setEditorGoal({ type: "clear" })
+  }
+
+  hideLevelSelect()
+  buildEditorPalette()
+  updateEditorFields()
+  setEditorStatus("")
+  document.getElementById('level-editor').style.display = 'block'
+  return true
+}
+
+
+/* **************************************************
+// Closes the editor and restores the user's own game.
+// The draft is lost, unless it was exported.
+// ************************************************** */
+function closeEditor(
+){
+  if(!editing) { return }
+
+  move_log = editor_backup.move_log
+  resizeGrid(editor_backup.size)
+  restoreSnapshot(editor_backup.snapshot)
+  undo_stack = editor_backup.undo_stack
+  redo_stack = editor_backup.redo_stack
+  undos_remaining = editor_backup.undos_remaining
+  updateUndoLabel()
+
+  leaveEditor()
+  startTimer()
+}
+
+
+// Hides the editor, and forgets the game that it set aside. Used when a new game replaces that game.
+function leaveEditor(
+){
+  editing = false
+  editor_backup = null
+  document.getElementById('level-editor').style.display = 'none'
+}
+
+
+// Puts a level into the editor: its grid, queue, swaps, name and goal.
+function loadEditorLevel( level
+){
+  resizeGrid(level.size)
+  grid = level.grid.flat()
+  renderGrid()
+
+  editor_queue = level.queue.slice()
+  board.spins_remaining = level.spins
+  document.getElementById('editor-name').value = level.name
+  setEditorGoal(level.goal)
+}
+
+
+/* **************************************************
+// Returns the level in the editor. Its id is made
+// from its name. It may not pass validateLevel.
+// ************************************************** */
+function editorLevel(
+){
+  let name = document.getElementById('editor-name').value.trim(),
+      rows = [];
+
+  for(let i = 0; i < grid_size; ++i) { rows.push(grid.slice(i*grid_size, (i+1)*grid_size)) }
+
+  return { id: name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "custom"
+         , name: name === ""? "Custom Level" : name
+         , size: grid_size
+         , grid: rows
+         , queue: editor_queue.slice()
+         , spins: board.spins_remaining
+         , goal: editorGoal() }
+}
+
+
+/* ******************************************************************************************************** */
+// Painting.
+
+
+/* **************************************************
+// Paints editor_arrow into cell k, and settles the
+// grid. Called by the grid's pointer listener (see
+// addGridPointerListener in main.js) while editing.
+// ************************************************** */
+function paintCell( k
+){
+  grid[k] = editor_arrow
+  grid = resolveGravity(grid).grid
+  renderGrid()
+  setEditorStatus("")
+}
+
+
+// Fills the whole grid with the arrow picked in the palette. See fillWithNs in main.js.
+function fillEditorGrid(
+){ fillWithNs(editor_arrow); setEditorStatus("") }
+
+
+// Puts one of each arrow into the grid, and settles it. See loadEachArrow in main.js.
+function loadEachEditorArrow(
+){
+  loadEachArrow()
+  grid = resolveGravity(grid).grid
+  renderGrid()
+  setEditorStatus("")
+}
+
+
+// Picks the arrow that clicks paint.
+function pickEditorArrow( content // An arrow, or 0 to erase.
+){
+  editor_arrow = content
+  buildEditorPalette()
+}
+
+
+/* **************************************************
+// Draws the palette: a swatch for each arrow, and an
+// empty one for erasing. The picked one is outlined.
+// ************************************************** */
+function buildEditorPalette(
+){
+  let palette = document.getElementById('editor-palette')
+  palette.replaceChildren()
+
+  for(let content of [0].concat(arrows))
+  {
+    let swatch = document.createElement('div')
+    swatch.className = "editor-swatch" + (content === editor_arrow? " editor-swatch-picked" : "")
+    swatch.style.backgroundImage = arrow_path(content)
+    swatch.title = arrow_names[content]
+    swatch.onclick = () => pickEditorArrow(content)
+    palette.appendChild(swatch)
+  }
+}
+
+
+/* ******************************************************************************************************** */
+// Queue, swaps and goal.
+
+
+// Adds the arrow picked in the palette to the end of the queue.
+function queueEditorArrow(
+){
+  if(editor_arrow === 0) { return }
+  editor_queue.push(editor_arrow)
+  updateEditorFields()
+}
+
+
+// Takes the arrow at the given position out of the queue.
+function unqueueEditorArrow( position
+){
+  editor_queue.splice(position, 1)
+  updateEditorFields()
+}
+
+
+function clearEditorQueue(
+){
+  editor_queue = []
+  updateEditorFields()
+}
+
+
+// Sets the swaps of the draft from the swaps input.
+function setEditorSpins( value
+){
+  let spins = parseInt(value)
+  board.spins_remaining = isNaN(spins) || spins < 0? 0 : spins
+  updateEditorFields()
+}
+
+
+/* **************************************************
+// Shows the queue, swaps and size of the draft. The
+// first two arrows of the queue are shown as the next
+// arrows, as they will be when the level is played.
+// ************************************************** */
+function updateEditorFields(
+){
+  let queue = document.getElementById('editor-queue')
+  queue.replaceChildren()
+
+  editor_queue.forEach((content, position) => {
+    let swatch = document.createElement('div')
+    swatch.className = "editor-swatch"
+    swatch.style.backgroundImage = arrow_path(content)
+    swatch.title = arrow_names[content] + " (click to remove)"
+    swatch.onclick = () => unqueueEditorArrow(position)
+    queue.appendChild(swatch)
+  })
+
+  overrideNextArrows(editor_queue.length > 0? editor_queue[0] : 0, editor_queue.length > 1? editor_queue[1] : 0)
+  document.getElementById('swap-label').innerHTML = board.spins_remaining.toString()
+  document.getElementById('editor-spins').value = board.spins_remaining.toString()
+  document.getElementById('editor-size').value = grid_size.toString()
+  setEditorStatus("")
+}
+
+
+// Resizes the grid of the draft, which empties it.
+function setEditorSize( size
+){
+  resizeGrid(parseInt(size))
+  updateEditorFields()
+}
+
+
+// Returns the goal set in the goal inputs. See goalMet in rules.js.
+function editorGoal(
+){
+  let type = document.getElementById('editor-goal').value
+
+  if(type === "create") { return { type: type, arrow: parseInt(document.getElementById('editor-goal-arrow').value) } }
+  if(type === "score") { return { type: type, score: parseInt(document.getElementById('editor-goal-score').value) } }
+  return { type: type }
+}
+
+
+// Sets the goal inputs to a goal, and shows the inputs that it needs.
+function setEditorGoal( goal
+){
+  let arrow_select = document.getElementById('editor-goal-arrow')
+  if(arrow_select.children.length === 0)
+  {
+    for(let content of arrows)
+    {
+      let option = document.createElement('option')
+      option.value = content.toString()
+      option.textContent = arrow_names[content]
+      arrow_select.appendChild(option)
+    }
+  }
+
+  document.getElementById('editor-goal').value = goal.type
+  if(goal.type === "create") { arrow_select.value = goal.arrow.toString() }
+  if(goal.type === "score") { document.getElementById('editor-goal-score').value = goal.score.toString() }
+  updateEditorGoal()
+}
+
+
+// Shows the inputs that the picked goal needs. Handles the goal picker.
+function updateEditorGoal(
+){
+  let type = document.getElementById('editor-goal').value
+  document.getElementById('editor-goal-arrow').style.display = type === "create"? 'inline' : 'none'
+  document.getElementById('editor-goal-score').style.display = type === "score"? 'inline' : 'none'
+  setEditorStatus("")
+}
+
+
+/* ******************************************************************************************************** */
+// Checking, testing and exporting.
+
+
+function setEditorStatus( text
+){ document.getElementById('editor-status').textContent = text }
+
+
+/* **************************************************
+// Checks that the draft can be played (see
+// validateLevel), and that some sequence of moves
+// meets its goal (see solveLevel). Shows the shortest
+// such sequence. Returns true iff there is one.
+// ************************************************** */
+function checkEditorLevel(
+){
+  let level = editorLevel(),
+      problems = validateLevel(level);
+
+  if(problems.length > 0) { setEditorStatus(problems.join(" ")); return false }
+
+  let solution = solveLevel(level)
+  if(solution.moves !== null)
+  { setEditorStatus("Solvable in " + solution.moves.length.toString() + " moves: " + solution.moves.join(" ")) }
+  else if(solution.complete) { setEditorStatus("No sequence of moves reaches the goal.") }
+  else { setEditorStatus("No solution found within " + level_solver_node_limit.toString() + " positions. The level may still be solvable.") }
+
+  return solution.moves !== null
+}
+
+
+/* **************************************************
+// Plays the draft as a puzzle game. This replaces the
+// user's own game, so playLevel asks first (unless
+// that game is over or a puzzle). The draft can be
+// picked back up from the level select.
+// ************************************************** */
+function testEditorLevel(
+){
+  let level = editorLevel(),
+      problems = validateLevel(level);
+
+  if(problems.length > 0) { setEditorStatus(problems.join(" ")); return false }
+  return playLevel(level)
+}
+
+
+// Copies the draft to the clipboard as a level file, to be saved in the levels directory.
+function exportEditorLevel(
+){
+  let level = editorLevel(),
+      problems = validateLevel(level);
+
+  if(problems.length > 0) { setEditorStatus(problems.join(" ")); return false }
+
+  navigator.clipboard.writeText(levelJSON(level))
+  setEditorStatus("Copied " + level.id + ".json to the clipboard. Save it in the levels directory, and add it to levels/index.json.")
+  return true
+}
+
+
+// Asks for a level file, and puts it into the editor.
+function importEditorLevel(
+){
+  let text = window.prompt("Paste a level file:")
+  if(text === null || text.trim() === "") { return false }
+
+  let level = null
+  try { level = JSON.parse(text) } catch(e) { setEditorStatus("This isn't valid JSON."); return false }
+
+  let problems = validateLevel(level)
+  if(problems.length > 0) { setEditorStatus(problems.join(" ")); return false }
+
+  loadEditorLevel(level)
+  updateEditorFields()
+  return true
+}
+
+
+// Handles the Editor button of the level select. After testing a draft, picks it back up.
+function editorButtonClicked(
+){ openEditor(game_mode === "puzzle" && current_level !== null? current_level : null) }
@@ -0,0 +1,73 @@
+/* ***********************************************************************************************
+// This file contains the game history of The Arrow Game.
+//
+// Every finished game (puzzle levels and versus games aside, see levels.js and versus.js) is
+// recorded in local storage under game_history_key, as a list of records, oldest first:
+//
+//   { ended_at      - When the game ended, in ms since the epoch.
+//   , mode          - "classic", "daily", "blitz", "arrows" or "race". See game_mode in main.js.
+//   , size          - The number of cells on a side of the grid.
+//   , rules         - The id of the variant that the game was played by (see variants.js), or null
+//                     for the default rules. Games recorded before there were variants have none.
+//   , score
+//   , hints         - Hints used. See showHint in main.js.
+//   , arrows_placed - Arrows dropped into the grid.
+//   , merges, combines, cancels
+//   , swaps         - Swaps used.
+//   , star_swaps    - Swaps earned by cancelling two stars.
+//   , duration }    - ms of play. See play_time in newGameStats.
+//
+// Only the last max_history games are kept. The stats page (stats/) draws its averages, bests,
+// histogram and trend from the history. This file doesn't touch the page, so that both the game
+// and the stats page can load it.
+//
+// *********************************************************************************************** */
+
+const game_history_key = 'game_history',
+      max_history = 1000, // Older games are dropped from the history.
+      idle_limit = 60000; // ms. See newGameStats.
+
+
+/* **************************************************
+// Returns the stats of a game that hasn't started:
+// the stats that the game keeps as it's played (see
+// game_stats in main.js), and which go into its
+// record. play_time counts the time between moves,
+// up to idle_limit each, so that time spent away
+// from the game isn't counted. recorded is set once
+// the game is in the history.
+// ************************************************** */
+function newGameStats(
+){ return { arrows_placed: 0, merges: 0, combines: 0, cancels: 0, swaps: 0, star_swaps: 0, play_time: 0, recorded: false } }
+
+
+// Returns the recorded games, oldest first. A damaged history is reported and ignored, as are damaged records.
+function readGameHistory(
+){
+  let history = null
+  try { history = JSON.parse(window.localStorage.getItem(game_history_key) || "[]") } catch(e) { history = null }
+
+  if(!Array.isArray(history)) { console.warn("The game history is corrupt, and has been ignored."); return [] }
+  return history.filter(record => record !== null && typeof record === "object" && Number.isFinite(record.ended_at) && Number.isFinite(record.score))
+}
+
+
+/* **************************************************
+// Adds a game to the history, dropping the oldest
+// games past max_history.
+// ************************************************** */
+function recordGame( record
+){
+  let history = readGameHistory()
+  history.push(record)
+  window.localStorage.setItem(game_history_key, JSON.stringify(history.slice(-max_history)))
+}
+
+
+// Checks the stats of a game, as kept in a save document. Returns true iff they can be loaded.
+function validGameStats( stats
+){
+  if(stats === null || typeof stats !== "object") { return false }
+  return Object.entries(newGameStats()).every(([field, value]) =>
+    typeof value === "boolean"? typeof stats[field] === "boolean" : Number.isInteger(stats[field]) && stats[field] >= 0)
+}
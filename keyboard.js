@@ -0,0 +1,211 @@
+/* ***********************************************************************************************
+// This file contains the keyboard controls for The Arrow Game.
+//
+// The game can be played without a mouse or touch screen:
+//   - The number keys (1-5 on the 5x5 grid), or the left and right arrow keys while the next
+//     arrow has focus, choose the column that the next arrow will be dropped into. The cell that
+//     it would land in is highlighted.
+//   - Enter (or space) on the next arrow drops it into the chosen column.
+//   - S swaps the next arrows. Z undoes the last move, and Y redoes it. H shows a hint.
+//   - Tab moves focus between the next arrow and the grid. In the grid, the arrow keys move a
+//     cursor between cells. Enter (or space) selects the arrow under the cursor. Move the cursor
+//     to a neighbouring cell (diagonals take two key presses) and press Enter again to drag the
+//     selected arrow onto it, which attempts a Merge, Combine, or Cancel. Escape drops the
+//     selection.
+//
+// *********************************************************************************************** */
+
+// Keyboard fields.
+let keyboard_column = 0, // The column that the next arrow is dropped into.
+    keyboard_cursor = 0, // The cell under the grid cursor.
+    keyboard_source = null, // The cell selected for a grid action, or null.
+    keyboard_highlighted = ""; // The id of the cell container highlighted as the drop target.
+
+
+/* **************************************************
+// Makes the next arrow focusable, and adds the
+// keyboard listener.
+// ************************************************** */
+function addKeyboardListener(
+){
+  let na = document.getElementById('next_arrow')
+  na.tabIndex = 0
+  na.addEventListener('focus', updateDropHighlighting)
+  na.addEventListener('blur', updateDropHighlighting)
+
+  document.addEventListener('keydown', onKeyDown)
+}
+
+
+/* **************************************************
+// Makes the cells of the grid focusable. Called by
+// buildGrid whenever the cells are (re)built, which
+// puts the cursor and the chosen column back in the
+// middle of the bottom row. Only the cell under the
+// cursor is in the tab order, so that tab moves past
+// the grid in one step.
+// ************************************************** */
+function addCellKeyboardListeners(
+){
+  keyboard_column = Math.floor(grid_size/2)
+  keyboard_cursor = grid_id(grid_size-1, keyboard_column)
+  keyboard_source = null
+  keyboard_highlighted = ""
+
+  for(let k = 0; k < grid_cells; ++k)
+  {
+    let container = get_cell_container(k)
+    container.tabIndex = k === keyboard_cursor? 0 : -1
+    container.addEventListener('focus', () => moveCursor(k))
+  }
+}
+
+
+/* **************************************************
+// Handles every key press. Keys meant for text boxes,
+// sliders and buttons are left alone, as is everything
+// while a replay or the game over screen is showing.
+// ************************************************** */
+function onKeyDown( e
+){
+  if(replaying || editing || e.ctrlKey || e.metaKey || e.altKey) { return }
+  if(["INPUT", "TEXTAREA", "SELECT", "BUTTON"].includes(e.target.tagName)) { return }
+  if(document.getElementById('game-over-container').style.display === 'block') { return }
+
+  let in_grid_focus = e.target.classList !== undefined && e.target.classList.contains('cell_container'),
+      handled = true;
+
+  if("12345678".includes(e.key) && e.key.length === 1 && parseInt(e.key) <= grid_size)
+  {
+    setDropColumn(parseInt(e.key)-1)
+    document.getElementById('next_arrow').focus()
+  }
+  else if(e.key === "s" || e.key === "S") { swapButtonClicked() }
+  else if(e.key === "z" || e.key === "Z") { undoMove(); selectSource(null); updateDropHighlighting() }
+  else if(e.key === "y" || e.key === "Y") { redoMove(); selectSource(null); updateDropHighlighting() }
+  else if(e.key === "h" || e.key === "H") { showHint() }
+  else if(in_grid_focus) { handled = onGridKey(e.key) }
+  else { handled = onDropKey(e.key) }
+
+  if(handled) { e.preventDefault() }
+}
+
+
+/* **************************************************
+// Handles the keys for dropping the next arrow.
+// Returns true iff the key was used.
+// ************************************************** */
+function onDropKey( key
+){
+  switch(key)
+  {
+    case "ArrowLeft": setDropColumn(keyboard_column-1); return true
+    case "ArrowRight": setDropColumn(keyboard_column+1); return true
+
+    case "Enter":
+    case " ":
+      dropNextArrow(0, keyboard_column)
+      updateDropHighlighting()
+      return true
+  }
+  return false
+}
+
+
+/* **************************************************
+// Handles the keys for the grid cursor. Returns true
+// iff the key was used.
+// ************************************************** */
+function onGridKey( key
+){
+  let [i,j] = grid_indices(keyboard_cursor)
+
+  switch(key)
+  {
+    case "ArrowUp": focusCell(i-1, j); return true
+    case "ArrowDown": focusCell(i+1, j); return true
+    case "ArrowLeft": focusCell(i, j-1); return true
+    case "ArrowRight": focusCell(i, j+1); return true
+
+    case "Enter":
+    case " ":
+      selectOrAct(keyboard_cursor)
+      return true
+
+    case "Escape":
+      selectSource(null)
+      return true
+  }
+  return false
+}
+
+
+/* **************************************************
+// Selects the arrow in cell k, or, if an arrow is
+// already selected, attempts to drag it onto cell k.
+// ************************************************** */
+function selectOrAct( k
+){
+  if(keyboard_source === null) { if(grid[k] !== 0) { selectSource(k) } return }
+  if(keyboard_source === k) { selectSource(null); return }
+
+  // A failed action keeps the selection, so that another direction can be tried.
+  if(performGridAction(keyboard_source, k)) { selectSource(null) }
+}
+
+
+// Marks cell k (or no cell, if k is null) as the source of the next grid action.
+function selectSource( k
+){
+  if(keyboard_source !== null)
+  {
+    get_cell_container(keyboard_source).classList.remove('selected-cell')
+    get_cell_container(keyboard_source).removeAttribute('aria-selected')
+  }
+  keyboard_source = k
+  if(keyboard_source !== null)
+  {
+    get_cell_container(keyboard_source).classList.add('selected-cell')
+    get_cell_container(keyboard_source).setAttribute('aria-selected', 'true')
+  }
+}
+
+
+// Moves focus to cell (i,j), if it's in the grid.
+function focusCell( i, j
+){ if(in_grid(i,j)) { get_cell_container(grid_id(i,j)).focus() } }
+
+
+// Records cell k as the cursor, and makes it the grid's stop in the tab order.
+function moveCursor( k
+){
+  get_cell_container(keyboard_cursor).tabIndex = -1
+  keyboard_cursor = k
+  get_cell_container(keyboard_cursor).tabIndex = 0
+}
+
+
+// Chooses the column that the next arrow is dropped into.
+function setDropColumn( j
+){
+  keyboard_column = Math.max(0, Math.min(grid_size-1, j))
+  updateDropHighlighting()
+}
+
+
+/* **************************************************
+// Highlights the cell that the next arrow would land
+// in, while the next arrow has focus. The highlighting
+// is the same as for drags. See updateCellHighlighting.
+// ************************************************** */
+function updateDropHighlighting(
+){
+  if(keyboard_highlighted !== "") { document.getElementById(keyboard_highlighted).style.borderColor = "#222"; keyboard_highlighted = "" }
+  if(document.activeElement !== document.getElementById('next_arrow')) { return }
+
+  let row = landingRow(grid, keyboard_column)
+  if(row === -1) { return }
+
+  keyboard_highlighted = "cell_container" + grid_id(row, keyboard_column).toString()
+  document.getElementById(keyboard_highlighted).style.borderColor = cell_highlighting_color
+}
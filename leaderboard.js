@@ -0,0 +1,224 @@
+/* ***********************************************************************************************
+// This file contains the leaderboard of The Arrow Game, which is kept by the leaderboard server in
+// tools/leaderboard-server.js.
+//
+// The leaderboard is off until the user gives the page the address of a server and a name (see
+// setLeaderboardServer), from the Server button of the leaderboard. From then on, endGameMenu in
+// main.js submits the final score of every game that ends (see submitFinalScore), along with the
+// receipt of the verification server if there is one (see verify.js). Scores that don't count
+// as high scores aren't submitted, and neither are daily practice rounds, or games of the modes
+// that have no leaderboard.
+//
+// The leaderboard is opened from the game over screen, on the table of the game that just ended,
+// and pages through it a page at a time. Each mode and size of grid has a table, and so does each
+// variant of the rules (see variants.js) and each day's daily challenge. When the server can't be reached, the leaderboard says so, and the game
+// goes on as if there were none.
+//
+// *********************************************************************************************** */
+
+// Leaderboard fields.
+let leaderboard_table = null, // The table being shown, as { mode, size, date, rules }. See tableName in tools/leaderboard-server.js.
+    leaderboard_page = 1,
+    leaderboard_pages = 1; // The number of pages in the table, as of the last page fetched.
+
+const leaderboard_server_key = 'leaderboard_server', // Local storage keys of the server's address and the player's name.
+      leaderboard_name_key = 'leaderboard_name',
+      leaderboard_modes = { classic: "Classic", daily: "Daily", blitz: "Blitz", arrows: arrow_limit.toString() + " Arrows" },
+      leaderboard_timeout = 5000; // ms to wait for the server before giving up on it.
+
+
+// Returns the address of the leaderboard server, or null if there's none.
+function leaderboardServer(
+){ return window.localStorage.getItem(leaderboard_server_key) }
+
+
+/* **************************************************
+// Asks for the address of a leaderboard server and
+// the name to submit scores under. An empty address
+// stops submitting scores. Handles the Server button
+// of the leaderboard.
+// ************************************************** */
+function setLeaderboardServer(
+){
+  let address = window.prompt("Leaderboard server (leave empty to stop submitting scores):", leaderboardServer() || "http://localhost:8082")
+  if(address === null) { return false }
+
+  address = address.trim().replace(/\/+$/, "")
+  if(address === "")
+  {
+    window.localStorage.removeItem(leaderboard_server_key)
+    renderLeaderboard(null, "Scores aren't submitted to any leaderboard.")
+    return true
+  }
+  try { new URL(address) } catch(e) { window.alert("This isn't a server address: " + address); return false }
+
+  let name = window.prompt("Your name on the leaderboard:", window.localStorage.getItem(leaderboard_name_key) || "")
+  if(name === null || name.trim() === "") { return false }
+
+  window.localStorage.setItem(leaderboard_server_key, address)
+  window.localStorage.setItem(leaderboard_name_key, name.trim().slice(0, 20))
+  loadLeaderboardPage(1)
+  return true
+}
+
+
+/* **************************************************
+// Fetches a path from the leaderboard server, with
+// the given fetch options. Returns a promise of the
+// answer's JSON body, which is rejected with the
+// server's error if there is one, and with a note
+// that it couldn't be reached if it couldn't.
+// ************************************************** */
+function leaderboardRequest( path // e.g. "/scores?mode=classic&size=5&page=1".
+                           , init = {}
+){
+  let controller = new AbortController(),
+      timer = setTimeout(() => controller.abort(), leaderboard_timeout);
+
+  return fetch(leaderboardServer() + path, Object.assign({ signal: controller.signal }, init))
+    .catch(() => { throw new Error("The leaderboard server couldn't be reached.") })
+    .then(response => response.json().catch(() => ({})).then(body => { if(!response.ok) { throw new Error(body.error || "The leaderboard server refused it.") } return body }))
+    .finally(() => clearTimeout(timer))
+}
+
+
+// Returns the table that the current game's score goes into, as { mode, size, date, rules }, or null if its mode has none.
+function currentLeaderboardTable(
+){
+  if(!(game_mode in leaderboard_modes)) { return null }
+  return { mode: game_mode, size: grid_size, date: game_mode === "daily"? daily_date : null, rules: rule_set === default_rule_set? null : rule_set.id }
+}
+
+
+// Returns the name of the rule set with the given id, for the title of the leaderboard. Variants that aren't loaded go by their id.
+function leaderboardRulesName( id
+){
+  let rules = [rule_set].concat(variants === null? [] : variants).find(rules => rules.id === id)
+  return rules === undefined? id : rules.name
+}
+
+
+/* **************************************************
+// Submits the final score of the game that just
+// ended to the leaderboard, if there's a server and
+// the score counts. Says how it went on the game
+// over screen.
+// ************************************************** */
+function submitFinalScore( final_score
+                         , verdict // From verifyFinalScore.
+){
+  let result = document.getElementById('leaderboard_rank'),
+      table = currentLeaderboardTable();
+
+  result.style.display = 'none'
+  if(leaderboardServer() === null || table === null || !verdict.counted || (game_mode === "daily" && !daily_scored)) { return }
+
+  let entry = Object.assign({ name: window.localStorage.getItem(leaderboard_name_key), score: final_score, hints: hints_used, receipt: verdict.receipt }, table)
+  leaderboard_table = table
+
+  leaderboardRequest("/scores", { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(entry) })
+    .then(answer => {
+      leaderboard_page = answer.page === null? 1 : answer.page
+      result.textContent = answer.rank === null? "Not in the top scores of the leaderboard." : "#" + answer.rank.toString() + " on the leaderboard!"
+    })
+    .catch(error => { result.textContent = error.message + " This score wasn't submitted." })
+    .finally(() => { result.style.display = 'block' })
+}
+
+
+// Opens the leaderboard on the table of the game that just ended. Handles the Leaderboard link of the game over screen.
+function showLeaderboard(
+){
+  let table = currentLeaderboardTable()
+  if(leaderboard_table === null || table === null || table.mode !== leaderboard_table.mode || table.size !== leaderboard_table.size || table.rules !== leaderboard_table.rules)
+  { leaderboard_table = table === null? { mode: "classic", size: grid_size, date: null, rules: null } : table; leaderboard_page = 1 }
+
+  document.getElementById('leaderboard-mode').value = leaderboard_table.mode
+  document.getElementById('leaderboard').style.display = 'block'
+  loadLeaderboardPage(leaderboard_page)
+}
+
+
+function hideLeaderboard(
+){ document.getElementById('leaderboard').style.display = 'none' }
+
+
+// Shows another mode's table, by the same rules. Daily tables are today's, and by the default rules. Handles the mode picker of the leaderboard.
+function pickLeaderboardMode( mode
+){
+  leaderboard_table = { mode: mode, size: leaderboard_table.size, date: mode === "daily"? dateKey(new Date()) : null, rules: mode === "daily"? null : leaderboard_table.rules }
+  loadLeaderboardPage(1)
+}
+
+
+/* **************************************************
+// Fetches a page of the table being shown, and draws
+// it. Pages count from 1.
+// ************************************************** */
+function loadLeaderboardPage( page
+){
+  if(leaderboardServer() === null) { renderLeaderboard(null, "There's no leaderboard yet. Click Server to give the address of one."); return }
+
+  let query = new URLSearchParams({ mode: leaderboard_table.mode, size: leaderboard_table.size, page: page })
+  if(leaderboard_table.date !== null) { query.set('date', leaderboard_table.date) }
+  if(leaderboard_table.rules !== null) { query.set('rules', leaderboard_table.rules) }
+
+  renderLeaderboard(null, "Loading...")
+  leaderboardRequest("/scores?" + query.toString())
+    .then(answer => { leaderboard_page = answer.page; leaderboard_pages = answer.pages; renderLeaderboard(answer, "") })
+    .catch(error => renderLeaderboard(null, error.message))
+}
+
+
+// Moves the given number of pages through the table. Handles the previous and next buttons.
+function turnLeaderboardPage( pages
+){ if(leaderboard_page + pages >= 1 && leaderboard_page + pages <= leaderboard_pages) { loadLeaderboardPage(leaderboard_page + pages) } }
+
+
+/* **************************************************
+// Draws a page of the leaderboard, as answered by
+// the server, or just a status if there's no page.
+// The player's own scores are highlighted.
+// ************************************************** */
+function renderLeaderboard( answer // { page, pages, total, scores }, or null.
+                          , status
+){
+  let list = document.getElementById('leaderboard-list'),
+      name = window.localStorage.getItem(leaderboard_name_key),
+      size = leaderboard_table === null? grid_size : leaderboard_table.size;
+
+  document.getElementById('leaderboard-title').textContent = leaderboard_table === null? "Leaderboard"
+    : leaderboard_modes[leaderboard_table.mode] + ", " + size.toString() + "x" + size.toString() + (leaderboard_table.date === null? "" : ", " + leaderboard_table.date)
+      + (leaderboard_table.rules === null? "" : ", " + leaderboardRulesName(leaderboard_table.rules))
+  document.getElementById('leaderboard-page').textContent = answer === null? "" : "Page " + answer.page.toString() + " of " + answer.pages.toString()
+  document.getElementById('leaderboard-prev').style.visibility = answer !== null && answer.page > 1? 'visible' : 'hidden'
+  document.getElementById('leaderboard-next').style.visibility = answer !== null && answer.page < answer.pages? 'visible' : 'hidden'
+
+  list.replaceChildren()
+  if(answer !== null && answer.total === 0) { status = "No scores yet. Be the first!" }
+  if(status !== "")
+  {
+    let empty = document.createElement('p')
+    empty.className = "slot-empty"
+    empty.textContent = status
+    list.appendChild(empty)
+  }
+  if(answer === null) { return }
+
+  for(let score of answer.scores)
+  {
+    let row = document.createElement('div'),
+        rank = document.createElement('p'),
+        player = document.createElement('p'),
+        points = document.createElement('p');
+
+    row.className = "leaderboard-row" + (score.name === name? " active-slot" : "")
+    rank.textContent = "#" + score.rank.toString()
+    player.textContent = score.name + (score.verified? " ✓" : "")
+    player.title = score.verified? "Verified" : ""
+    points.textContent = score.score.toString() + (score.hints > 0? " (hinted)" : "")
+
+    row.append(rank, player, points)
+    list.appendChild(row)
+  }
+}
@@ -0,0 +1,392 @@
+/* ***********************************************************************************************
+// This file contains the puzzle levels for The Arrow Game.
+//
+// A puzzle level is a hand-made board with a fixed queue of arrows and a goal to reach with them.
+// The levels are JSON files in the levels directory, listed in order by levels/index.json (a list
+// of file names, since the page can't list a directory). Each level file is
+//
+//   { id      - A short name made of a-z, 0-9 and -, e.g. "first-steps". Progress is kept under it.
+//   , name    - The name shown in the level select, e.g. "First Steps".
+//   , size    - The number of cells on a side of the grid. See setGridSize in rules.js.
+//   , grid    - The starting grid, as a list of size rows (top to bottom) of size arrow ids, 0 for
+//               empty. No arrow may float over an empty cell.
+//   , queue   - Every arrow that the level gives out, in order. The first two are the next arrows.
+//               Once the queue runs out, nothing more can be dropped.
+//   , spins   - Swaps allowed.
+//   , goal }  - What it takes to beat the level. See goalMet in rules.js.
+//
+// A level is played as a "puzzle" game (see game_mode in main.js), whose arrows come from the
+// level's queue instead of the generator. The level is beaten as soon as the goal is met, and
+// failed once the goal can't be met with the arrows and grid actions that are left. For each
+// level, the user's progress (whether it's been beaten, and in the fewest moves, counting drops,
+// grid actions and swaps) is kept in local storage under level_progress_key.
+//
+// Browsers don't let pages fetch files from file:// urls, so the levels only load when the page
+// is served over http. See the README.
+//
+// *********************************************************************************************** */
+
+// Level fields.
+let levels = null, // The levels from levels/index.json, in order, once they're loaded. See loadLevels.
+    levels_problem = null, // Why the levels couldn't be loaded, if they couldn't.
+    current_level = null; // The level being played in a puzzle game, or null.
+
+const levels_path = 'levels/',
+      level_progress_key = 'level_progress',
+      level_solver_node_limit = 100000; // The most positions that solveLevel looks at.
+
+
+/* **************************************************
+// Checks a level. Returns a list of problems, which
+// is empty iff the level can be played.
+// ************************************************** */
+function validateLevel( level
+){
+  if(level === null || typeof level !== "object" || Array.isArray(level)) { return ["The level isn't an object."] }
+
+  let problems = [],
+      is_count = n => Number.isInteger(n) && n >= 0,
+      is_arrow = n => arrows.includes(n);
+
+  if(typeof level.id !== "string" || !/^[a-z0-9-]+$/.test(level.id)) { problems.push("The level id is invalid.") }
+  if(typeof level.name !== "string" || level.name.trim() === "") { problems.push("The level has no name.") }
+
+  if(!valid_grid_size(level.size)) { problems.push("Unknown grid size: " + String(level.size) + ".") }
+  else if(!Array.isArray(level.grid) || level.grid.length !== level.size || !level.grid.every(row => Array.isArray(row) && row.length === level.size))
+  { problems.push("The grid isn't " + level.size.toString() + " rows of " + level.size.toString() + " cells.") }
+  else if(!level.grid.flat().every(content => content === 0 || is_arrow(content))) { problems.push("The grid has unknown arrows.") }
+  else if(withGridSize(level.size, () => resolveGravity(level.grid.flat()).falls.length > 0)) { problems.push("The grid has arrows floating over empty cells.") }
+
+  if(!Array.isArray(level.queue) || !level.queue.every(is_arrow)) { problems.push("The queue isn't a list of arrows.") }
+  if(!is_count(level.spins)) { problems.push("The swap count is invalid.") }
+
+  let goal = level.goal
+  if(goal === null || typeof goal !== "object" || !goal_types.includes(goal.type)) { problems.push("Unknown goal.") }
+  else if(goal.type === "create" && !is_arrow(goal.arrow)) { problems.push("The goal's arrow is unknown.") }
+  else if(goal.type === "score" && !(Number.isInteger(goal.score) && goal.score > 0)) { problems.push("The goal's score is invalid.") }
+
+  if(problems.length === 0 && goalMet(goal, levelGame(level))) { problems.push("The goal is met before any move is made.") }
+
+  return problems
+}
+
+
+/* **************************************************
+// Returns the game that a level starts with, in the
+// form that rules.js plays with (see applyMove). The
+// generator is never drawn from, since the arrows
+// come from the queue.
+// ************************************************** */
+function levelGame( level
+){
+  return { grid: level.grid.flat()
+         , next_arrow: level.queue.length > 0? level.queue[0] : 0
+         , next_next_arrow: level.queue.length > 1? level.queue[1] : 0
+         , rng: createRng(level.id)
+         , spins: level.spins
+         , score: 0
+         , drops_left: level.queue.length
+         , queue: level.queue.slice(2) }
+}
+
+
+/* **************************************************
+// Fetches every level listed in levels/index.json,
+// once. Levels that fail validateLevel are left out,
+// with a warning. Returns the levels, or null (with
+// levels_problem set) if they couldn't be loaded.
+// ************************************************** */
+async function loadLevels(
+){
+  if(levels !== null) { return levels }
+
+  let fetchJSON = async file => {
+    let response = await fetch(levels_path + file)
+    if(!response.ok) { throw new Error(file + ": " + response.status.toString() + " " + response.statusText) }
+    return response.json()
+  }
+
+  try
+  {
+    let files = await fetchJSON('index.json'),
+        loaded = [];
+    if(!Array.isArray(files)) { throw new Error("index.json isn't a list of level files.") }
+
+    for(let file of files)
+    {
+      let level = await fetchJSON(file),
+          problems = validateLevel(level);
+
+      if(problems.length > 0) { console.warn("Skipped the level in " + file + ":", problems) }
+      else if(loaded.some(other => other.id === level.id)) { console.warn("Skipped the level in " + file + ": its id is taken.") }
+      else { loaded.push(level) }
+    }
+
+    levels = loaded
+    levels_problem = null
+  }
+  catch(e)
+  {
+    console.warn("The levels couldn't be loaded:", e)
+    levels_problem = "The levels couldn't be loaded. They only load when the game is served over http."
+  }
+  return levels
+}
+
+
+/* **************************************************
+// Searches for the shortest sequence of moves (see
+// applyMove) that meets a level's goal, looking at
+// up to node_limit positions. Returns { moves,
+// complete }, where moves is the sequence, or null if
+// none was found, and complete is true iff every
+// reachable position was looked at (so a null means
+// the level can't be beaten).
+// ************************************************** */
+function solveLevel( level
+                   , node_limit = level_solver_node_limit
+){
+  return withGridSize(level.size, () => {
+    // Each node is { game, parent, move }, where parent is the index of the node it was reached from.
+    let nodes = [{ game: levelGame(level), parent: null, move: null }],
+        seen = new Set(),
+        path = n => { let moves = []; for(; nodes[n].parent !== null; n = nodes[n].parent) { moves.unshift(nodes[n].move) }; return moves };
+
+    for(let n = 0; n < nodes.length; ++n)
+    {
+      if(nodes.length >= node_limit) { return { moves: null, complete: false } }
+
+      let game = nodes[n].game,
+          moves = legalMoves(game);
+      if(game.spins > 0 && game.next_next_arrow !== 0 && game.next_arrow !== game.next_next_arrow) { moves.push(swap_move) }
+
+      for(let move of moves)
+      {
+        let next = applyMove(game, move),
+            key = next.grid.join(",") + "|" + next.next_arrow + "|" + next.next_next_arrow + "|" + next.queue.length + "|" + next.spins + "|" + next.score;
+
+        if(seen.has(key)) { continue }
+        seen.add(key)
+        nodes.push({ game: next, parent: n, move: move })
+        if(goalMet(level.goal, next)) { return { moves: path(nodes.length-1), complete: true } }
+      }
+    }
+    return { moves: null, complete: true }
+  })
+}
+
+
+// Writes a level as JSON in the layout of the level files, with a line for each row of the grid.
+function levelJSON( level
+){
+  let field = (name, value) => "  " + JSON.stringify(name) + ": " + value
+
+  return "{\n" + [ field("id", JSON.stringify(level.id))
+                 , field("name", JSON.stringify(level.name))
+                 , field("size", level.size.toString())
+                 , field("grid", "[\n" + level.grid.map(row => "    [" + row.join(", ") + "]").join(",\n") + "\n  ]")
+                 , field("queue", "[" + level.queue.join(", ") + "]")
+                 , field("spins", level.spins.toString())
+                 , field("goal", "{ " + Object.entries(level.goal).map(([name, value]) => JSON.stringify(name) + ": " + JSON.stringify(value)).join(", ") + " }")
+                 ].join(",\n") + "\n}\n"
+}
+
+
+/* ******************************************************************************************************** */
+// Progress.
+
+
+// Returns the user's progress, as a map from level ids to { completed, best_moves }. Damaged progress is ignored.
+function readLevelProgress(
+){
+  let progress = null
+  try { progress = JSON.parse(window.localStorage.getItem(level_progress_key) || "{}") } catch(e) { progress = null }
+
+  if(progress === null || typeof progress !== "object" || Array.isArray(progress)) { console.warn("The level progress is corrupt, and has been ignored."); return {} }
+  return progress
+}
+
+
+/* **************************************************
+// Records that a level was beaten in the given number
+// of moves. Returns the best number of moves that the
+// level has been beaten in, before this one, or null
+// if this is the first time.
+// ************************************************** */
+function recordLevelCompletion( level, moves
+){
+  let progress = readLevelProgress(),
+      entry = progress[level.id],
+      best = entry !== undefined && Number.isInteger(entry.best_moves)? entry.best_moves : null;
+
+  progress[level.id] = { completed: true, best_moves: best === null? moves : Math.min(best, moves) }
+  window.localStorage.setItem(level_progress_key, JSON.stringify(progress))
+  return best
+}
+
+
+/* ******************************************************************************************************** */
+// Playing levels.
+
+
+/* **************************************************
+// Starts a puzzle game on the given level. Prompts
+// the user to confirm, unless the current game is a
+// puzzle or over already.
+// ************************************************** */
+function playLevel( level
+                  , bypass_confirmation = false
+){
+  if(replaying) { return false }
+  if(!bypass_confirmation && game_mode !== "puzzle" && !game_over && !window.confirm("Click ok to replace the current game with \"" + level.name + "\""))
+  { return false }
+
+  clearSavedGame()
+  hideLevelSelect()
+  resizeGrid(level.size)
+
+  // The generator is only there to be reset. The arrows come from the queue.
+  loadNewGame(level.id, "puzzle")
+  current_level = level
+  updateSeedLabel()
+
+  let game = levelGame(level)
+  arrow_queue = game.queue
+  drops_left = game.drops_left
+  updateLimitLabel()
+  overrideNextArrows(game.next_arrow, game.next_next_arrow)
+
+  board.spins_remaining = level.spins
+  document.getElementById('swap-label').innerHTML = board.spins_remaining.toString()
+  grid = game.grid
+  arrows_placed = grid.filter(content => content !== 0).length
+  renderGrid()
+
+  announce("Level: " + level.name + ". Goal: " + describeGoal(level.goal) + ".")
+  return true
+}
+
+
+// Starts the level that follows the current one, if there is one.
+function playNextLevel(
+){
+  let index = levels === null || current_level === null? -1 : levels.findIndex(level => level.id === current_level.id)
+  if(index !== -1 && index+1 < levels.length) { playLevel(levels[index+1], true) }
+}
+
+
+/* **************************************************
+// The end game check of puzzle games. Called by
+// endGameCheck after every move. The level is beaten
+// as soon as its goal is met, and failed once the
+// game is over (see isGameOver) without meeting it.
+// Returns true iff the game is over either way.
+// ************************************************** */
+function levelCheck(
+){
+  let game = currentGame()
+
+  if(goalMet(current_level.goal, game))
+  {
+    let moves = move_log.moves.length,
+        best = recordLevelCompletion(current_level, moves),
+        result = "Level complete in " + moves.toString() + (moves === 1? " move." : " moves.");
+
+    if(best !== null) { result += moves < best? " A new best!" : " Best: " + best.toString() + "." }
+    game_over = true
+    announce(result)
+    showLevelSelect(result, true)
+    return true
+  }
+
+  if(isGameOver(game, end_game_node_limit))
+  {
+    game_over = true
+    announce("Out of moves.")
+    showLevelSelect("Out of moves. " + describeGoal(current_level.goal) + " to beat this level.", false)
+    return true
+  }
+  return false
+}
+
+
+/* ******************************************************************************************************** */
+// Level select.
+
+
+/* **************************************************
+// Shows the level select, loading the levels first
+// if they haven't been. After a puzzle game, result
+// says how it went, and the header offers to retry
+// the level or (if it was beaten) go on to the next.
+// ************************************************** */
+async function showLevelSelect( result = ""
+                              , completed = false // Whether the level was beaten.
+){
+  if(replaying) { return }
+
+  let after_level = result !== "" && current_level !== null
+  document.getElementById('level-result').textContent = result
+  document.getElementById('level-retry').style.display = after_level? 'inline' : 'none'
+  document.getElementById('level-next').style.display = after_level && completed? 'inline' : 'none'
+  document.getElementById('level-select').style.display = 'block'
+
+  renderLevelSelect()
+  await loadLevels()
+  renderLevelSelect()
+}
+
+
+function hideLevelSelect(
+){ document.getElementById('level-select').style.display = 'none' }
+
+
+// Plays the current level again from the start.
+function retryLevel(
+){ if(current_level !== null) { playLevel(current_level, true) } }
+
+
+/* **************************************************
+// Draws the list of levels in the level select. Each
+// level shows its name, its goal, and the user's
+// progress on it.
+// ************************************************** */
+function renderLevelSelect(
+){
+  let list = document.getElementById('level-list'),
+      progress = readLevelProgress(),
+      message = text => { let p = document.createElement('p'); p.className = "slot-empty"; p.textContent = text; list.appendChild(p) };
+
+  list.replaceChildren()
+  if(levels === null) { message(levels_problem === null? "Loading levels..." : levels_problem); return }
+  if(levels.length === 0) { message("There are no levels.") }
+
+  for(let level of levels)
+  {
+    let entry = progress[level.id],
+        completed = entry !== undefined && entry.completed === true,
+        playing = current_level !== null && game_mode === "puzzle" && current_level.id === level.id,
+        row = document.createElement('div'),
+        info = document.createElement('div'),
+        name = document.createElement('p'),
+        details = document.createElement('p'),
+        play = document.createElement('a');
+
+    row.className = "slot" + (playing? " active-slot" : "")
+    info.className = "slot-info"
+
+    name.className = "slot-name"
+    name.textContent = (completed? "✓ " : "") + level.name + (playing? " (playing)" : "")
+    details.className = "slot-details"
+    details.textContent = describeGoal(level.goal) + " - " + level.size.toString() + "x" + level.size.toString()
+                        + (completed? " - Best: " + String(entry.best_moves) + " moves" : " - Not beaten yet")
+
+    play.className = "slot-button"
+    play.textContent = "Play"
+    play.onclick = () => playLevel(level)
+
+    info.append(name, details, play)
+    row.appendChild(info)
+    list.appendChild(row)
+  }
+}
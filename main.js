@@ -3,79 +3,156 @@
 // This file contains all of the javascript code for The Arrow Game.
 // 
 // Components of interest:
-//   - There are four drag listeners. Two for mobile browsers, and two for desktop browsers.
-//     Each of these pairs of listeners consists of a listener for dragging new arrows from the
-//     next_arrow element into the grid, and another for dragging arrows within the grid. These
-//     listeners are: addMobileGridListener, addDesktopGridListener, addArrowMobileListener, and
-//     addArrowDesktopListener.
+//   - There are two drag listeners: addArrowPointerListener, for dragging new arrows from the
+//     next_arrow element into the grid, and addGridPointerListener, for dragging arrows within
+//     the grid. Both use Pointer Events, so mice, touches and pens are handled by the same code
+//     (see dragClone), whatever mix of them the user's device has.
 //
-//   - Most of the game logic is handled by handleAction, classifyAction, applyActionGravity, and
-//     endGameCheck.  The active grid listener calls call handleAction when the user attemts a grid
-//     action. handleAction calls classifyAction to determine whether the action is valid and what
-//     kind of action to perform (from Combine, Cancel, and Merge). If the action is invalid, then
-//     the grid and next arrows are left unchanged. If the action is valid, then handleAction
-//     updates the grid and applies applyActionGravity in the columns where arrows are removed.
-//     There's more information about applyActionGravity below. endGameCheck simply determines
-//     whether or not any further progress is possible, and opens the game over screen if it's not.
+//   - The rules of the game live in rules.js, which never touches the document. The current grid
+//     is held in the grid field below as a flat array of arrow ids, and the cells that buildGrid
+//     makes are only ever a rendering of it (see renderCell). The grid can be 4x4 up to 8x8 (see
+//     resizeGrid). Each cell is laid out at the same size whatever the size of the grid, and the
+//     grid as a whole is scaled to fit, so the pixel sizes in this file are all in grid units
+//     (i.e. before scaling). The grid listener calls
+//     performGridAction when the user attempts a grid action. performGridAction asks applyAction
+//     (rules.js) whether the action is valid and what it does (from Combine, Cancel, and Merge).
+//     If the action is invalid, then the grid and next arrows are left unchanged. If the action
+//     is valid, then performGridAction updates the grid, settles it with resolveGravity, and
+//     animates whatever fell. endGameCheck asks isGameOver whether any further progress is possible once the
+//     grid is stuck, and opens the game over screen if it's not.
 // 
 //   - There are numerous small animations that are easy to locate and change if desired, such as
 //     cell highlighting, next_arrow blinking, and hiding/revealing the game over menu. But the
 //     main animation to be aware of is gravity. When we talk about gravity, we are talking about
 //     the animation that translates arrows to the lowest empty cell in their column. This
 //     happens whenever a new arrow is dropped into the grid and whenever an action creates
-//     gaps in the grid. Independently, these cases are simple. To keep it that way, we have
-//     imposed the rule that only one gravity animation can take place in each column at a time.
-//     As long as the animations are fast enough, this isn't too annoying. However, it's obviously
-//     a mediocre solution. Ideally we would implement a less restrictive gravity animation.
+//     gaps in the grid. The grid itself is settled immediately by resolveGravity, so the
+//     animation is purely cosmetic, and it never gets in the way of the user's input.
 //
-//     When an arrow is dropped into the grid, gravity is broken up into at most four sequential
-//     applications (depending on what is beneath the arrow at each step) of a static animation
-//     from any cell (outside of the bottom row) to the cell below. See applyGravitySteps.
+//     animateFalls takes every fall reported by resolveGravity and animates all of them at
+//     once, each in a single animation from its cell to the cell it lands in. Cells that are
+//     waiting for a falling arrow are kept in board.falling, and are drawn empty until the arrow
+//     lands. If an arrow that is still in the air has to fall further (say, because an action
+//     opened a gap beneath it), its animation is picked up from wherever it is and continued
+//     to the new cell.
 //
-//     When an arrow is removed from the grid, applyActionGravity applies applyGravitySteps
-//     to each of the cells above the removed cell.
+//   - The game in progress is saved in local storage by saveGame whenever the page is hidden,
+//     and loaded by initializeGame. The save format is in save.js, and the named save slots are
+//     in slots.js.
+//
+//   - The game can also be played from the keyboard. See keyboard.js. Screen reader support
+//     (the grid's roles and labels, and the announcements of what happens) is in accessibility.js.
+//
+//   - Puzzle levels (hand-made boards with a fixed queue of arrows and a goal) and the level
+//     select are in levels.js, and the level editor is in editor.js.
+//
+//   - The two-player versus mode is in versus.js. Each player has a board of their own (see the
+//     board field below), and the grid shows whichever board's turn it is. The networked race
+//     mode is in race.js, and its relay server in tools/race-server.js.
+//
+//   - Scores can be verified by a server that replays the game (see verify.js), and submitted to a
+//     leaderboard (see leaderboard.js).
+//
+//   - Games can be played by variants of the rules (see the Rule sets section of rules.js), which
+//     are picked under the grid. See variants.js.
 //
 //   - See $(document).ready( ... ) for initialization.
-//   - See window.mobileCheck = function(){ ... } for handling mobile vs desktop content.
 //
 //
 // Things that might be nice:
-//    - A better gravity animation.
 //    - grid-action animations. e.g. exploding cancellation, gradual and continuous combining/merging.
 //    - Managing the game logic on the back end. It is currently overwhelmingly easy to cheat.
 //      Honestly, this doesn't bother me at all. Furthermore, why stress the server? There also a
-//      few debugging tools that can easily be used to manipulate the game.
+//      few debugging tools that can easily be used to manipulate the game. For those who mind,
+//      scores can be checked by a server of their own, which replays each game's move log. See
+//      verify.js.
 //
 // *********************************************************************************************** */
 
 // Game fields.
 let [next_arrow, next_next_arrow] = [null, null],
-    spins_remaining = 3,
-    score = 0,
-    animating_columns = [],
     arrows_placed = 0,
+    drag_pointer = null, // The id of the pointer dragging an arrow, if any. See dragClone.
+    game_over = false, // Set once the game over screen has been opened for the current game.
+    hints_used = 0, // Hints shown in the current game. Scores earned with hints are flagged.
     do_debug = false;
 
+// The board being played: its score, swaps and arrows in the air. Every game has one board, but a
+// versus game has one for each player, and board is whichever one's turn it is. See newBoard, and
+// versus.js.
+let board = newBoard()
+
+// The current grid, and the generator for new arrows. See rules.js.
+let grid = newGrid(),
+    rng = createRng(newSeed());
+
+// The kind of game being played: "classic", "daily", "blitz", "arrows", "puzzle", "versus" or
+// "race". A daily game is only scored (counts towards the daily best and streak) on the first
+// attempt of the day. Blitz games end when their time runs out, and arrows games once arrow_limit
+// arrows have been dropped (and no grid action is left). See startModeGame. Puzzle games are
+// levels, see levels.js, versus games are played by two players taking turns, see versus.js, and
+// race games against other players over the network, see race.js.
+let game_mode = "classic",
+    daily_date = null,
+    daily_scored = false;
+
+const blitz_duration = 120000, // ms that a blitz game lasts.
+      arrow_limit = 50; // The arrows dropped in an arrows game. Also in the mode picker in index.html.
+
+// Mode fields. The timer only runs while a blitz game can be played, and stops whenever the page
+// is hidden, a replay is showing, or the game is over. See startTimer.
+let time_left = null, // ms left in a blitz game as of when the timer last stopped, or null in the other modes.
+    timer_started = null, // When the timer last started (see Date.now), or null if it's stopped.
+    timer_interval = null,
+    drops_left = null, // Arrows left to drop in an arrows or puzzle game, or null in the other modes.
+    arrow_queue = null; // The arrows to come after the next two in a puzzle game, or null when they come from rng.
+
+const timer_tick = 250; // ms between updates of the timer.
+
+// Hint fields. See showHint.
+let hint_cells = [], // Ids of the cells highlighted by the last hint.
+    hint_timer = null;
+
+const hint_duration = 3000; // ms that a hint stays highlighted.
+
+// Stats fields. The stats of the current game go into the game history when it ends. See history.js.
+let game_stats = newGameStats(),
+    last_move_time = null; // When the last move was made (see Date.now), or null if none has been since the game was loaded.
+
 let arrow_color = "blue";
+const arrow_colors = [ "black", "white", "pink", "yellow", "orange", "green", "purple", "blue" ];
 const cell_highlighting_color = "gold";
 
+// Undo fields. Every drop, grid action, and swap can be undone, but only undo_budget
+// times per game, so that undoing doesn't make the swap button pointless.
+const undo_budget = 3;
+let undo_stack = [],
+    redo_stack = [],
+    undos_remaining = undo_budget;
+
+// The move log of the current game: its seed, the size of its grid, its rule set (null for the
+// default one, see loggedRuleSet) and every move made since, in order. Undone moves are removed
+// from the log. replay.js can play a log back. replaying is true while it does.
+let move_log = null,
+    last_replay = null,
+    replaying = false;
+
 /* ************************************************************************************* */
 // Various small utilities.
 
 let sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms)), // This is half of the animation duration, but I think it looks nicer this way.
     button_sleep = () => sleep(150), // This is half of the animation duration, but I think it looks nicer this way.
-    remove_element = (list,elem) => list.filter(x => x !== elem)
+    remove_element = (list,elem) => ((k) => k === -1? list : list.filter((x,n) => n !== k)) (list.indexOf(elem)) // Removes the first occurrence of elem.
 
 let arrow_path = (arrow_id, color=arrow_color) => "url('./resources/" + color + "-arrows-128/" + arrow_id.toString() + ".png')",
-    grid_id = (i,j) => i*5+j,
-    grid_indices = (n) => [(n-(n%5))/5, n%5],get_grid_cell = (i,j) => document.getElementById("cell" + grid_id(i,j).toString()),
-    cell_in_gravity_range = (i,j) => i >= 0 && i <= 4 && j >= 0 && j <= 4,
-    can_be_dropped_to = (i,j) => { if(!cell_in_gravity_range(i,j)){return false} else {return ((c_stat => c_stat === "0") (get_grid_cell(i,j).dataset.status)) }}
+    get_cell = (k) => document.getElementById("cell" + k.toString()),
+    get_cell_container = (k) => document.getElementById("cell_container" + k.toString()),
+    get_grid_cell = (i,j) => get_cell(grid_id(i,j))
 
 /* ************************************************************************************* */
 // Animation definitions.
 
-const gravity_duration = 300, // ms. If changing, also change the duration in the gravity keyframe animation, too. 300 is good.
+const gravity_duration = 300, // ms per row fallen. 300 is good.
       landing_duration = 100;
 
 const hide = [
@@ -98,49 +175,37 @@ const landing = [
 // looks bumpier than animating with marginTop. marginTop still doesn't
 // look perfect, but the translateY animation looks like hot garbage.
 //let anim = r => [ { transform: 'translateY(' + (anim_height*r).toString() + 'px)' }, { transform: 'translateY('+ (anim_height*(r+1)).toString() +'px)' }]
-// And animating top looks better than animating marginTop
+// And animating top looks better than animating marginTop, so gravity animates top. See animateFall.
 //let anim = r => [ { marginTop: (anim_height*(r-1)).toString() + 'px' }, { marginTop: (anim_height*(r)).toString() + 'px' } ]
-const anim_height = 61,
-      anim = r => [
-        { top: (anim_height*(r)).toString() + 'px' },
-        { top: (anim_height*(r+1)).toString() + 'px' } ]
+const anim_height = 61 // The distance between the tops of two cells in the same column.
 
-/* ************************************************************************************* */
+const cell_size = 60, // The distance between the left edges of two neighbouring columns.
+      board_size = 300; // px. The width of the grid on the page, whatever its size. See buildGrid.
 
+// The scale that fits the grid into board_size. 1 for the 5x5 grid.
+let grid_scale = () => board_size / (cell_size*grid_size)
 
-/* **************************************************
-// Returns a number representing on of the most basic
-// arrows (those pointing in one direction).
-//
-// This is used for the new arrow generator.
-// ************************************************** */
-function getRandomArrow( valid_numbers = [1,2,3,4,5,7,8,10]
-){
-  let rand = Math.random(),
-      rand_arrow_id = 7;
-
-  for(var i = 1; i < 8; i += 1)
-  { if(rand < i/8){ rand_arrow_id = i-1; break } }
-  return valid_numbers[rand_arrow_id]
-}
+/* ************************************************************************************* */
 
 
 /* *******************************************************
 // Places the preview arrow into the next arrow container,
 // and replaces the preview with a freshly generated
-// random arrow.
+// random arrow from rng, or with the next arrow in the
+// queue of a puzzle game. See drawArrow in rules.js.
 // ******************************************************* */
 function updateNextArrows(
 ){
   let next_arrow_div = document.getElementById("next_arrow"),
       next_next_arrow_div = document.getElementById("next_next_arrow");
 
-  next_arrow = next_next_arrow === null? getRandomArrow() : next_next_arrow;
-  next_next_arrow = getRandomArrow()
+  next_arrow = next_next_arrow === null? getRandomArrow(rng) : next_next_arrow;
+  [next_next_arrow, arrow_queue] = drawArrow(rng, arrow_queue)
 
   next_arrow_div.dataset.status = next_arrow
   next_arrow_div.style.backgroundImage = arrow_path(next_arrow)
   next_next_arrow_div.style.backgroundImage = arrow_path(next_next_arrow)
+  labelNextArrows()
 }
 
 
@@ -150,10 +215,15 @@ function updateNextArrows(
 // *************************************************** */
 function swapNextArrows(
 ){
-  if( spins_remaining === 0 ){ return false; }
-  --spins_remaining;
+  if( board.spins_remaining === 0 ){ return false; }
+  // Once a puzzle's queue runs out, the preview is empty, and there's nothing to swap in.
+  if( next_next_arrow === 0 ){ return false; }
+  recordHistory()
+  recordMove(swap_move)
+  countStat('swaps')
+  --board.spins_remaining;
 
-  document.getElementById("swap-label").innerHTML = spins_remaining.toString()
+  document.getElementById("swap-label").innerHTML = board.spins_remaining.toString()
 
   let next_arrow_div = document.getElementById("next_arrow"),
       next_next_arrow_div = document.getElementById("next_next_arrow");
@@ -166,170 +236,333 @@ function swapNextArrows(
   next_arrow_div.style.backgroundImage = arrow_path(next_arrow)
   
   next_next_arrow_div.style.backgroundImage = arrow_path(next_next_arrow)
+  labelNextArrows()
+
+  announce("Swapped. Next arrow: " + arrow_names[next_arrow] + ". " + describeSwaps())
+  endGameCheck()
+  return true
 }
 
+
+// Handles swap button clicks. Replays use swapNextArrows directly.
+function swapButtonClicked(
+){ if(!replaying && !editing) { swapNextArrows() } }
+
 /* ************************************************************************************* */
+// Undo and redo.
 
 
 /* **************************************************
-// Places a given arrow into cell (i,j).
+// Returns a copy of everything that an undo needs to
+// restore.
 // ************************************************** */
-function updateGridCell( i, j // Grid indices of the cell being updated.
-                       , content // A number representing the arrow being placed.
+function takeSnapshot(
 ){
-  if(animating_columns.includes(j)){ return false }
-  // A new arrow was dragged to this cell.
-  let grid_cell_id = "cell" + grid_id(i,j).toString(),
-      grid_cell = document.getElementById(grid_cell_id);
+  return { grid: grid.slice()
+         , score: board.score
+         , spins_remaining: board.spins_remaining
+         , arrows_placed: arrows_placed
+         , drops_left: drops_left
+         , arrow_queue: arrow_queue
+         , next_arrow: next_arrow
+         , next_next_arrow: next_next_arrow
+         , rng: { seed: rng.seed, state: rng.state }
+         , stats: Object.assign({}, game_stats)
+         , moves: move_log === null? null : move_log.moves.slice()
+         , rules: rule_set }
+}
 
-  grid_cell.dataset.status = content
-  grid_cell.style.backgroundImage = arrow_path(content)
 
-  return true
+/* **************************************************
+// Restores a snapshot from takeSnapshot, and redraws
+// everything that it touches.
+// ************************************************** */
+function restoreSnapshot( snapshot
+){
+  // Any arrows still in the air belong to the state being replaced.
+  settleFalls()
+
+  grid = snapshot.grid.slice()
+  board.score = snapshot.score
+  board.spins_remaining = snapshot.spins_remaining
+  arrows_placed = snapshot.arrows_placed
+  drops_left = snapshot.drops_left
+  arrow_queue = snapshot.arrow_queue
+  updateLimitLabel()
+  rng = { seed: snapshot.rng.seed, state: snapshot.rng.state }
+  if(move_log !== null) { move_log.moves = snapshot.moves.slice() }
+  if(snapshot.rules !== rule_set) { setRuleSet(snapshot.rules) }
+  // Time spent on undone moves was still spent.
+  game_stats = Object.assign({}, snapshot.stats, { play_time: game_stats.play_time, recorded: game_stats.recorded })
+
+  overrideNextArrows(snapshot.next_arrow, snapshot.next_next_arrow)
+  renderGrid()
+
+  document.getElementById('score').innerHTML = board.score.toString()
+  document.getElementById('swap-label').innerHTML = board.spins_remaining.toString()
 }
 
 
 /* **************************************************
-// Inserts a given arrow into cell (i,j), and applies
-// gravity to that cell.
+// Records the current state just before a drop, grid
+// action, or swap changes it. Any undone moves can no
+// longer be redone after that.
 // ************************************************** */
-function insertNewArrow( i, j // Grid indices of the cell being updated.
-                       , content // A number representing the arrow being placed.
+function recordHistory(
 ){
-  if(animating_columns.includes(j)){ return false }
+  undo_stack.push(takeSnapshot())
+  redo_stack = []
+  updateUndoLabel()
+}
 
-  // A new arrow was dragged to this cell.
-  let grid_cell_id = "cell" + grid_id(i,j).toString(),
-      grid_cell = document.getElementById(grid_cell_id);
 
-  // If no such cell exists or the cell isn't empty, then reject the update.
-  if( i < 0 || j < 0 || i > 4 || j > 4) {return false }
-  if(grid_cell.dataset.status !== "0") { return false }
+// Forgets every recorded move, and refills the undo budget. Used when a new game starts.
+function clearHistory(
+){
+  undo_stack = []
+  redo_stack = []
+  undos_remaining = undo_budget
+  updateUndoLabel()
+}
+
 
-  grid_cell.dataset.status = content
-  grid_cell.style.backgroundImage = arrow_path(content)
+/* **************************************************
+// Undoes the last drop, grid action, or swap. This
+// costs one undo from the budget.
+// ************************************************** */
+function undoMove(
+){
+  if(replaying || editing || game_over || ["versus", "race"].includes(game_mode) || undo_stack.length === 0 || undos_remaining <= 0) { return false }
 
-  if(!applyGravitySteps(i, j)) {landingAnimation(grid_cell, () => {});}
+  --undos_remaining
+  redo_stack.push(takeSnapshot())
+  restoreSnapshot(undo_stack.pop())
+  updateUndoLabel()
+  announce("Undone. " + undos_remaining.toString() + " undos left.")
   return true
 }
 
 
-/* ******************************************************
-// Whenever a gravity animation takes place, we create
-// a new json object containing information about the
-// animation. In particular, the original cell, the cell
-// below, and an animated clone of the original cell.
-// ****************************************************** */
-function getAnimationEnvironment( i, j // Grid indices of the cell being animated from.
+/* **************************************************
+// Redoes the last undone move. Redoing is free, since
+// it only takes back an undo.
+// ************************************************** */
+function redoMove(
 ){
-  // Make sure that animating i, j even makes sense in the first place.
-  if(!cell_in_gravity_range(i,j)){ return {}; }
+  if(replaying || editing || game_over || ["versus", "race"].includes(game_mode) || redo_stack.length === 0) { return false }
+
+  undo_stack.push(takeSnapshot())
+  restoreSnapshot(redo_stack.pop())
+  updateUndoLabel()
+  announce("Redone.")
+  return true
+}
 
-  // Make sure that the cell in the next row is not full.
-  if(!can_be_dropped_to(i+1,j)){ return {}; }
 
-  // Once we know that the animation will be performed, record the animation column to
-  // prevent the user from performing actions in that column until the animation is complete.
-  if(!animating_columns.includes(j)) {animating_columns.push(j)} // Removed in updateEnvironmentPostAnimation
+/* **************************************************
+// Appends a move to the move log of the current game.
+// See encodeDrop, encodeAction and swap_move in
+// rules.js for the format of moves. Games loaded from
+// saves that predate the move log have no log, since
+// they can't be replayed from their seed.
+// ************************************************** */
+function recordMove( move
+){ if(move_log !== null) { move_log.moves.push(move) } }
 
-  // This is the cell that we want to apply gravity to.
-  let cell = get_grid_cell(i,j),
-      next_cell = get_grid_cell(i+1,j),
-      content = cell.dataset.status
-      anim_env = { 'cell' : cell
-                 , 'next_cell' : next_cell
-                 , 'content': content
-                 , 'cell_index' : [i,j] }
 
-  anim_env["cell"].dataset.status = '0'//"animatingfrom"
-  anim_env["next_cell"].dataset.status = "animatingto"
-  anim_env["clone"] = cloneCell(anim_env, i)
+// Shows how many undos are left.
+function updateUndoLabel(
+){ document.getElementById('undo-label').innerHTML = undos_remaining.toString() }
 
-  return anim_env
-}
+/* ************************************************************************************* */
 
 
 /* **************************************************
-// Builds/styles of a clone of the original cell for
-// some animation environment.
+// Builds the cells of the grid for the current size,
+// one column at a time, in place of any old ones.
+// The keyboard and screen reader setup of the cells
+// is redone along with them.
 // ************************************************** */
-function cloneCell( anim_env
-,                   row
+function buildGrid(
 ){
-  const clone = document.createElement('div');
-  clone.classList.add('cell')
-  clone.dataset.status = anim_env["content"]
-  clone.dataset.origin = anim_env["cell"].dataset.origin
+  let ag_grid = document.getElementById('ag_grid'),
+      scale = grid_scale();
 
-  //const clone = anim_env["cell"].cloneNode(true)
-  clone.style.zIndex = 1
-  clone.style.position = 'absolute'
-  clone.style.top = (60*(row+1)).toString() + "px"
-  //clone.style.marginLeft = "-0.25px" // This seems weird, but it looks right. I guess you can divide pixels these days.
-  clone.style.left = "3px"
-  clone.style.width = "53px"
-  clone.style.height = "53px"
-  //clone.style.backgroundColor = "orange"
-  clone.style.backgroundImage = arrow_path(anim_env["content"])//, "orange")
-  clone.style.animationFillMode = "forwards";
+  ag_grid.replaceChildren()
+  ag_grid.style.width = (cell_size*grid_size).toString() + "px"
+  ag_grid.style.height = (cell_size*grid_size).toString() + "px"
+  ag_grid.style.transformOrigin = "top left"
+  ag_grid.style.transform = scale === 1? "" : "scale(" + scale.toString() + ")"
 
-  anim_env["cell"].parentElement.appendChild(clone);
-  anim_env["cell"].style.backgroundImage = "none"
+  for(let j = 0; j < grid_size; ++j)
+  {
+    let column = document.createElement('div')
+    column.id = "col-" + j.toString()
+    column.style.position = "absolute"
+    column.style.marginLeft = (cell_size*j).toString() + "px"
 
-  return clone
+    for(let i = 0; i < grid_size; ++i)
+    {
+      let container = document.createElement('div'),
+          cell = document.createElement('div');
+
+      container.className = "cell_container"
+      container.id = "cell_container" + grid_id(i,j).toString()
+      cell.className = "cell"
+      cell.id = "cell" + grid_id(i,j).toString()
+
+      container.appendChild(cell)
+      column.appendChild(container)
+    }
+    ag_grid.appendChild(column)
+  }
+
+  addCellKeyboardListeners()
+  addGridSemantics()
 }
 
 
 /* **************************************************
-// Updates an animation environment between gravity
-// animation steps.
+// Changes the size of the grid (see setGridSize in
+// rules.js), and rebuilds it empty. Returns false if
+// the size isn't supported.
 // ************************************************** */
-function updateEnvironmentMidAnimation( anim_env
+function resizeGrid( size // Cells on a side.
 ){
-  anim_env["cell"].dataset.status = "0"
+  if(size === grid_size) { return true }
+  if(!valid_grid_size(size)) { return false }
+
+  // Arrows in the air and hints belong to the old cells.
+  settleFalls()
+  clearHint()
+
+  setGridSize(size)
+  grid = newGrid()
+  buildGrid()
+  renderGrid()
+  updateSizeSelect()
+  return true
+}
+
+
+/* **************************************************
+// Draws the content of grid cell k. Cells that are
+// waiting for a falling arrow to land are drawn empty.
+// ************************************************** */
+function renderCell( k // Id of the cell being drawn.
+){
+  let cell = get_cell(k),
+      content = k in board.falling? 0 : grid[k];
+
+  cell.dataset.status = content
+  cell.style.backgroundImage = arrow_path(content)
+  labelCell(k, content)
+}
+
 
-  let new_row = anim_env["cell_index"][0]+1,
-      same_col = anim_env["cell_index"][1],
-      cell = get_grid_cell(new_row,same_col),
-      next_cell = get_grid_cell(new_row+1,same_col);
+// Draws every grid cell.
+function renderGrid(
+){
+  for(var k = 0; k < grid_cells; ++k) { renderCell(k) }
+}
 
-  next_cell.dataset.status = "animatingto"
-  cell.dataset.status = '0'//"animatingfrom"
 
-  anim_env = { 'cell' : cell
-             , 'next_cell' : next_cell
-             , 'content': anim_env["content"]
-             , 'cell_index' : [new_row,same_col]
-             , 'clone' : anim_env["clone"] }
+/* **************************************************
+// Places a given arrow into cell (i,j).
+// ************************************************** */
+function updateGridCell( i, j // Grid indices of the cell being updated.
+                       , content // A number representing the arrow being placed.
+){
+  grid[grid_id(i,j)] = parseInt(content)
+  renderCell(grid_id(i,j))
 
-  return anim_env
+  return true
 }
 
 
 /* **************************************************
-// Updates an animation environment when a gravity
-// animation has been completed.
+// Inserts a given arrow into cell (i,j), and applies
+// gravity to that cell.
 // ************************************************** */
-function updateEnvironmentPostAnimation( anim_env
-                                       , mu // For positioning the clone to hide the blinking at the end of the animation. Equal to 61*(i+3)
+function insertNewArrow( i, j // Grid indices of the cell being updated.
+                       , content // A number representing the arrow being placed.
 ){
-  anim_env["clone"].style.top = mu.toString() + 'px'
+  // If no such cell exists or the cell isn't empty, then reject the update.
+  // Cells that are waiting for a falling arrow look empty, so they're fair game.
+  if(!in_grid(i,j)) {return false }
+  if(grid[grid_id(i,j)] !== 0 && !(grid_id(i,j) in board.falling)) { return false }
+
+  content = parseInt(content)
+  let drop = dropArrow(grid, j, content)
+  if(drop === null) { return false }
+
+  recordHistory()
+  recordMove(encodeDrop(j))
+  grid = drop.grid
+
+  // The arrow falls from the cell that it was dropped in, or appears where it lands if that's lower down.
+  let start_row = Math.min(i, drop.row)
+  if(drop.row === start_row) { renderCell(grid_id(drop.row,j)); landingAnimation(get_grid_cell(drop.row,j), () => {}); }
+  else { animateFalls([{ from: grid_id(start_row,j), to: grid_id(drop.row,j), content: content }]) }
+  return true
+}
 
-  if(animating_columns.includes(anim_env['cell_index'][1])) // It should, by the way.
-  { animating_columns = remove_element(animating_columns, anim_env['cell_index'][1]) }
 
-  if(anim_env["next_cell"].dataset.status === "animatingto"){
-    //anim_env["next_cell"].dataset.status = anim_env["content"]
-    updateGridCell(anim_env["cell_index"][0]+1, anim_env["cell_index"][1], anim_env["content"])
-  }
+/* **************************************************
+// Drops next_arrow into cell (i,j), and moves the
+// preview arrow up. Returns true iff the drop was
+// successful.
+// ************************************************** */
+function dropNextArrow( i, j // Grid indices of the cell being dropped into.
+){
+  let dropped = next_arrow
+  if(drops_left === 0 || !insertNewArrow(i, j, next_arrow)) { return false }
+  clearHint()
+
+  updateNextArrows()
+  announce("Dropped " + arrow_names[dropped] + " in column " + (j+1).toString() + ". Next arrow: " + arrow_names[next_arrow] + ".")
+  ++arrows_placed
+  countStat('arrows_placed')
 
-  if(anim_env["cell"].dataset.status === "0")
+  if(drops_left !== null)
   {
-    anim_env["cell"].dataset.status = "0"
-    anim_env["cell"].style.backgroundImage = "none"
+    --drops_left
+    updateLimitLabel()
+    if(drops_left === 0) { announce("That was the last arrow.") }
   }
+  endGameCheck()
+
+  // In a versus game, the drop ends the turn.
+  if(game_mode === "versus") { passTurn() }
+
+  return true
+}
+
+
+/* **************************************************
+// Builds/styles a clone of the arrow in cell k for a
+// gravity animation.
+// ************************************************** */
+function cloneCell( k
+,                   content
+){
+  const clone = document.createElement('div');
+  clone.classList.add('cell')
+  clone.dataset.status = content
+  clone.dataset.origin = k
 
-  landingAnimation(anim_env["clone"], () => anim_env["clone"].remove())
+  clone.style.zIndex = 1
+  clone.style.position = 'absolute'
+  clone.style.top = (anim_height*grid_indices(k)[0]).toString() + "px"
+  clone.style.left = "3px"
+  clone.style.width = "53px"
+  clone.style.height = "53px"
+  clone.style.backgroundImage = arrow_path(content)
+  clone.style.animationFillMode = "forwards";
+
+  get_cell_container(k).appendChild(clone);
+
+  return clone
 }
 
 
@@ -350,82 +583,89 @@ function landingAnimation( object_to_animate // e.g. a cell clone.
 
 
 /* **************************************************
-// Applies a gravity transformation / animation to
-// grid cell (i,j).
+// Animates every fall reported by resolveGravity at
+// the same time. Each arrow falls from its cell to
+// the cell it lands in, in one animation. An arrow
+// that's still in the air from an earlier fall
+// continues from wherever it is.
 // ************************************************** */
-function applyGravitySteps( i, j
+function animateFalls( falls // A list of { from, to, content } objects from resolveGravity.
 ){
-  // Create a new animation environment.
-  let anim_env = getAnimationEnvironment(i,j)
-  if(Object.keys(anim_env).length === 0){ return false }
+  // Pick up the arrows that are still in the air first, so that the order of the falls doesn't matter.
+  let in_flight = falls.map(fall => { let entry = board.falling[fall.from]; delete board.falling[fall.from]; return entry })
 
-  // Perform the first gravity step.
-  var anim_1 = anim_env["clone"].animate(anim(0+i), gravity_duration);
-  anim_1.finished.then( () =>
-  {
-    // If cell (i, j) has not reached its final destination, then we continue applying gravity and
-    // checking, and so on, until we are sure that (i, j) has reached the lowest cell in the column.
-    if(can_be_dropped_to(i+2,j)){
-      // Updates the animation environment
-      anim_env = updateEnvironmentMidAnimation(anim_env)
-      // Performs another gravity step.
-      var anim_2 = anim_env["clone"].animate(anim(1+i), gravity_duration);
-      return anim_2.finished.then( () =>
-      {
-        if(can_be_dropped_to(i+3,j)) {
-          anim_env = updateEnvironmentMidAnimation(anim_env)
-          var anim_3 = anim_env["clone"].animate(anim(2+i), gravity_duration);
-          return anim_3.finished.then( () =>
-          {
-            if(can_be_dropped_to(i+4,j)) {
-              anim_env = updateEnvironmentMidAnimation(anim_env)
-              var anim_4 = anim_env["clone"].animate(anim(3+i), gravity_duration);
-              return anim_4.finished.then( () =>
-              {
-                updateEnvironmentPostAnimation(anim_env,anim_height*4) // Finished gravity application after four steps.
-              })
-            }
-            else { updateEnvironmentPostAnimation(anim_env,anim_height*(i+3)) } // Finished gravity application after three steps.
-          })
-        }
-        else { updateEnvironmentPostAnimation(anim_env,anim_height*(i+2)) } // Finished gravity application after two steps.
-      })
-    }
-    else { updateEnvironmentPostAnimation(anim_env,anim_height*(i+1)) } // Finished gravity application after one step.
-  })
+  falls.forEach((fall, n) => animateFall(fall, in_flight[n]))
 }
 
 
 /* **************************************************
-// Applies a gravity transformation / animation to
-// grid cell (i,j) after an action in the grid (as
-// opposed to dropping a new cell into the grid).
+// Animates one arrow falling from one cell to
+// another. See animateFalls.
 // ************************************************** */
-function applyActionGravity( i, j
+function animateFall( fall // A { from, to, content } object from resolveGravity.
+                    , in_flight // The { clone, animation } of the arrow if it's still in the air, and undefined otherwise.
 ){
-  // Make sure that animating i,j even makes sense in the first place.
-  if(i < 0 || j < 0 || i >= 4 || j > 4) { return false }
+  let clone = null, start_top = 0,
+      end_top = anim_height*grid_indices(fall.to)[0];
+
+  if(in_flight === undefined)
+  {
+    clone = cloneCell(fall.from, fall.content)
+    start_top = anim_height*grid_indices(fall.from)[0]
+  }
+  else
+  {
+    // Freeze the clone where it is, and carry on from there.
+    clone = in_flight.clone
+    start_top = parseFloat(window.getComputedStyle(clone).top)
+    in_flight.animation.cancel()
+  }
+
+  // Arrows fall at the same speed no matter how far they go.
+  let animation = clone.animate([ { top: start_top.toString() + 'px' }, { top: end_top.toString() + 'px' } ],
+                                gravity_duration*(end_top - start_top)/anim_height),
+      entry = { clone: clone, animation: animation };
+
+  clone.style.top = start_top.toString() + 'px'
+
+  // The grid already holds the arrow in its final cell, so hide it there until the clone lands.
+  board.falling[fall.to] = entry
+  renderCell(fall.from)
+  renderCell(fall.to)
+
+  // onfinish isn't called if the animation is cancelled, i.e. if the arrow is picked up by another fall.
+  animation.onfinish = () =>
+  {
+    clone.style.top = end_top.toString() + 'px'
 
-  // This is the cell that we want to apply gravity to.
-  let grid_cell_id = "cell" + grid_id(i,j).toString(),
-      grid_cell = document.getElementById(grid_cell_id),
-      status = grid_cell.dataset.status.toString();
+    if(board.falling[fall.to] === entry) { delete board.falling[fall.to] }
+    renderCell(fall.to)
 
-  // If cell i,j has no content, then return. "We can only animate that which exists." - Nietzsche.
-  if(status === "0" || grid_cell.dataset.status === "animatingto") { return false }
+    landingAnimation(clone, () => clone.remove())
+  }
+}
 
-  // This case is possible, but we should treat it as we do the case when grid_cell.dataset.status === "0".
-  //if(grid_cell.dataset.status === "animatingto" ) { grid_cell.style.opacity=1; landingAnimation(grid_cell, () => {}); return false }
 
-  // Apply gravity to the current cell.
-  applyGravitySteps(i, j)
+/* **************************************************
+// Stops every gravity animation, and draws each arrow
+// in the cell that it was falling to. Used whenever
+// the grid is replaced, e.g. by an undo.
+// ************************************************** */
+function settleFalls(
+){
+  for(let k in board.falling)
+  {
+    board.falling[k].animation.cancel()
+    board.falling[k].clone.remove()
+  }
 
-  // And attempt to apply gravity to the cell above.
-  applyActionGravity(i-1,j)
+  board.falling = {}
+  renderGrid()
 }
 
+
 /* ************************************************************************************* */
-// New arrow drag event
+// Drag events
 
 
 /* **************************************************
@@ -439,8 +679,8 @@ function cloneNextArrow(
   na.style.opacity = "0";
   na_clone.style.position = 'absolute';
   na_clone.style.zIndex = 1;
-  na_clone.style.width = "60px";
-  na_clone.style.height = "60px";
+  na_clone.style.width = (cell_size*grid_scale()).toString() + "px";
+  na_clone.style.height = (cell_size*grid_scale()).toString() + "px";
 
   return na_clone
 }
@@ -454,16 +694,16 @@ function updateCellHighlighting( x, y // User's touch location.
                                , last_hovered_grid_cell
 ){
   // Determine if the location (x,y) corresponds to a grid cell.
-  if(1 <= x && x <= 299 && 1 <= y && y<=299)
+  let k = pointToCell(x,y)
+  if(k !== null)
   {
-    let cell_i = Math.floor(y/60), cell_j = Math.floor(x/60),
-        grid_cell_container_id = "cell_container" + grid_id(cell_i,cell_j).toString();
+    let grid_cell_container_id = "cell_container" + k.toString();
 
     // Resets cells that are no longer being hovered over.
     if(last_hovered_grid_cell !== "") { document.getElementById(last_hovered_grid_cell).style.borderColor = "#222" }
     
-    // Highlight the hovered cell.
-    if(!arrows.includes(parseInt(document.getElementById( "cell" + grid_id(cell_i,cell_j).toString()).dataset.status)))
+    // Highlight the hovered cell. Cells that are waiting for a falling arrow look empty, so they count too.
+    if(grid[k] === 0 || k in board.falling)
     {
       document.getElementById(grid_cell_container_id).style.borderColor = cell_highlighting_color;
       last_hovered_grid_cell = grid_cell_container_id
@@ -478,119 +718,101 @@ function updateCellHighlighting( x, y // User's touch location.
 
 
 /* **************************************************
-// Creates a drag listener for desktop browsers on the
-// next_arrow element so that the user can drag and
-// drop new arrows into the grid.
+// Returns the id of the grid cell under the point
+// (x,y), given in grid units relative to the top left
+// corner of the grid (see gridPoint), or null if the
+// point isn't in the grid.
 // ************************************************** */
-function addArrowDesktopListener( e
+function pointToCell( x, y
 ){
-  let na = document.getElementById('next_arrow')
-  const na_clone = cloneNextArrow()
-  
-  function moveTo(pageX, pageY) { na_clone.style.left = pageX - na_clone.offsetWidth / 2 + 'px'; na_clone.style.top = pageY - na_clone.offsetHeight / 2 + 'px';}
-  moveTo(e.pageX, e.pageY);
-
-  let rect = document.getElementById('ag_grid').getBoundingClientRect();
-  let last_hovered_grid_cell = "";
-
-  function onMouseMove(e2)
-  {
-    let [x,y] = [e2.clientX - rect.left, e2.clientY - rect.top]
-
-    // Update cell highlighting.
-    last_hovered_grid_cell = updateCellHighlighting(x,y,last_hovered_grid_cell)
-    moveTo(e2.pageX, e2.pageY);
-  }
-
-  document.addEventListener('mousemove', onMouseMove);
-
-  na_clone.onmouseup = function(e3) {
-
-    let [x,y] = [e3.clientX - rect.left, e3.clientY - rect.top]
-
-    if(last_hovered_grid_cell !== "") { document.getElementById(last_hovered_grid_cell).style.borderColor = "#222" }
-
-    if(1 <= x && x <= 299 && 1 <= y && y<=299)
-    {
-      let cell_i = Math.floor(y/60), cell_j = Math.floor(x/60)
-      var drop_successful = insertNewArrow(cell_i, cell_j, na.dataset.status)
-      if(drop_successful)
-      { updateNextArrows(); ++arrows_placed; if(arrows_placed === 25){endGameCheck()} }
-    }
-    document.removeEventListener('mousemove', onMouseMove);
-    na_clone.onmouseup = null;
+  let extent = cell_size*grid_size
+  if(1 <= x && x <= extent-1 && 1 <= y && y <= extent-1) { return grid_id(Math.floor(y/cell_size), Math.floor(x/cell_size)) }
+  return null
+}
 
-    na_clone.remove();
 
-    na.style.opacity = "1";
-  };
+// Returns the location of a pointer event in grid units, relative to the top left corner of the grid.
+function gridPoint( e
+){
+  let rect = document.getElementById('ag_grid').getBoundingClientRect(),
+      scale = rect.width / (cell_size*grid_size);
+  return [(e.clientX - rect.left) / scale, (e.clientY - rect.top) / scale]
 }
 
 
 /* **************************************************
-// Creates a drag listener for mobile browsers on the
-// next_arrow element so that the user can drag and
-// drop new arrows into the grid.
+// Drags a clone along with the pointer that started
+// a drag, until that pointer is lifted. Both drag
+// listeners go through here, so mice, touches and
+// pens all behave the same, and can be mixed freely
+// on hybrid devices. Only one drag happens at a time;
+// any other pointers are ignored until it ends.
 // ************************************************** */
-function addArrowMobileListener( e
+function dragClone( e // The pointerdown event that started the drag.
+                  , clone // e.g. from cloneNextArrow.
+                  , element // The element that was pressed. It captures the pointer for the rest of the drag.
+                  , onMove // Called with the location of the pointer in the grid (see gridPoint) as it moves.
+                  , onDrop // Called with the location of the pointer in the grid when it's lifted, or with null if the drag was cancelled.
 ){
-  e.preventDefault();
-
-  let na = document.getElementById('next_arrow')
-  const na_clone = cloneNextArrow()
-  
-  var t = e.touches[0] || e.changedTouches[0];
-  const [origin_x, origin_y] = [t.clientX, t.clientY]
-
-  moveTo(origin_x, origin_y + document.documentElement.scrollTop)//moveTo(t.clientX, t.clientY);
+  drag_pointer = e.pointerId
 
-  // Centering.
-  function moveTo(pageX, pageY) { na_clone.style.left = pageX - na_clone.offsetWidth / 2 + 'px'; na_clone.style.top = pageY - na_clone.offsetHeight / 2 + 'px';}
+  function moveTo(e2) { clone.style.left = e2.pageX - clone.offsetWidth / 2 + 'px'; clone.style.top = e2.pageY - clone.offsetHeight / 2 + 'px'; }
+  moveTo(e)
 
-  let last_hovered_grid_cell = ""
-
-  let getTouchCoords = e => (((t, rect) => [t, t.clientX - rect.left, t.clientY - rect.top])(e.touches[0] || e.changedTouches[0], document.getElementById('ag_grid').getBoundingClientRect()))
+  function onPointerMove(e2)
+  {
+    if(e2.pointerId !== drag_pointer) { return }
+    moveTo(e2)
+    onMove(...gridPoint(e2))
+  }
 
-  function onMouseMove(e2)
+  function onPointerEnd(e3)
   {
-    // t2 is a touch object. x and y are the coordinates of the touch.
-    let [t2,x,y] = getTouchCoords(e2)
+    if(e3.pointerId !== drag_pointer) { return }
 
-    // Update cell highlighting.
-    last_hovered_grid_cell = updateCellHighlighting(x,y,last_hovered_grid_cell)
+    element.removeEventListener('pointermove', onPointerMove)
+    element.removeEventListener('pointerup', onPointerEnd)
+    element.removeEventListener('pointercancel', onPointerEnd)
+    drag_pointer = null
+    clone.remove()
 
-    moveTo(t2.clientX,t2.clientY + document.documentElement.scrollTop);
+    onDrop(e3.type === 'pointerup'? gridPoint(e3) : null)
   }
 
-  
-  document.addEventListener('touchmove', onMouseMove, false);
-
-  function X(e3)
-  {
-    e3.preventDefault();
-
-    // t3 is a touch object. x and y are the coordinates of the touch.
-    let [t3,x,y] = getTouchCoords(e3)
+  // Capturing the pointer sends its events to element, even once it has left element.
+  element.setPointerCapture(e.pointerId)
+  element.addEventListener('pointermove', onPointerMove)
+  element.addEventListener('pointerup', onPointerEnd)
+  element.addEventListener('pointercancel', onPointerEnd)
+}
 
-    if(last_hovered_grid_cell !== "") { document.getElementById(last_hovered_grid_cell).style.borderColor = "#222" }
 
-    if(1 <= x && x <= 299 && 1 <= y && y<=299)
-    {
-      let cell_i = Math.floor(y/60), cell_j = Math.floor(x/60)
-      var drop_successful = insertNewArrow(cell_i, cell_j, na.dataset.status)
-      if(drop_successful) { updateNextArrows(); ++arrows_placed; if(arrows_placed === 25){endGameCheck()} }
-    }
+/* **************************************************
+// Creates a drag listener on the next_arrow element
+// so that the user can drag and drop new arrows into
+// the grid.
+// ************************************************** */
+function addArrowPointerListener(
+){
+  let na = document.getElementById('next_arrow')
 
-    //na.removeEventListener('touchmove', onMouseMove);
-    na.style.opacity = "1";
+  na.addEventListener('pointerdown', e => {
+    if(replaying || editing || drag_pointer !== null || e.button !== 0) { return }
+    e.preventDefault()
 
-    document.removeEventListener('touchmove', onMouseMove);
-    na_clone.remove();
+    const na_clone = cloneNextArrow()
+    let last_hovered_grid_cell = ""
 
-    na.removeEventListener('touchend', X)
-  }
+    dragClone(e, na_clone, na,
+      (x,y) => { last_hovered_grid_cell = updateCellHighlighting(x,y,last_hovered_grid_cell) },
+      point => {
+        if(last_hovered_grid_cell !== "") { document.getElementById(last_hovered_grid_cell).style.borderColor = "#222" }
+        na.style.opacity = "1"
 
-  na.addEventListener('touchend', X, false);
+        let k = point === null? null : pointToCell(...point)
+        if(k !== null) { dropNextArrow(...grid_indices(k)) }
+      })
+  })
 }
 
 
@@ -598,269 +820,116 @@ function addArrowMobileListener( e
 
 
 /* **************************************************
-// This function should only be called from the
-// grid listener, unless you're really sure there
-// won't be side effects.
+// Performs the grid action of dragging the arrow in
+// cell src onto the arrow in cell dest, if there is
+// one. Updates the score and spins, and animates the
+// gravity that follows. Returns true iff the action
+// was performed.
 // ************************************************** */
-function handleAction( cell, cell_clone, x, y
+function performGridAction( src, dest // Cell ids.
 ){
-  if(1 <= x && x <= 299 && 1 <= y && y<=299)
-  {
-    let cell_i = Math.floor(y/60), cell_j = Math.floor(x/60)
-    if(animating_columns.includes(cell_j) || animating_columns.includes(parseInt(cell_clone.dataset.origin % 5))){ cell.style.opacity = "1"; cell_clone.remove(); return -1; } 
-
-    let src_content = parseInt(cell_clone.dataset.status),
-        dest_content = parseInt(document.getElementById("cell" + grid_id(cell_i,cell_j)).dataset.status),
-        new_src_content = null, new_dest_content = null,
-        origin = grid_indices(cell_clone.dataset.origin),
-        action_dist = grid_id(cell_i,cell_j)-cell_clone.dataset.origin;
+  // Arrows that are still in the air can't be acted on until they land.
+  if(src in board.falling || dest in board.falling) { return false }
 
-    if(!resolveEdgeError(origin, [cell_i,cell_j], action_dist))
-    { cell.style.opacity = "1"; cell_clone.remove(); return -1 }
-
-    // Determine what action, if any, can be performed on the source and dest cells.
-    let action = classifyAction(src_content, dest_content, action_dist)
-    
-    if(do_debug){ console.log("ACTION: ", action) }
+  // Determine what action, if any, can be performed on the source and dest cells.
+  let result = applyAction(grid, src, dest)
+  if(result === null) { return false }
 
-    // Relates the arrow type to the score. The actual score depends on the arrow type as well as the action type.
-    let u = basic_arr.includes(src_content)? 2 : mid_arr.includes(src_content)? 4 : src_content === 40 ? 9 : 6;
+  if(do_debug){ console.log("ACTION: ", result.action, "[source, dest] = ", [grid[src], grid[dest]]) }
 
-    switch(action)
-    {
-      case Merge:
-        if(do_debug){ console.log("Merge: [source, dest] = ", [src_content, dest_content]) }
-        score += 2
-        new_src_content = 0
-        new_dest_content = src_content
-        --arrows_placed;
-        break
-
-      case Combine:
-        if(do_debug){ console.log("Combine: [source, dest] = ", [src_content, dest_content]) }
-        score += 2**(u+1);
-        new_src_content = 0
-        new_dest_content = (src_content + dest_content) % 80
-        --arrows_placed
-        break
-
-      case Cancel:
-        if(do_debug){ console.log("Cancel: [source, dest] = ", [src_content, dest_content]) }
-
-        // Cancel two maxed arrows.
-        if(src_content + dest_content === 80)
-        { spins_remaining += 1; document.getElementById("swap-label").innerHTML = spins_remaining.toString(); }
-        // Other types of cancels:
-        score += 2**(u) + 2;
-
-        new_src_content = 0
-        new_dest_content = 0
-        arrows_placed -= 2
-        break
-
-      default:
-        cell_clone.remove();
-        cell.style.opacity = "1";
-        return -1;
-    }
-    
-    if(do_debug){ console.log("origin[0], origin[1], new_src_content = ", [origin[0], origin[1], new_src_content]) }
+  recordHistory()
+  recordMove(encodeAction(src, dest))
+  clearHint()
+  announce(describeAction(result.action, grid[src], grid[dest], result.score))
 
-    updateGridCell(origin[0], origin[1], new_src_content)
-    updateGridCell(cell_i, cell_j, new_dest_content)
+  board.score += result.score
+  arrows_placed -= result.removed
+  document.getElementById("score").innerHTML = board.score.toString()
+  countStat(result.action === Merge? 'merges' : result.action === Combine? 'combines' : 'cancels')
 
-    // This might cause some issues, but it makes the animations more consistent.
-    // If it does cause problems, there's really no harm in removing it. Low priority.
-    let cell2 = document.getElementById("cell" + grid_id(cell_i,cell_j))
-    cell.style.opacity=1; landingAnimation(cell, () => {});
-    cell2.style.opacity=1; landingAnimation(cell2, () => {});
+  // Cancelling two maxed arrows earns a swap.
+  if(result.spins > 0)
+  {
+    board.spins_remaining += result.spins; document.getElementById("swap-label").innerHTML = board.spins_remaining.toString(); announce("Earned a swap. " + describeSwaps())
+    if(!replaying) { ++game_stats.star_swaps }
+    // In a race, it drops a junk arrow on the other racers too.
+    if(game_mode === "race" && !replaying) { sendJunk() }
+  }
+  announce("Score: " + board.score.toString() + ".")
 
+  // Settle the grid, and animate whatever fell into the gaps left by the action.
+  let gravity = resolveGravity(result.grid)
+  grid = gravity.grid
+  renderGrid()
+  animateFalls(gravity.falls)
 
-    // Handle the cases where two rows are deleted from the same column.
-    if(src_content === 1 && dest_content === 5 && action_dist === -5)
-    { applyActionGravity(cell_i-1, cell_j); }
-    else if(src_content === 5 && dest_content === 1 && action_dist === 5)
-    { applyActionGravity(origin[0]-1, origin[1]);}
-    else
-    {
-      // Handle removal of the source arrow.
-      if(new_src_content === 0)
-      { applyActionGravity(origin[0]-1, origin[1]) }
+  // This might cause some issues, but it makes the animations more consistent.
+  // If it does cause problems, there's really no harm in removing it. Low priority.
+  let cell = get_cell(src), cell2 = get_cell(dest)
+  cell.style.opacity=1; landingAnimation(cell, () => {});
+  cell2.style.opacity=1; landingAnimation(cell2, () => {});
 
-      // Handle removal of the dest arrow.
-      if(new_dest_content === 0)
-      { applyActionGravity(cell_i-1, cell_j) }
-    }
-  }
-  document.getElementById("score").innerHTML = score.toString()
-  cell_clone.remove();
-  cell.style.opacity = "1";
+  endGameCheck()
+  return true
 }
 
 
-/* *********************************************************
-// Creates a listener for grid actions on desktop browsers.
-// Whenever a non-empty grid cell is touched, its content
-// is made invisible, and a draggable clone of its content
-// is created. When the drag ends, handleAction is called
-// on the cell that was dragged from and the cell that was
-// dragged to (if such a cell exists). 
-// ********************************************************* */
-function addDesktopgridListener(
+/* **************************************************
+// Clones the arrow in cell k for a grid action drag.
+// ************************************************** */
+function cloneGridCell( k
 ){
-  storeCellIds()
-  document.getElementById('ag_grid').onmousedown = function(e1) {
-
-    e1.preventDefault();
-
-    let rect = document.getElementById('ag_grid').getBoundingClientRect();
-    let [x,y] = [e1.pageX - rect.left, e1.pageY - rect.top + document.documentElement.scrollTop];
-
-    // Check if the user has touched a cell.
-    if(1 > x || x > 299 || 1 > y || y>299)
-    { return; }
-  
-    // Determine the touched cell.
-    let cell_i = Math.floor(y/60), cell_j = Math.floor(x/60),
-        touched_cell_id = "cell" + grid_id(cell_i,cell_j).toString()
-    touched_cell = document.getElementById(touched_cell_id);
-
-    const cell_clone = touched_cell.cloneNode(true)
-    document.body.append(cell_clone);
-
-    touched_cell.style.opacity = "0";
-
-    cell_clone.style.position = 'absolute';
-    cell_clone.style.width = "60px";
-    cell_clone.style.height = "60px";
-    cell_clone.style.marginLeft = "-1px"
-    cell_clone.style.marginTop = "3px"
-
-    function moveTo(pageX, pageY){ cell_clone.style.left = pageX - cell_clone.offsetWidth / 2 + 'px'; cell_clone.style.top = pageY - cell_clone.offsetHeight / 2 + 'px';}
-    moveTo(e1.pageX, e1.pageY);
+  const cell_clone = get_cell(k).cloneNode(true)
+  document.body.append(cell_clone);
 
-    function onMouseMove(e) { moveTo(e.pageX, e.pageY); }
-    document.addEventListener('mousemove', onMouseMove);
+  cell_clone.style.position = 'absolute';
+  cell_clone.style.width = (cell_size*grid_scale()).toString() + "px";
+  cell_clone.style.height = (cell_size*grid_scale()).toString() + "px";
+  cell_clone.style.marginLeft = "-1px"
+  cell_clone.style.marginTop = "3px"
 
-    cell_clone.onmouseup = function(e)
-    {
-      document.removeEventListener('mousemove', onMouseMove);
-      cell_clone.onmouseup = null;
-
-      let rect = document.getElementById('ag_grid').getBoundingClientRect(),
-          x2 = e.clientX - rect.left,
-          y2 = e.clientY - rect.top;
-
-      handleAction(touched_cell, cell_clone, x2, y2)
-    };
-  };
+  return cell_clone
 }
 
 
-
 /* *********************************************************
-// Creates a listener for grid actions on mobile browsers.
-// Whenever a non-empty grid cell is touched, its content
-// is made invisible, and a draggable clone of its content
-// is created. When the drag ends, handleAction is called
-// on the cell that was dragged from and the cell that was
-// dragged to (if such a cell exists). The desktop version
-// works in mostly the same way.
+// Creates a listener for grid actions. Whenever a non-empty
+// grid cell is pressed, its content is made invisible, and
+// a draggable clone of its content is created. When the
+// drag ends, performGridAction is called on the cell that
+// was dragged from and the cell that was dragged to (if
+// such a cell exists).
 // ********************************************************* */
-function addMobileGridListener(
+function addGridPointerListener(
 ){
-  storeCellIds()
-  document.getElementById('ag_grid').addEventListener('touchstart', e1 => {
+  let ag_grid = document.getElementById('ag_grid')
 
-    e1.preventDefault();
+  ag_grid.addEventListener('pointerdown', e => {
+    e.preventDefault();
+    if(replaying || drag_pointer !== null || e.button !== 0) { return }
 
-    let rect = document.getElementById('ag_grid').getBoundingClientRect();
-    var t = e1.touches[0] || e1.changedTouches[0];
-    let [x,y] = [t.clientX - rect.left, t.clientY - rect.top + document.documentElement.scrollTop];
+    // The level editor paints cells instead. See editor.js.
+    if(editing) { let k = pointToCell(...gridPoint(e)); if(k !== null) { paintCell(k) }; return }
 
-    // Check if the user has touched a cell.
-    if(1 > x || x > 299 || 1 > y || y>299) { return; }
-  
-    // Determine the touched cell.
-    let cell_i = Math.floor(y/60), cell_j = Math.floor(x/60),
-        touched_cell_id = "cell" + grid_id(cell_i,cell_j).toString()
-    touched_cell = document.getElementById(touched_cell_id);
-
-    const cell_clone = touched_cell.cloneNode(true)
-    document.body.append(cell_clone);
+    // Check if the user has pressed an arrow. Arrows that are still in the air can't be dragged.
+    let src = pointToCell(...gridPoint(e))
+    if(src === null || grid[src] === 0 || src in board.falling) { return }
 
+    let touched_cell = get_cell(src)
+    const cell_clone = cloneGridCell(src)
     touched_cell.style.opacity = "0";
 
-    cell_clone.style.position = 'absolute';
-    cell_clone.style.width = "60px";
-    cell_clone.style.height = "60px";
-    cell_clone.style.marginLeft = "-1px"
-    cell_clone.style.marginTop = "3px"
-
-    function moveTo(pageX, pageY){ cell_clone.style.left = pageX - cell_clone.offsetWidth / 2 + 'px'; cell_clone.style.top = pageY - cell_clone.offsetHeight / 2 + 'px';}
-    moveTo(t.clientX, t.clientY);
+    dragClone(e, cell_clone, ag_grid, () => {},
+      point => {
+        touched_cell.style.opacity = "1";
 
-    function onTouchMove(e2) { let t2 = e2.touches[0] || e2.changedTouches[0]; moveTo(t2.clientX, t2.clientY);  }
-    document.addEventListener('touchmove', onTouchMove)
-
-    function X(e3)
-    {
-      document.removeEventListener('touchmove', onTouchMove)
-
-      var t3 = e3.touches[0] || e3.changedTouches[0];
-      let rect = document.getElementById('ag_grid').getBoundingClientRect(),
-          [x2,y2] = [t3.clientX - rect.left, t3.clientY - rect.top + document.documentElement.scrollTop]
-
-      handleAction(touched_cell, cell_clone, x2, y2)
-      document.getElementById('ag_grid').removeEventListener('touchend', X)
-    }
-
-    //console.log("added touch end event.")
-    document.getElementById('ag_grid').addEventListener('touchend', X)
+        let dest = point === null? null : pointToCell(...point)
+        if(dest !== null) { performGridAction(src, dest) }
+      })
   })
 }
 
 
-// Stores a unique id in each grid cell.
-// The id of cell (i,j) is i*5+j.
-function storeCellIds(
-){
-  // Store the id of each cell in that cell.
-  for(var i = 0; i < 25; i++) {
-    let cell = document.querySelector('#cell' + i.toString())
-    cell.dataset.origin = i
-  }
-}
-
-
-/* *************************************************************************************************************************************************************************************************************************************************************** */
-// In this section, we check if the user is on a mobile browser,
-// and initialize the drag event listeners accordingly.
-
-// If the user is on a phone, add a step button. Also, make the step
-// button draggable so that the user can interact with any cells under it.
-// https://stackoverflow.com/questions/11381673/detecting-a-mobile-browser.
-let mobile_check = false;
-
-window.mobileCheck = function(){
-  // Test for mobile devices/browsers.
-  (function(a){if(navigator.maxTouchPoints && navigator.maxTouchPoints > 2 && /MacIntel/.test(navigator.platform) || /Tablet|iPad|(android|bb\d+|meego).+mobile|avantgo|bada\/|blackberry|blazer|compal|elaine|fennec|hiptop|iemobile|ip(hone|od)|iris|kindle|lge |maemo|midp|mmp|mobile.+firefox|netfront|opera m(ob|in)i|palm( os)?|phone|p(ixi|re)\/|plucker|pocket|psp|series(4|6)0|symbian|treo|up\.(browser|link)|vodafone|wap|windows ce|xda|xiino/i.test(a)||/1207|6310|6590|3gso|4thp|50[1-6]i|770s|802s|a wa|abac|ac(er|oo|s\-)|ai(ko|rn)|al(av|ca|co)|amoi|an(ex|ny|yw)|aptu|ar(ch|go)|as(te|us)|attw|au(di|\-m|r |s )|avan|be(ck|ll|nq)|bi(lb|rd)|bl(ac|az)|br(e|v)w|bumb|bw\-(n|u)|c55\/|capi|ccwa|cdm\-|cell|chtm|cldc|cmd\-|co(mp|nd)|craw|da(it|ll|ng)|dbte|dc\-s|devi|dica|dmob|do(c|p)o|ds(12|\-d)|el(49|ai)|em(l2|ul)|er(ic|k0)|esl8|ez([4-7]0|os|wa|ze)|fetc|fly(\-|_)|g1 u|g560|gene|gf\-5|g\-mo|go(\.w|od)|gr(ad|un)|haie|hcit|hd\-(m|p|t)|hei\-|hi(pt|ta)|hp( i|ip)|hs\-c|ht(c(\-| |_|a|g|p|s|t)|tp)|hu(aw|tc)|i\-(20|go|ma)|i230|iac( |\-|\/)|ibro|idea|ig01|ikom|im1k|inno|ipaq|iris|ja(t|v)a|jbro|jemu|jigs|kddi|keji|kgt( |\/)|klon|kpt |kwc\-|kyo(c|k)|le(no|xi)|lg( g|\/(k|l|u)|50|54|\-[a-w])|libw|lynx|m1\-w|m3ga|m50\/|ma(te|ui|xo)|mc(01|21|ca)|m\-cr|me(rc|ri)|mi(o8|oa|ts)|mmef|mo(01|02|bi|de|do|t(\-| |o|v)|zz)|mt(50|p1|v )|mwbp|mywa|n10[0-2]|n20[2-3]|n30(0|2)|n50(0|2|5)|n7(0(0|1)|10)|ne((c|m)\-|on|tf|wf|wg|wt)|nok(6|i)|nzph|o2im|op(ti|wv)|oran|owg1|p800|pan(a|d|t)|pdxg|pg(13|\-([1-8]|c))|phil|pire|pl(ay|uc)|pn\-2|po(ck|rt|se)|prox|psio|pt\-g|qa\-a|qc(07|12|21|32|60|\-[2-7]|i\-)|qtek|r380|r600|raks|rim9|ro(ve|zo)|s55\/|sa(ge|ma|mm|ms|ny|va)|sc(01|h\-|oo|p\-)|sdk\/|se(c(\-|0|1)|47|mc|nd|ri)|sgh\-|shar|sie(\-|m)|sk\-0|sl(45|id)|sm(al|ar|b3|it|t5)|so(ft|ny)|sp(01|h\-|v\-|v )|sy(01|mb)|t2(18|50)|t6(00|10|18)|ta(gt|lk)|tcl\-|tdg\-|tel(i|m)|tim\-|t\-mo|to(pl|sh)|ts(70|m\-|m3|m5)|tx\-9|up(\.b|g1|si)|utst|v400|v750|veri|vi(rg|te)|vk(40|5[0-3]|\-v)|vm40|voda|vulc|vx(52|53|60|61|70|80|81|83|85|98)|w3c(\-| )|webc|whit|wi(g |nc|nw)|wmlb|wonu|x700|yas\-|your|zeto|zte\-/i.test(a.substr(0,4))) mobile_check = true;})(navigator.userAgent||navigator.vendor||window.opera);
-
-  let na = document.getElementById('next_arrow')
-
-  // If the user is on a mobile device/browser, initialize the mobile listeners.
-  if(mobile_check){
-    na.addEventListener('touchstart', addArrowMobileListener, false)
-    addMobileGridListener() 
-  }
-  // Otherwise, initialize the desktop listeners.
-  else{
-    na.onmousedown = addArrowDesktopListener
-    addDesktopgridListener()
-  }
-};
-
-//window.mobileCheck()
 
 /* *************************************************************************************************************************************************************************************************************************************************************** */
 
@@ -874,6 +943,7 @@ function overrideNextArrow( n // ID of arrow to be replaced with current next ar
   let next_arrow_div = document.getElementById("next_arrow")
   next_arrow_div.dataset.status = n
   next_arrow_div.style.backgroundImage = arrow_path(n)
+  labelNextArrows()
 }
 
 
@@ -886,6 +956,7 @@ function overrideNextNextArrow( n // ID of arrow to be replaced with current nex
   let next_next_arrow_div = document.getElementById("next_next_arrow")
   next_next_arrow_div.dataset.status = n
   next_next_arrow_div.style.backgroundImage = arrow_path(n)
+  labelNextArrows()
 }
 
 
@@ -907,14 +978,7 @@ function changeColor( color
 
   overrideNextArrows(next_arrow, next_next_arrow)
 
-  for(var i = 0; i < 25; ++i)
-  {
-    let cell_i = document.getElementById('cell'+i.toString()),
-        status = cell_i.dataset.status
-
-    cell_i.style.backgroundImage = arrows.includes(parseInt(status))? arrow_path(status) : arrow_path(0)
-  }
-
+  renderGrid()
 }
 
 
@@ -952,10 +1016,13 @@ $(document).ready( () => {
   // This style class allows us to circumvent unwanted initial css animations.
   sleep(500).then(() => {document.body.classList.remove('preload'); })
 
-  // Check the user's device type.
-  window.mobileCheck()
+  addArrowPointerListener()
+  addGridPointerListener()
+  addKeyboardListener()
+  buildGrid()
 
   initializeGame()
+  loadVariants().then(updateRulesSelect)
 
   //debug()
 });
@@ -967,123 +1034,290 @@ $(document).ready( () => {
 // **************************************************** */
 function initializeGame(
 ){
-  arrows_placed = 0;
-  let did_save_content = window.localStorage.getItem('did_save_content')
-
-  if(did_save_content !== null && did_save_content !== "false")
-  {
-    // Get the user's saved game state from local storage.
-    let saved_next_arrow = window.localStorage.getItem('next_arrow'),
-        saved_next_next_arrow = window.localStorage.getItem('next_next_arrow'),
-        saved_spins = parseInt(window.localStorage.getItem('spins')),
-        saved_score = parseInt(window.localStorage.getItem('score')),
-        saved_color = window.localStorage.getItem('color');
-
-    // Load the user's saved spin count.
-    spins_remaining = isNaN(saved_spins)? "3" : saved_spins;
-    document.getElementById('swap-label').innerHTML = spins_remaining.toString()
-
-    // Load the user's saved score.
-    score = isNaN(saved_score)? "0" : saved_score
-    document.getElementById('score').innerHTML = score.toString()
-
-    // Load the user's saved color choice.
-    if(!["black", "white", "pink", "yellow", "orange", "green", "purple", "blue" ].includes(saved_color))
-    { saved_color = "blue" }
-    arrow_color = saved_color
-
-    // Load the user's saved new arrows.
-    next_arrow = arrows.includes(saved_next_arrow)? saved_next_arrow : null
-    next_next_arrow = arrows.includes(saved_next_next_arrow)? saved_next_next_arrow : null
-    overrideNextArrows(saved_next_arrow, saved_next_next_arrow)
-
-    // Load the user's saved grid.
-    for(var k = 0; k < 25; ++k)
-    {
-      let cell_id = 'cell'+k.toString(), 
-          saved_status = window.localStorage.getItem(cell_id),
-          [i,j] = grid_indices(k)
+  let saved = readSave(),
+      saved_color = window.localStorage.getItem('color'),
+      url_seed = new URLSearchParams(window.location.search).get('seed'),
+      url_size = new URLSearchParams(window.location.search).get('size'),
+      url_board = new URLSearchParams(window.location.hash.slice(1)).get('board');
 
-      saved_status = arrows.includes(parseInt(saved_status))? saved_status : "0"
+  // Load the user's saved color choice.
+  if(arrow_colors.includes(saved_color)) { arrow_color = saved_color }
 
-      if(saved_status !== "0") { ++arrows_placed; if(arrows_placed === 25){endGameCheck()} }
+  // A ?seed= parameter starts a new game with a known sequence of arrows, and a ?size= parameter starts one on a grid of that size.
+  if((url_seed !== null && url_seed !== "") || url_size !== null)
+  {
+    if(url_size !== null && !resizeGrid(parseInt(url_size)))
+    { window.alert("The grid can be " + min_grid_size.toString() + " to " + max_grid_size.toString() + " cells on a side.") }
+    loadNewGame(url_seed === null || url_seed === ""? newSeed() : url_seed)
 
-      updateGridCell(i, j, saved_status)
-    }
+    // Forget the parameter, so that reloading the page resumes this game instead of restarting it.
+    window.history.replaceState(null, "", window.location.pathname)
   }
+  // A #board= fragment loads a shared board (see shareGame). Only ask before replacing a saved game.
+  else if(url_board !== null && importGame(url_board, saved === null))
+  { window.history.replaceState(null, "", window.location.pathname) }
+  else if(saved !== null && saved.problems.length === 0) { loadSave(saved.save); resumeSlot() }
   else
   {
+    if(saved !== null) { reportCorruptSave(saved.problems) }
     loadNewGame()
   }
 }
 
 
 /* **************************************************
-// Saves thse current score, spins, grid, and new
-// next arrows in local storage.
+// Shows a link to the current board, which loads the
+// board when opened. See encodeShareCode in save.js.
 // ************************************************** */
-function saveGame(
+function shareGame(
 ){
-  // Saves each grid cell.
-  for(var i = 0; i < 25; i++)
-  {
-    let status = document.getElementById('cell'+i.toString()).dataset.status;
-    window.localStorage.setItem("cell" + i.toString(), status)
-  }
+  let save = currentSave(),
+      problem = shareCodeProblem(save);
+  if(problem !== null) { window.alert("This board can't be shared.\n\n" + problem); return }
 
-  window.localStorage.setItem('next_next_arrow', next_next_arrow); 
-  window.localStorage.setItem('next_arrow', next_arrow);
-  window.localStorage.setItem('spins', spins_remaining);
-  window.localStorage.setItem('score', score);
-  window.localStorage.setItem('color', arrow_color);
-  
-  window.localStorage.setItem('did_save_content', 'true'); 
+  let url = window.location.origin + window.location.pathname + "#board=" + encodeShareCode(save, arrow_color)
+  window.prompt("Copy this link to share the board:", url)
 }
 
 
 /* **************************************************
-// Erases the save game state from local storage.
+// Loads a board from a share code, or from a link
+// made by shareGame. Returns true iff the board was
+// loaded. Prompts the user to confirm.
 // ************************************************** */
-function clearSavedGame(
+function importGame( code
+                   , bypass_confirmation = false
 ){
-  // Clears every cell.
-  for(var i = 0; i < 25; i++)
-  { window.localStorage.removeItem("cell" + i.toString()) }
+  if(replaying) { return false }
+
+  let shared = decodeShareCode(code)
+  if(shared.problems.length > 0) { window.alert("This board can't be loaded.\n\n" + shared.problems.join("\n")); return false }
+  if(!bypass_confirmation && !window.confirm("Click ok to replace the current game with this board")) { return false }
 
-  window.localStorage.removeItem('next_next_arrow'); 
-  window.localStorage.removeItem('next_arrow');
-  window.localStorage.removeItem('spins');
-  window.localStorage.removeItem('score');
-  // window.localStorage.removeItem('color'); // Probably better to leave this one out.
-  window.localStorage.removeItem('did_save_content');
+  arrow_color = shared.color
+  loadSave(shared.save)
+  leaveSlot()
+  return true
+}
+
+
+// Handles the load button. Asks for a share code or link.
+function importButtonClicked(
+){
+  let code = window.prompt("Paste a board code or link:")
+  if(code !== null && code.trim() !== "") { importGame(code.trim()) }
+}
+
+
+/* **************************************************
+// Loads a save document (see save.js) that has passed
+// validateSave.
+// ************************************************** */
+function loadSave( save
+){
+  // The game set aside by the level editor is replaced, and so is a versus game or race.
+  if(editing) { leaveEditor() }
+  leaveVersus()
+  leaveRace()
+  settleFalls()
+  pauseTimer()
+  resizeGrid(save.size)
+
+  board.spins_remaining = save.spins
+  document.getElementById('swap-label').innerHTML = board.spins_remaining.toString()
+  board.score = save.score
+  document.getElementById('score').innerHTML = board.score.toString()
+
+  // The moves themselves aren't saved, so there is nothing to undo yet.
+  clearHistory()
+  undos_remaining = save.undos
+  updateUndoLabel()
+
+  game_mode = save.mode
+  daily_date = save.daily_date
+  daily_scored = save.daily_scored
+  time_left = save.time_left
+  drops_left = save.drops_left
+  arrow_queue = save.queue === null? null : save.queue.slice()
+  current_level = save.level
+  updateLimitLabel()
+  hints_used = save.hints
+  updateHintLabel()
+  game_stats = Object.assign({}, save.stats)
+  last_move_time = null
+
+  rng = { seed: save.rng.seed, state: save.rng.state }
+  updateSeedLabel()
+  setRuleSet(save.rules)
+  move_log = save.moves === null? null : { seed: rng.seed, moves: save.moves.slice(), size: grid_size, rules: save.rules }
+
+  overrideNextArrows(save.next_arrow, save.next_next_arrow)
+
+  grid = save.grid.slice()
+  arrows_placed = grid.filter(content => content !== 0).length
+  renderGrid()
+
+  game_over = false
+  endGameCheck()
+  startTimer()
 }
 
 
 /* *****************************************************
 // Resets all game fields. No relation to local storage.
+// The same seed always gives the same sequence of new
+// arrows.
+// ***************************************************** */
+function loadNewGame( seed = newSeed() // Any number or string. See hashSeed in rules.js.
+                    , mode = "classic"
+){
+  // The game set aside by the level editor is replaced, and so is a versus game, or a race (by anything but the next race).
+  if(editing) { leaveEditor() }
+  leaveVersus()
+  if(mode !== "race") { leaveRace() }
+  game_mode = mode
+  pauseTimer()
+  time_left = mode === "blitz"? blitz_duration : null
+  drops_left = mode === "arrows"? arrow_limit : null
+  current_level = null
+  updateLimitLabel()
+
+  // Everyone plays the daily challenge and races by the same rules, and levels are made for the default rules.
+  if(["daily", "puzzle", "race"].includes(mode)) { setRuleSet(null) }
+
+  resetGameFields(seed)
+  updateSeedLabel()
+  clearHistory()
+  leaveSlot()
+
+  hints_used = 0
+  updateHintLabel()
+  game_stats = newGameStats()
+  last_move_time = Date.now()
+
+  move_log = { seed: rng.seed, moves: [], size: grid_size, rules: loggedRuleSet() }
+  if(mode === "versus") { startVersus(); updateSeedLabel() }
+  startTimer()
+}
+
+
+/* *****************************************************
+// Returns a board at the start of a game:
+//   { score
+//   , spins_remaining
+//   , falling } - Maps the ids of cells waiting for a
+//                 falling arrow to { clone, animation }
+//                 objects. See animateFall.
+// ***************************************************** */
+function newBoard(
+){ return { score: 0, spins_remaining: 3, falling: {} } }
+
+
+/* *****************************************************
+// Puts the score, spins, grid and new arrows back to
+// the start of a game with the given seed. Used by
+// loadNewGame, and by replays.
 // ***************************************************** */
-function loadNewGame(
+function resetGameFields( seed
 ){
+  settleFalls()
+  rng = createRng(seed)
+  arrow_queue = null
+
+  next_next_arrow = null
   updateNextArrows()
 
-  spins_remaining = 3
-  document.getElementById('swap-label').innerHTML = spins_remaining.toString()
-  score = 0
+  Object.assign(board, newBoard())
+  document.getElementById('swap-label').innerHTML = board.spins_remaining.toString()
   arrows_placed = 0
-  document.getElementById('score').innerHTML = score.toString()
+  document.getElementById('score').innerHTML = board.score.toString()
+  game_over = false
   //arrow_color = "blue"
 
   clearGrid()
 }
 
 
+// Shows the seed of the current game, so that it can be reported and replayed with ?seed=.
+// Daily games show their date, puzzle games their level and goal, and versus games whose turn it is,
+// instead. Also shows the mode in the mode picker.
+function updateSeedLabel(
+){
+  document.getElementById('seed-label').textContent = game_mode === "daily"? "Daily " + daily_date + (daily_scored? "" : " (practice)")
+    : game_mode === "puzzle" && current_level !== null? current_level.name + ": " + describeGoal(current_level.goal)
+    : game_mode === "versus" && versus_players !== null? versusTurnName() + "'s turn"
+    : "Seed " + rng.seed.toString()
+  document.getElementById('mode-select').value = game_mode
+}
+
+
+// Shows the size of the grid in the size picker.
+function updateSizeSelect(
+){ document.getElementById('size-select').value = grid_size.toString() }
+
+
+/* *****************************************************
+// Starts a new game on a grid of the given size.
+// Prompts the user to confirm. Handles the size
+// picker.
+// ***************************************************** */
+function startSizedGame( size // Cells on a side.
+                       , bypass_confirmation = false
+){
+  size = parseInt(size)
+  if(replaying || (!bypass_confirmation && !window.confirm("Click ok to start a new " + size.toString() + "x" + size.toString() + " game")))
+  { updateSizeSelect(); return false }
+
+  clearSavedGame()
+  if(!resizeGrid(size)) { updateSizeSelect(); return false }
+  loadNewGame(newSeed(), followingMode())
+  return true
+}
+
+
+// Returns the mode of a new game that follows the current one. Daily games can only be played
+// once, puzzle games are started from the level select, and races by the race server, so they're
+// followed by classic games.
+function followingMode(
+){ return ["daily", "puzzle", "race"].includes(game_mode)? "classic" : game_mode }
+
+
+/* *****************************************************
+// Returns the local storage key to keep a high score
+// (or its hints or replay) under. Each mode, size of
+// grid and rule set has its own high scores, e.g.
+// 'blitz_high_score_6x6_high-stakes'. Classic games
+// on the 5x5 grid keep the plain keys from before
+// there were other modes and sizes, and daily games
+// keep the 'daily_' keys. Games by the default rules
+// keep the keys from before there were rule sets.
+// ***************************************************** */
+function highScoreKey( key // e.g. 'high_score'.
+){
+  return (game_mode === "classic"? "" : game_mode + "_") + key
+       + (grid_size === default_grid_size? "" : "_" + grid_size.toString() + "x" + grid_size.toString())
+       + (rule_set === default_rule_set? "" : "_" + rule_set.id)
+}
+
+
+// Describes the mode, size and rules of the current game for the high score, e.g. " (Blitz, 6x6, High Stakes)". Classic 5x5 games need no description.
+function modeDescription(
+){
+  let parts = []
+  if(game_mode === "blitz") { parts.push("Blitz") }
+  if(game_mode === "arrows") { parts.push(arrow_limit.toString() + " Arrows") }
+  if(game_mode === "race") { parts.push("Race") }
+  if(grid_size !== default_grid_size) { parts.push(grid_size.toString() + "x" + grid_size.toString()) }
+  if(rule_set !== default_rule_set) { parts.push(rule_set.name) }
+  return parts.length === 0? "" : " (" + parts.join(", ") + ")"
+}
+
+
 // Makes ever grid cell empry.
 function clearGrid(
 ){
-  for(var i = 0; i < 5; ++i){
-    for(var j = 0; j < 5; ++j)
-    { updateGridCell(i,j,'0'); }
-  }
+  grid = newGrid()
+  renderGrid()
 }
 
 
@@ -1095,23 +1329,100 @@ function clearGrid(
 function resetGame( bypass_confirmation = false
 ){
   if(bypass_confirmation || window.confirm("Click ok to reset")) {
+    // Puzzle games start their level over.
+    if(game_mode === "puzzle" && current_level !== null) { playLevel(current_level, true); return }
     // Erase saved game data.
     clearSavedGame()
-    // Load a new game.
+    // Load a new game. See followingMode.
     //initializeGame()
-    loadNewGame()
+    loadNewGame(newSeed(), followingMode())
   }
 }
 
 
+/* *****************************************************
+// Starts today's daily challenge. Everyone gets the
+// same arrows on the same day, but only the first
+// attempt of each day is scored. Any later attempts
+// that day are practice. Prompts the user to confirm.
+// ***************************************************** */
+function startDailyGame( bypass_confirmation = false
+){
+  if(!bypass_confirmation && !window.confirm("Click ok to start today's daily challenge")) { return }
+
+  let today = new Date()
+  daily_date = dateKey(today)
+
+  // Everyone plays the daily challenge on the same grid.
+  resizeGrid(default_grid_size)
+
+  // Starting the game uses up the day's attempt, even if it is never finished.
+  daily_scored = window.localStorage.getItem('daily_attempt_date') !== daily_date
+  window.localStorage.setItem('daily_attempt_date', daily_date)
+
+  clearSavedGame()
+  loadNewGame(dailySeed(today), "daily")
+}
+
+
+/* *****************************************************
+// Records the final score of a scored daily game, and
+// returns the daily best and the current streak. The
+// streak counts consecutive days with a scored daily
+// game. Scores that don't count (see verify.js) are
+// left out.
+// ***************************************************** */
+function recordDailyScore( final_score
+                         , verdict // From verifyFinalScore.
+){
+  let best = parseInt(window.localStorage.getItem('daily_high_score')),
+      streak = parseInt(window.localStorage.getItem('daily_streak')),
+      last_date = window.localStorage.getItem('daily_streak_date'),
+      yesterday = dateKey(new Date(Date.parse(daily_date) - 24*60*60*1000));
+
+  if(verdict.counted && daily_scored && last_date !== daily_date)
+  {
+    streak = last_date === yesterday && !isNaN(streak)? streak+1 : 1
+    window.localStorage.setItem('daily_streak', streak)
+    window.localStorage.setItem('daily_streak_date', daily_date)
+
+    if(isNaN(best) || best < final_score)
+    {
+      best = final_score
+      window.localStorage.setItem('daily_high_score', best)
+      window.localStorage.setItem('daily_high_score_hints', hints_used)
+      window.localStorage.setItem('daily_high_score_receipt', JSON.stringify(verdict.receipt))
+    }
+  }
+
+  return { best: isNaN(best)? 0 : best, streak: isNaN(streak)? 0 : streak }
+}
+
+
 /* **************************************************
-// Saves the game when the user leaves.
+// Saves the game when the user leaves. The blitz
+// timer stops first, so that the time left is saved,
+// and the time away isn't counted.
 // ************************************************** */
 window.addEventListener('pagehide', event => {
+  // Put the user's own game back before saving it.
+  if(replaying) { closeReplay() }
+  if(editing) { closeEditor() }
+  pauseTimer()
   saveGame()
 }, false);
 
 
+// Restarts the timer when the user comes back to a page that was kept in the back/forward cache.
+window.addEventListener('pageshow', event => { if(event.persisted) { startTimer() } }, false);
+
+
+// The timer also stops while the page is in a background tab.
+document.addEventListener('visibilitychange', event => {
+  if(document.visibilityState === 'hidden') { pauseTimer() } else { startTimer() }
+}, false);
+
+
 /* ********************************************************
 // The touch listeners have some weird behavior whenever
 // the orientation changes. This listener solves the issue
@@ -1124,208 +1435,239 @@ window.addEventListener('orientationchange', event => {
 
 
 /* ******************************************************************************************************** */
-// New Action classifier 
-const Merge = Symbol("merge"),
-      Combine = Symbol("combine"),
-      Cancel = Symbol("cancel");
-
-let basic_arr = [ 1, 5, 8, 3, 10, 4, 2, 7 ], //  "↑", "↓", "←", "→", "↖", "↘", "↗", "↙"
-    mid_arr1 = [ 14, 9 ], // "⤡", "⤢"
-    mid_arr2 = [ 6, 11 ], // "⬍", "⇿"
-    mid_arr = [ 14, 9, 6, 11 ]
-    max_arr = [ 17, 23, 40 ], // "+", "x", "*"
-    arrows = [ 1, 5, 8, 3, 10, 4, 2, 7, 14, 9, 6, 11, 17, 23, 40 ]
-
-
-// action_triples maps arrow ids to objects representing the potential actions that may be performed
-// with the key-arrow. Each of the simplest (one-directional) arrows can be combined or cancelled
-// with exactly one other (inverse) arrow (e.g. up ~ down), or merged with themself. Additionally, 
-// these actions always require the same distance. Therefore, in this case, we can represent
-// potential actions as the pair (inverse id, distance to combine); distance to cancel is simply
-// negative distance to combine. Two directional arrows can only be combined and cancelled, and
-// these actions depend on different distances. Furthermore, these arrows can be combined at
-// several distances. So we associate to each two directional arrows an object containing
-// valid combining distances, the cancel distance, and the inverse. The cases of arrows pointing
-// in four or eight directions are simple and handled seperately.
-let action_triples = { 1:[5,5], 5:[-5,1], 8:[1,3], 3:[-1,8], 2:[4,7], 7:[-4,2], 10:[6,4], 4:[-6,10]
-                     , 11:[ [[1,5],1],6],  6:[[[1,5],5],11],  9:[[[4,6], 4],14], 14:[[[4,6], 6],9] }
-
-
-/* **************************************************************
-// Given two arrows (such as "↑" and "↓") and an action distance,
-// classifyAction function returns either -1 (if the action is
-// invalid), Combine, Merge, or Cancel (which tell to the action
-// handle what to handle).
-//
-// Note that dist is necessarily signed. i.e., a distance
-// of k is different than a distance of -k. Grid positions
-// increase in decending and left to right order. For example,
-//  a 3*3 grid has the following position values:
-// [0] [1] [2]
-// [3] [4] [5]
-// [6] [7] [8]
-//
-// Positive k values imply a downward move, whereas negative
-// values of k imply an upward move.
-//
-// consider the grid:
-// [] [ ] []
-// [] [↑] []
-// [] [↓] []
-//
-// If the arrow in position 4, namely ↑ is dragged down into
-// the arrow in position 7, namely ↓, then classifyAction
-// should receive the arguments (↑,↓,3). Conversely, if the
-// arrow in position 7 is dragged up into the arrow in position 4,
-// then classifyAction should receive the arguments
-// (↓,↑, -3). In either of these cases, Combine is returned.
-//
-// **************************************************************/
-function classifyAction(arrow1, arrow2, dist){
-  if(basic_arr.includes(arrow1)){
-    let action_triple = action_triples[arrow1],
-    valid_dist = action_triple[0], inv = action_triple[1];
-    if(arrow1 === arrow2 && Math.abs(dist) === Math.abs(valid_dist)){ return Merge }
-    if(arrow2 === inv && dist === valid_dist) { return Combine }
-    if(arrow2 === inv && dist === -valid_dist) { return Cancel }
-  }
+// Hints.
 
-  else if(mid_arr.includes(arrow1)) {
-    let action_triple = action_triples[arrow1],
-    valid_dist = action_triple[0], inv = action_triple[1];
-    if(arrow1 === arrow2 && Math.abs(dist) === valid_dist[1]) { return Cancel }
-    if(arrow2 === inv && valid_dist[0].includes(Math.abs(dist))) { return Combine }
-  }
 
-  else if([1,4,5,6].includes(Math.abs(dist))){
-    if((arrow1 === arrow2 && arrow1 === 40)) { return Cancel; }
-    else if((arrow1 === 17 && arrow2 === 23) || (arrow1 === 23 && arrow2 === 17)) { return Combine; }
-  }
-  return -1;
+// Returns the current game in the form that rules.js plays with. See applyMove.
+function currentGame(
+){
+  return { grid: grid, next_arrow: next_arrow, next_next_arrow: next_next_arrow, rng: rng, spins: board.spins_remaining, score: board.score, drops_left: drops_left
+         , queue: arrow_queue }
 }
 
 
 /* **************************************************
-\\ resolveEdgeError verifies that actions are not
-// exploiting certain properties of the grid.
-\\
-// Consider the grid:
-\\
-//    [ ] [ ] [↖]
-\\    [ ] [ ] [ ]
-//    [↘] [ ] [ ]
-\\
-// ↖ and ↘ are clearly in-actionable, however,
-\\ because actions are determined by distance
-// between arrows, it would be possible to combine
-\\ them. i.e., ↖ and ↘ combine into ⤡ when separated
-// by a distance of (GRID_SIZE+1).
-\\
-// The action classifier would treat the above
-\\ action in exactly the same way as it would
-// treat the same action on the following grid:
-\\
-//    [ ] [ ] [ ]
-\\    [↖] [ ] [ ]
-//    [ ] [↘] [ ]
-\\
-//
-\\ Returns true if no error is detected.
-//
-// **************************************************/
-function resolveEdgeError( src
-                         , dest
-                         , dist
+// Highlights the best move available, as found by
+// bestMove (rules.js): the cell that a drop would land
+// in, or the two cells of a grid action. Every hint is
+// counted in the saved game, and flagged on the game
+// over screen.
+// ************************************************** */
+function showHint(
 ){
-  dist = Math.abs(dist)
+  if(replaying || editing || game_over) { return false }
+
+  let hint = bestMove(currentGame())
+  if(hint === null) { return false }
 
-  let src_r = src[0], dest_r = dest[0],
-  grid_size = 5
+  ++hints_used
+  updateHintLabel()
 
-  // No edge errors are possible for vertical
-  // actions. e.g., all actions of ↑ and ↓.
-  if(dist === grid_size) { return true; }
+  let move = parseMove(hint.move)
+  clearHint()
+  hint_cells = move.type === "drop"? [grid_id(landingRow(grid, move.column), move.column)] : [move.src, move.dest]
+  hint_cells.forEach(k => get_cell_container(k).style.borderColor = cell_highlighting_color)
+  hint_timer = setTimeout(clearHint, hint_duration)
 
-  // Resolves edge errors for horizontal actions.
-  // If the arrows are separated by zero cells, then
-  // perform the action iff the arrows are in the same
-  // row.
-  if(dist === 1) { return src_r === dest_r; }
+  announce(describeHint(move))
+  return true
+}
 
-  // Resolves edge errors for diagonal actions.
-  // If the arrows are separated by 3 or 5 cells,
-  // then require that the arrows are spaced apart by
-  // one row.
-  if(dist === grid_size-1 || dist === grid_size+1)
-  { return Math.abs(src_r - dest_r) === 1; }
 
-  return true;
+// Removes the highlighting of the last hint.
+function clearHint(
+){
+  if(hint_timer !== null) { clearTimeout(hint_timer); hint_timer = null }
+  hint_cells.forEach(k => get_cell_container(k).style.borderColor = "#222")
+  hint_cells = []
 }
 
 
+// Shows how many hints have been used in the current game.
+function updateHintLabel(
+){ document.getElementById('hint-label').innerHTML = hints_used > 0? hints_used.toString() : "" }
+
+
+// Returns " (hinted)" if the score stored under the given key was earned with hints, and "" otherwise.
+function hintedLabel( hints_key
+){ return parseInt(window.localStorage.getItem(hints_key)) > 0? " (hinted)" : "" }
+
+
 /* ******************************************************************************************************** */
-// End game check.
+// Stats.
 
-// This list contains all actionable cell distances.
-const action_dists = [-6,-5,-4,-1,1,4,5,6]
 
 /* **************************************************
-// Returns the list of ids of cells whose which can
-// arrows can combined/merger/canceled with an arrow
-// in the cell corresponding to the given cell_id.
+// Counts a move in the stats of the current game,
+// along with the time since the last move (see
+// idle_limit in history.js). Moves played by replays
+// don't count.
 // ************************************************** */
-function getNeighbors( cell_id
-){ return action_dists.map( n => cell_id + n ) }
+function countStat( stat // A field of game_stats, e.g. 'merges'.
+){
+  if(replaying) { return }
+
+  let now = Date.now()
+  if(last_move_time !== null) { game_stats.play_time += Math.min(now - last_move_time, idle_limit) }
+  last_move_time = now
+  ++game_stats[stat]
+}
 
 
 /* **************************************************
-// Returns true iff there is an action on a pair of
-// arrows whose distance from one another is dist.
+// Adds the current game, which has just ended, to the
+// game history. A game that's reloaded after it ended
+// (see loadSave) is only recorded once.
 // ************************************************** */
-function canCombine( src, src_content, dest, dest_content, dist
+function recordFinishedGame(
 ){
-  if( src >= 0 && dest >= 0 && src <= 24 && dest <= 24 // Cell ids are valid
-   && resolveEdgeError(grid_indices(src), grid_indices(dest), dist) // Cells are not on oppsite sides of the grid.
-   && classifyAction(src_content, dest_content, dist) !== -1) // An action exists on the src and dest arrows.
-  { return true }
+  if(replaying || game_stats.recorded) { return }
+
+  // The time since the last move counts too, e.g. when a blitz game runs out of time.
+  let now = Date.now()
+  if(last_move_time !== null) { game_stats.play_time += Math.min(now - last_move_time, idle_limit) }
+  last_move_time = now
+  game_stats.recorded = true
+
+  recordGame({ ended_at: now
+             , mode: game_mode
+             , size: grid_size
+             , rules: rule_set === default_rule_set? null : rule_set.id
+             , score: board.score
+             , hints: hints_used
+             , arrows_placed: game_stats.arrows_placed
+             , merges: game_stats.merges
+             , combines: game_stats.combines
+             , cancels: game_stats.cancels
+             , swaps: game_stats.swaps
+             , star_swaps: game_stats.star_swaps
+             , duration: game_stats.play_time })
+}
 
-  return false;
+
+/* ******************************************************************************************************** */
+// Timed and move-limited modes.
+
+
+/* *****************************************************
+// Starts a new game in the given mode. Prompts the user
+// to confirm. Handles the mode picker, which opens the
+// level select for puzzle games, and joins a race
+// server for race games.
+// ***************************************************** */
+function startModeGame( mode // "classic", "blitz", "arrows", "puzzle", "versus" or "race". See game_mode.
+                      , bypass_confirmation = false
+){
+  if(mode === "puzzle") { updateSeedLabel(); showLevelSelect(); return false }
+  if(mode === "race") { updateSeedLabel(); joinRace(); return false }
+
+  let names = { classic: "classic", blitz: "blitz", arrows: arrow_limit.toString() + " arrows", versus: "versus" }
+  if(replaying || !(mode in names) || (!bypass_confirmation && !window.confirm("Click ok to start a new " + names[mode] + " game")))
+  { updateSeedLabel(); return false }
+
+  clearSavedGame()
+  loadNewGame(newSeed(), mode)
+  return true
 }
 
 
-/* ****************************************************
-// Ideally, this would return true iff no more actions
-// are possible counting whatever arrows are in the
-// generator. But I don't really care to do that, so
-// this returns true iff the grid is filled, and no
-// two arrows can be combined/merged/cancelled.
-// Honestly, there's no reason to go overboard with
-// this. There's already a reset button. If the user
-// knows that they've lost, they can use the reset
-// button (and that's probably easier).
-// **************************************************** */
-function endGameCheck(
+// Returns the ms left in a blitz game, counting the time since the timer last started.
+function timeLeft(
+){ return time_left === null || timer_started === null? time_left : Math.max(0, time_left - (Date.now() - timer_started)) }
+
+
+/* *****************************************************
+// Starts (or continues) the blitz timer, if the game
+// is a blitz game that can be played right now.
+// ***************************************************** */
+function startTimer(
 ){
-  for(var i = 0; i < 25; ++i)
-  {
-    let content_i = parseInt(document.getElementById("cell" + i).dataset.status),
-        neighbors = getNeighbors(i)
+  if(game_mode !== "blitz" || time_left === null || time_left <= 0 || timer_started !== null) { return }
+  if(game_over || replaying || editing || document.visibilityState === 'hidden') { return }
 
-    for (var j = 0; j < 8; ++j)
-    {
-      let n = neighbors[j]
+  timer_started = Date.now()
+  timer_interval = setInterval(timerTick, timer_tick)
+}
 
-      if(0 <= n && n < 25)
-      {
-        let content_n = parseInt(document.getElementById("cell" + n).dataset.status)
-        if (canCombine(i, content_i, n, content_n,  i-n))
-        { return false; }
-      }
-    }
-  }
-  
-  // If false hasn't already been returned, then there are no moves remaining.
+
+// Stops the blitz timer, keeping the time left.
+function pauseTimer(
+){
+  if(timer_started === null) { return }
+
+  time_left = timeLeft()
+  timer_started = null
+  clearInterval(timer_interval)
+  timer_interval = null
+}
+
+
+// Updates the timer, and ends the game when the time runs out.
+function timerTick(
+){
+  updateLimitLabel()
+  if(timeLeft() > 0) { return }
+
+  pauseTimer()
+  if(replaying || game_over) { return }
+
+  announce("Time's up.")
+  game_over = true
   endGameMenu()
+}
+
+
+// Shows the time left in a blitz game, or the arrows left in an arrows or puzzle game.
+function updateLimitLabel(
+){
+  let label = "", ms = timeLeft()
+
+  if(!replaying && ms !== null)
+  {
+    let seconds = Math.ceil(ms / 1000)
+    label = Math.floor(seconds / 60).toString() + ":" + (seconds % 60).toString().padStart(2, "0")
+  }
+  else if(!replaying && drops_left !== null) { label = drops_left === 1? "1 arrow left" : drops_left.toString() + " arrows left" }
+
+  document.getElementById('limit-label').innerHTML = label
+}
+
+
+/* ******************************************************************************************************** */
+// End game check.
+
+
+// The most positions that the end game check visits after each move. Fewer than isGameOver visits by default, so that no move holds up the page for long.
+const end_game_node_limit = 1000
+
+
+/* ****************************************************
+// Opens the game over screen iff no grid action can
+// ever be made again, counting the next arrows, the
+// arrows still to come from the generator, and swaps.
+// See isGameOver in rules.js. This runs after every
+// move, so a game ends as soon as it's stuck, even if
+// the grid still has room in it. Returns true iff the
+// game is over.
+// **************************************************** */
+function endGameCheck(
+){
+  // Replays end on their own. See replay.js. Drafts in the level editor aren't played.
+  if(replaying || editing || game_over) { return false }
+
+  // Puzzle games end when their goal is met, too.
+  if(game_mode === "puzzle") { return levelCheck() }
+
+  // Race games keep the other racers up to date after every move. See race.js.
+  let game = currentGame(),
+      over = isGameOver(game, end_game_node_limit);
+  if(game_mode === "race") { sendRaceBoard(over) }
+  if(!over) { return false }
+
+  // There are no moves remaining. Versus games show both players' results instead.
+  game_over = true
+  pauseTimer()
+  if(game_mode === "versus") { versusResults() } else { endGameMenu() }
   return true
 }
 
@@ -1344,12 +1686,17 @@ function endGameCheck(
 // ************************************************** */
 function endGameMenu(
 ){
+  announce("Game over. Final score: " + board.score.toString() + ".")
+  recordFinishedGame()
+
+  // With a verification server, the score only counts once the server has signed it. See verify.js.
   let game_sub_container = document.getElementById('ag_sub_container'),
       game_over_container = document.getElementById('game-over-container'),
-      close_game = game_sub_container.animate(hide, 1500);
+      close_game = game_sub_container.animate(hide, 1500),
+      verification = verifyFinalScore();
 
-  /* Fade out the game. */
-  close_game.finished.then( () => {
+  /* Fade out the game, and wait for the verdict. */
+  Promise.all([close_game.finished, verification]).then( ([, verdict]) => {
     game_sub_container.style.display = 'none';
     game_sub_container.style.opacity = '0';
 
@@ -1357,16 +1704,45 @@ function endGameMenu(
     game_over_container.style.opacity = '0'
 
     let final_score = parseInt(document.getElementById('score').innerHTML),
-        high_score = window.localStorage.getItem('high_score')
+        high_score = window.localStorage.getItem(highScoreKey('high_score'))
 
-    // Display final score.
+    // Display final score, and how many hints it took.
     document.getElementById('final_score').innerHTML = final_score
-
-    // Update and display the high score.
-    if(high_score === null || parseInt(high_score) < final_score)
-    { window.localStorage.setItem('high_score', final_score) }
-    high_score = window.localStorage.getItem('high_score')
-    document.getElementById('high_score').innerHTML = high_score
+    document.getElementById('hints_used').innerHTML = hints_used === 1? "1 hint used" : hints_used.toString() + " hints used"
+    document.getElementById('hints_used').style.display = hints_used > 0? 'block' : 'none'
+    document.getElementById('score_verification').innerHTML = verdict.note
+    document.getElementById('score_verification').style.display = verdict.note === ""? 'none' : 'block'
+    submitFinalScore(final_score, verdict)
+
+    // Daily games keep their own best score and streak, apart from the high score.
+    // Keep the log of the game that just ended for the replay button, and keep the log of each best game.
+    last_replay = move_log
+    if(verdict.counted && move_log !== null && final_score > parseInt(window.localStorage.getItem(highScoreKey('high_score')) || "-1")
+       && (game_mode !== "daily" || daily_scored))
+    { window.localStorage.setItem(highScoreKey('high_score_replay'), JSON.stringify(move_log)) }
+
+    if(game_mode === "daily")
+    {
+      let daily = recordDailyScore(final_score, verdict)
+      document.getElementById('high_score_label').innerHTML = "Daily Best"
+      document.getElementById('high_score').innerHTML = daily.best + hintedLabel('daily_high_score_hints')
+      document.getElementById('daily_streak').innerHTML = (daily_scored? "" : "Practice round. ") + "Streak: " + daily.streak.toString()
+      document.getElementById('daily_streak').style.display = 'block'
+    }
+    else
+    {
+      // Update and display the high score.
+      if(verdict.counted && (high_score === null || parseInt(high_score) < final_score))
+      {
+        window.localStorage.setItem(highScoreKey('high_score'), final_score)
+        window.localStorage.setItem(highScoreKey('high_score_hints'), hints_used)
+        window.localStorage.setItem(highScoreKey('high_score_receipt'), JSON.stringify(verdict.receipt))
+      }
+      high_score = window.localStorage.getItem(highScoreKey('high_score'))
+      document.getElementById('high_score_label').innerHTML = "High Score" + modeDescription()
+      document.getElementById('high_score').innerHTML = (high_score === null? 0 : high_score) + hintedLabel(highScoreKey('high_score_hints'))
+      document.getElementById('daily_streak').style.display = 'none'
+    }
 
     /* Fade in the end game menu. */
     let open_game_over_menu = game_over_container.animate(show, 500);
@@ -1406,42 +1782,29 @@ function hideEndGameMenu(
 }
 
 /* ******************************************************************************************************** */
-// These functions exists purely for debugging and experimentation.
+// These functions are for debugging and experimentation, and for the level editor (see editor.js).
 
 
 // Places the arrow represented by N into every cell.
 function fillWithNs( N
 ){
-  for(var i = 0; i < 25; ++i)
-  {
-    let cell_i = document.getElementById('cell'+i.toString())
-    cell_i.dataset.status = N.toString()
-    cell_i.style.backgroundImage = arrow_path(N)
-  }
+  grid = newGrid().fill(N)
+  renderGrid()
 }
 
 // Fills the last two rows with whatever arrow N represents.
 function fillBottomWithNs( N
 ){
-  for(var i = 15; i < 25; ++i)
-  {
-    let cell_i = document.getElementById('cell'+i.toString())
-    cell_i.dataset.status = N.toString()
-    cell_i.style.backgroundImage = arrow_path(N)
-  }
+  for(var i = grid_cells - 2*grid_size; i < grid_cells; ++i) { grid[i] = N }
+  renderGrid()
 }
 
 
-// Loads one of each arrow into the grid.
+// Loads one of each arrow into the grid, as many as fit.
 function loadEachArrow(
 ){
-  for( var i = 0; i < arrows.length; ++i)
-  {
-    let N = arrows[i]
-    let cell_i = document.getElementById('cell'+i.toString())
-    cell_i.dataset.status = N.toString()
-    cell_i.style.backgroundImage = arrow_path(N)
-  }
+  for( var i = 0; i < Math.min(arrows.length, grid_cells); ++i) { grid[i] = arrows[i] }
+  renderGrid()
 }
 
 
@@ -1455,5 +1818,5 @@ function debug(
   //overrideNextArrows(1,5) // Set first two arrows to up and down for testing gravity with distance > 1
   overrideNextArrows(3,8) // Loads -> and <-.
   loadEachArrow()
-  spins_remaining = 950
+  board.spins_remaining = 950
 }
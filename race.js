@@ -0,0 +1,260 @@
+/* ***********************************************************************************************
+// This file contains the race mode of The Arrow Game, where several players race each other over
+// the network, through the relay server in tools/race-server.js.
+//
+// Picking Race in the mode picker asks for the address of a server and room (e.g.
+// ws://localhost:8080/lunch) and a name, and joins the room. Any player in the room can start a
+// race, which starts a "race" game (see game_mode in main.js) for everyone in it, from the same
+// seed, so everyone gets the same arrows. Every move sends the player's score and grid to the rest
+// of the room (see sendRaceBoard), and the race panel shows everyone's live score and a small
+// drawing of their board. Cancelling two stars (the Cancel that earns a swap, see applyAction in
+// rules.js) drops a junk arrow into every other racer's board, in a random column. A player's race
+// ends when their board is stuck, and the race ends once everyone's has, when the highest score
+// wins. Players stay in the room for the next race until they leave it or start another game.
+//
+// Junk arrows aren't moves, so race games have no move log (and can't be replayed), and undo is
+// off in them. Race games aren't saved. Junk that arrives while a replay is showing, or while the
+// level editor is open, is lost.
+//
+// *********************************************************************************************** */
+
+// Race fields.
+let race_socket = null, // The WebSocket to the race server, or null if not in a room.
+    race_room = null, // The name of the room.
+    race_id = null, // This player's id in the room.
+    race_players = new Map(), // Maps the ids of the other players in the room to what the server says about them. See playerInfo in tools/race-server.js.
+    race_on = false, // True while the room's race is on.
+    race_racing = false; // True if this player is in the room's race (or was in the last one).
+
+const race_server_key = 'race_server', // Local storage keys of the last server and name used.
+      race_name_key = 'race_name',
+      default_race_server = "ws://localhost:8080/lobby";
+
+
+/* **************************************************
+// Asks for a server and a name, and joins the room
+// on that server. Handles Race in the mode picker.
+// ************************************************** */
+function joinRace(
+){
+  if(replaying) { return false }
+
+  let address = window.prompt("Race server and room (a race replaces the current game when it starts):",
+                              window.localStorage.getItem(race_server_key) || default_race_server)
+  if(address === null || address.trim() === "") { return false }
+
+  let name = window.prompt("Your name:", window.localStorage.getItem(race_name_key) || "")
+  if(name === null) { return false }
+
+  window.localStorage.setItem(race_server_key, address.trim())
+  window.localStorage.setItem(race_name_key, name.trim())
+
+  leaveRace()
+  let socket = null
+  try { socket = new WebSocket(address.trim()) } catch(e) { window.alert("This isn't a race server address: " + address); return false }
+
+  race_socket = socket
+  socket.onopen = () => socket.send(JSON.stringify({ type: "join", name: name.trim() }))
+  socket.onmessage = event => { if(socket === race_socket) { handleRaceMessage(JSON.parse(event.data)) } }
+  socket.onclose = () => {
+    if(socket !== race_socket) { return }
+    race_socket = null
+    race_on = false
+    setRaceStatus(race_id === null? "Couldn't connect to " + address.trim() + "." : "Disconnected from the race server.")
+    renderRacePanel()
+  }
+
+  document.getElementById('race-panel').style.display = 'block'
+  setRaceStatus("Connecting to " + address.trim() + "...")
+  renderRacePanel()
+  return true
+}
+
+
+// Leaves the room, if this player is in one, and hides the race panel. Used when another game replaces the race.
+function leaveRace(
+){
+  if(race_socket !== null) { let socket = race_socket; race_socket = null; socket.close() }
+
+  race_room = null
+  race_id = null
+  race_players = new Map()
+  race_on = false
+  race_racing = false
+  document.getElementById('race-panel').style.display = 'none'
+}
+
+
+// Sends a message to the race server, if connected.
+function sendRaceMessage( message
+){ if(race_socket !== null && race_socket.readyState === WebSocket.OPEN) { race_socket.send(JSON.stringify(message)) } }
+
+
+/* **************************************************
+// Handles a message from the race server. See the
+// top of tools/race-server.js for the messages.
+// ************************************************** */
+function handleRaceMessage( message
+){
+  switch(message.type)
+  {
+    case "welcome":
+      race_id = message.id
+      race_room = message.room
+      race_on = message.racing
+      race_players = new Map(message.players.filter(player => player.id !== race_id).map(player => [player.id, player]))
+      setRaceStatus("In room " + race_room + "." + (race_on? " A race is on. You'll be in the next one." : ""))
+      break
+
+    case "player": race_players.set(message.player.id, message.player); break
+    case "left": race_players.delete(message.id); break
+    case "start": startRace(message.seed, message.size); break
+    case "junk": dropJunk(message.from); break
+
+    case "finished":
+      race_on = false
+      setRaceStatus(raceWinner())
+      announce(raceWinner())
+      break
+
+    case "error": window.alert(message.message); break
+  }
+  renderRacePanel()
+}
+
+
+// Asks the server to start a race on the current size of grid. Handles the start button of the race panel.
+function requestRaceStart(
+){ sendRaceMessage({ type: "start", size: grid_size }) }
+
+
+/* **************************************************
+// Starts this player's game in a race that has just
+// started, in place of whatever game they were in.
+// ************************************************** */
+function startRace( seed, size
+){
+  // Put the user's own game back first, so that it's the game being replaced.
+  if(replaying) { closeReplay() }
+  if(editing) { closeEditor() }
+
+  // Leave the game over screen of the last race.
+  hideLeaderboard()
+  document.getElementById('game-over-container').style.display = 'none'
+  document.getElementById('ag_sub_container').style.display = 'block'
+  document.getElementById('ag_sub_container').style.opacity = '1'
+
+  clearSavedGame()
+  resizeGrid(size)
+  loadNewGame(seed, "race")
+  // Junk arrows make the game impossible to replay from its seed.
+  move_log = null
+
+  race_on = true
+  race_racing = true
+  race_players.forEach(player => Object.assign(player, { score: 0, grid: [], over: false, racing: true }))
+  setRaceStatus("The race is on!")
+  announce("The race is on!")
+  sendRaceBoard(false)
+}
+
+
+/* **************************************************
+// Sends this player's score and grid to the rest of
+// the room. Called after every move of a race game.
+// See endGameCheck in main.js.
+// ************************************************** */
+function sendRaceBoard( over // True iff the board is stuck.
+){
+  if(!race_on || !race_racing) { return }
+
+  sendRaceMessage({ type: "board", score: board.score, grid: grid, over: over })
+  if(over) { setRaceStatus("Your board is stuck. Waiting for the rest of the race.") }
+  renderRacePanel()
+}
+
+
+// Drops a junk arrow into every other racer's board. Called when this player cancels two stars.
+function sendJunk(
+){ if(race_on && race_racing) { sendRaceMessage({ type: "junk" }) } }
+
+
+/* **************************************************
+// Drops a junk arrow (a random basic arrow) into a
+// random column of the grid that has room for it.
+// Sent by the player with the given id.
+// ************************************************** */
+function dropJunk( from
+){
+  if(game_mode !== "race" || replaying || editing || game_over) { return false }
+
+  let columns = [...Array(grid_size).keys()].filter(j => landingRow(grid, j) !== -1 && !(grid_id(0,j) in board.falling))
+  if(columns.length === 0) { return false }
+
+  let j = columns[Math.floor(Math.random() * columns.length)],
+      content = basic_arr[Math.floor(Math.random() * basic_arr.length)],
+      sender = race_players.get(from);
+
+  if(!insertNewArrow(0, j, content)) { return false }
+  ++arrows_placed
+
+  announce((sender === undefined? "Someone" : sender.name) + " sent you a junk arrow: " + arrow_names[content] + " in column " + (j+1).toString() + ".")
+  endGameCheck()
+  return true
+}
+
+
+// Describes how the last race ended, e.g. "Sam wins with 120!".
+function raceWinner(
+){
+  let racers = [...race_players.values()].filter(player => player.racing)
+  if(race_racing) { racers.push({ name: "You", score: board.score }) }
+  if(racers.length === 0) { return "The race is over." }
+
+  let best = Math.max(...racers.map(player => player.score)),
+      winners = racers.filter(player => player.score === best).map(player => player.name);
+
+  return winners.length > 1? "It's a tie between " + winners.join(" and ") + " at " + best.toString() + "!"
+       : winners[0] === "You"? "You win with " + best.toString() + "!" : winners[0] + " wins with " + best.toString() + "!"
+}
+
+
+function setRaceStatus( text
+){ document.getElementById('race-status').textContent = text }
+
+
+/* **************************************************
+// Draws the race panel: every player in the room,
+// highest score first, with their score and board.
+// ************************************************** */
+function renderRacePanel(
+){
+  document.getElementById('race-start').style.display = race_id !== null && race_socket !== null && !race_on? 'inline' : 'none'
+
+  let list = document.getElementById('race-list'),
+      players = [...race_players.values()];
+
+  if(race_id !== null) { players.push({ id: race_id, name: "You", score: board.score, grid: game_mode === "race"? grid : [], over: game_over, racing: race_racing }) }
+  players.sort((a, b) => b.score - a.score)
+
+  list.replaceChildren()
+  for(let player of players)
+  {
+    let row = document.createElement('div'),
+        info = document.createElement('div'),
+        name = document.createElement('p'),
+        details = document.createElement('p'),
+        size = Math.round(Math.sqrt(player.grid.length));
+
+    row.className = "slot"
+    info.className = "slot-info"
+    name.className = "slot-name"
+    name.textContent = player.name
+    details.className = "slot-details"
+    details.textContent = !player.racing? "Waiting" : "Score: " + player.score.toString() + (player.over? " (stuck)" : "")
+
+    info.append(name, details)
+    row.append(slotThumbnail({ size: valid_grid_size(size)? size : grid_size, grid: player.grid }), info)
+    list.appendChild(row)
+  }
+}
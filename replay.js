@@ -0,0 +1,311 @@
+/* ***********************************************************************************************
+// This file contains the replay viewer for The Arrow Game.
+//
+// A replay is the move log of a game: its seed, the size of its grid, its rule set, and every
+// move made, in order. See move_log in
+// main.js, and the Moves section of rules.js for the format of the moves. The viewer sets aside
+// the user's own game, starts a fresh game from the seed of the log, and then feeds the moves
+// through the same functions that the drag listeners use (dropNextArrow, performGridAction, and
+// swapNextArrows). So a replay looks exactly like the game did, gravity and landing animations
+// included. Closing the viewer puts the user's own game back.
+//
+// Logs can be copied from the game over screen, and played from the console with playReplay,
+// which is handy for bug reports.
+//
+// The bots in ai.js are watched the same way: watchBot has a bot play a whole game, and then
+// replays its move log.
+//
+// *********************************************************************************************** */
+
+// Replay fields.
+let replay = null, // The log being played.
+    replay_position = 0, // The index of the next move to be played.
+    replay_playing = false,
+    replay_speed = 1,
+    replay_timer = null,
+    replay_backup = null, // The user's own game. Restored by closeReplay.
+    replay_title = "", // Shown in front of the position, e.g. the name of the bot being watched.
+    replay_from_game_over = false;
+
+const replay_move_delay = 900; // ms between moves at normal speed.
+
+
+/* **************************************************
+// Reads a move log, given either as an object or as
+// a JSON string. Returns null if the log is invalid.
+// Logs from before there were other sizes of grid
+// have no size, and are of the 5x5 grid. Logs from
+// before there were rule sets have no rules, and are
+// of the default rules.
+// ************************************************** */
+function parseReplay( log
+){
+  if(typeof log === "string") { try { log = JSON.parse(log) } catch(e) { return null } }
+
+  if(log === null || typeof log !== "object" || !Number.isInteger(log.seed) || !Array.isArray(log.moves)) { return null }
+
+  let size = log.size === undefined? default_grid_size : log.size
+  if(!valid_grid_size(size) || !withGridSize(size, () => log.moves.every(move => parseMove(move) !== null))) { return null }
+
+  let rules = log.rules === undefined? null : log.rules
+  if(rules !== null && validateRuleSet(rules).length > 0) { return null }
+
+  return { seed: log.seed, moves: log.moves.slice(), size: size, rules: rules }
+}
+
+
+/* **************************************************
+// Opens the replay viewer and plays the given log
+// from the beginning.
+// ************************************************** */
+function playReplay( log // A move log, or its JSON string.
+                   , title = ""
+){
+  let parsed = parseReplay(log)
+  if(parsed === null) { window.alert("This game can't be replayed."); return false }
+
+  if(replaying) { closeReplay() }
+  replay_title = title
+
+  // Set the user's own game aside. The blitz timer waits for it.
+  pauseTimer()
+  replay_backup = { snapshot: takeSnapshot()
+                  , size: grid_size
+                  , move_log: move_log
+                  , undo_stack: undo_stack
+                  , redo_stack: redo_stack
+                  , undos_remaining: undos_remaining }
+
+  replay = parsed
+  replaying = true
+  updateLimitLabel()
+  showReplayViewer()
+  restartReplay()
+  resumeReplay()
+
+  return true
+}
+
+
+// Plays the best game recorded for the current game mode (and size of grid).
+function playBestReplay(
+){
+  let best = window.localStorage.getItem(highScoreKey('high_score_replay'))
+  if(best === null) { window.alert("No best game has been recorded yet."); return false }
+  return playReplay(best)
+}
+
+
+/* **************************************************
+// Has a bot (see ai_strategies) play a game from a
+// new seed, and replays it. The whole game is played
+// before the replay starts, which takes a moment for
+// the search strategy.
+// ************************************************** */
+function watchBot( strategy = "search" // A name from ai_strategies.
+){
+  let result = playGame(newSeed(), ai_strategies[strategy])
+  return playReplay({ seed: result.seed, moves: result.moves, size: grid_size, rules: loggedRuleSet() }, "Bot (" + strategy + ")")
+}
+
+
+// Copies the log of the game that just ended, e.g. for a bug report.
+function copyReplay(
+){
+  if(last_replay === null) { window.alert("This game can't be replayed."); return }
+  navigator.clipboard.writeText(JSON.stringify(last_replay))
+}
+
+
+/* **************************************************
+// Closes the replay viewer and restores the user's
+// own game.
+// ************************************************** */
+function closeReplay(
+){
+  if(!replaying) { return }
+  pauseReplay()
+
+  move_log = replay_backup.move_log
+  resizeGrid(replay_backup.size)
+  restoreSnapshot(replay_backup.snapshot)
+  undo_stack = replay_backup.undo_stack
+  redo_stack = replay_backup.redo_stack
+  undos_remaining = replay_backup.undos_remaining
+  updateUndoLabel()
+
+  replay = null
+  replay_backup = null
+  replaying = false
+
+  hideReplayViewer()
+  updateLimitLabel()
+  startTimer()
+}
+
+
+/* **************************************************
+// Goes back to the start of the replay.
+// ************************************************** */
+function restartReplay(
+){
+  pauseReplay()
+
+  // The replay records its own moves as it goes, just as a game would.
+  resizeGrid(replay.size)
+  setRuleSet(replay.rules)
+  move_log = { seed: replay.seed, moves: [], size: replay.size, rules: replay.rules }
+  resetGameFields(replay.seed)
+
+  // Replays play every move in their log, however the game was limited. The user's own limit comes back with their game.
+  drops_left = null
+  replay_position = 0
+
+  updateReplayLabel("")
+}
+
+
+/* **************************************************
+// Plays the next move of the replay. Returns true iff
+// a move was played.
+// ************************************************** */
+function stepReplay(
+){
+  if(replay_position >= replay.moves.length) { return false }
+
+  let move = parseMove(replay.moves[replay_position]),
+      played = false;
+
+  switch(move.type)
+  {
+    case "drop": played = dropNextArrow(0, move.column); break
+    case "action": played = performGridAction(move.src, move.dest); break
+    case "swap": played = swapNextArrows(); break
+  }
+
+  // This only happens if the log doesn't belong to its seed, or the rules have changed since.
+  if(!played)
+  {
+    pauseReplay()
+    updateReplayLabel("Invalid move: " + replay.moves[replay_position])
+    return false
+  }
+
+  ++replay_position
+  updateReplayLabel(replay_position === replay.moves.length? "Done" : "")
+
+  return true
+}
+
+
+/* **************************************************
+// Returns true iff the next move has to wait for some
+// arrows to land. Arrows can't be acted on while
+// they're still in the air.
+// ************************************************** */
+function replayMustWait(
+){
+  if(replay_position >= replay.moves.length) { return false }
+
+  let move = parseMove(replay.moves[replay_position])
+  return move.type === "action" && (move.src in board.falling || move.dest in board.falling)
+}
+
+
+// Handles the step button. Lands any arrows that are in the way right away.
+function stepReplayButtonClicked(
+){
+  pauseReplay()
+  if(replayMustWait()) { settleFalls() }
+  stepReplay()
+}
+
+
+/* **************************************************
+// Plays one move, and schedules the next one for as
+// long as the replay is playing.
+// ************************************************** */
+function replayTick(
+){
+  replay_timer = null
+  if(!replay_playing) { return }
+
+  if(replayMustWait()) { replay_timer = setTimeout(replayTick, 50); return }
+  if(!stepReplay()) { pauseReplay(); return }
+  replay_timer = setTimeout(replayTick, replay_move_delay / replay_speed)
+}
+
+
+// Starts (or continues) playing the replay. Starts over if the replay has finished.
+function resumeReplay(
+){
+  if(replay_position >= replay.moves.length) { restartReplay() }
+
+  replay_playing = true
+  document.getElementById('replay-viewer-play').innerHTML = "&#10074;&#10074;"
+  replayTick()
+}
+
+
+// Stops playing the replay after the current move.
+function pauseReplay(
+){
+  replay_playing = false
+  if(replay_timer !== null) { clearTimeout(replay_timer); replay_timer = null }
+  document.getElementById('replay-viewer-play').innerHTML = "&#9654;"
+}
+
+
+// Handles the play/pause button.
+function playPauseReplay(
+){ if(replay_playing) { pauseReplay() } else { resumeReplay() } }
+
+
+// Handles the speed slider. e.g. 2 plays moves twice as fast as normal.
+function setReplaySpeed( speed
+){ replay_speed = parseFloat(speed) }
+
+
+// Shows the position in the replay, and an optional message.
+function updateReplayLabel( message
+){
+  document.getElementById('replay-viewer-label').innerHTML = (replay_title === ""? "" : replay_title + ": ")
+                                                           + replay_position.toString() + " / " + replay.moves.length.toString()
+                                                           + (message === ""? "" : " - " + message)
+}
+
+
+/* **************************************************
+// Shows the replay controls in place of the buttons
+// under the grid. If the replay was started from the
+// game over screen, then the game over screen is
+// hidden until the viewer is closed.
+// ************************************************** */
+function showReplayViewer(
+){
+  let game_sub_container = document.getElementById('ag_sub_container'),
+      game_over_container = document.getElementById('game-over-container');
+
+  replay_from_game_over = game_over_container.style.display === 'block'
+  if(replay_from_game_over)
+  {
+    game_over_container.style.display = 'none'
+    game_sub_container.style.display = 'block'
+    game_sub_container.style.opacity = '1'
+  }
+
+  document.getElementById('replay-viewer').style.display = 'block'
+}
+
+
+// Hides the replay controls, and goes back to wherever the replay was started from.
+function hideReplayViewer(
+){
+  document.getElementById('replay-viewer').style.display = 'none'
+
+  if(replay_from_game_over)
+  {
+    document.getElementById('ag_sub_container').style.display = 'none'
+    document.getElementById('game-over-container').style.display = 'block'
+  }
+}
@@ -0,0 +1,1107 @@
+/* ***********************************************************************************************
+// This file contains the rules of The Arrow Game, with no dependence on the page.
+//
+// Components of interest:
+//   - The grid is modelled as a flat array of arrow ids, with 0 standing for an empty cell. Cell
+//     (i,j) lives at index i*grid_size+j, which is the same numbering as the #cell elements that
+//     buildGrid (main.js) makes. None of the functions in this file modify the grids they are
+//     given. Anything that changes the grid returns a new one.
+//
+//   - The grid is grid_size cells on a side, 5 unless setGridSize says otherwise. Every rule that
+//     depends on the size (the distances between neighbouring cells, and so which arrows can be
+//     acted on) follows it.
+//
+//   - classifyAction and resolveEdgeError decide whether a pair of arrows can be acted on, and
+//     applyAction performs the action and reports what it was worth. resolveGravity settles every
+//     arrow to the lowest empty cell in its column, and reports which arrows fell where so that
+//     the page can animate them. isGameOver tells whether any further progress is possible,
+//     counting the arrows still to come from the generator.
+//
+//   - Which arrows act on which, what they make and what they score come from the rule set, the
+//     default one unless useRuleSet says otherwise. See the Rule sets section.
+//
+//   - main.js owns the grid of the current game and renders it. This file is loaded before
+//     main.js in index.html, and can also be loaded under Node with require('./rules.js').
+//
+// *********************************************************************************************** */
+
+const default_grid_size = 5,
+      min_grid_size = 4,
+      max_grid_size = 8;
+
+// Set by setGridSize.
+let grid_size = default_grid_size,
+    grid_cells = grid_size*grid_size;
+
+let valid_grid_size = size => Number.isInteger(size) && size >= min_grid_size && size <= max_grid_size
+
+let grid_id = (i,j) => i*grid_size+j,
+    grid_indices = (n) => [(n-(n%grid_size))/grid_size, n%grid_size],
+    in_grid = (i,j) => i >= 0 && i < grid_size && j >= 0 && j < grid_size
+
+
+/* ******************************************************************************************************** */
+// Arrows and actions.
+
+const Merge = Symbol("merge"),
+      Combine = Symbol("combine"),
+      Cancel = Symbol("cancel");
+
+const basic_arr = [ 1, 5, 8, 3, 10, 4, 2, 7 ], //  "↑", "↓", "←", "→", "↖", "↘", "↗", "↙"
+      mid_arr1 = [ 14, 9 ], // "⤡", "⤢"
+      mid_arr2 = [ 6, 11 ], // "⬍", "⇿"
+      mid_arr = [ 14, 9, 6, 11 ],
+      max_arr = [ 17, 23, 40 ], // "+", "x", "*"
+      arrows = [ 1, 5, 8, 3, 10, 4, 2, 7, 14, 9, 6, 11, 17, 23, 40 ]
+
+// Names of the arrows, for screen readers and the like.
+const arrow_names = { 0:"empty", 1:"up", 5:"down", 8:"left", 3:"right", 10:"up-left", 4:"down-right", 2:"up-right", 7:"down-left"
+                    , 14:"double-diagonal up-left", 9:"double-diagonal up-right", 6:"up-down", 11:"left-right"
+                    , 17:"plus", 23:"cross", 40:"star" }
+
+
+// The distances between a cell and its neighbours below, to the right, below and to the right, and
+// below and to the left. Moving the other way negates the distance. e.g. on the 5x5 grid, the cell
+// above cell 12 is cell 12-5.
+let vertical_dist = size => size,
+    horizontal_dist = size => 1,
+    diagonal_dist = size => size+1,
+    anti_diagonal_dist = size => size-1
+
+
+// The directions that rule sets can name, as [row, column] steps from the dragged arrow to the arrow
+// that it's dropped on. The last five stand for several directions at once.
+const rule_directions = { up: [[-1,0]], down: [[1,0]], left: [[0,-1]], right: [[0,1]]
+                        , "up-left": [[-1,-1]], "up-right": [[-1,1]], "down-left": [[1,-1]], "down-right": [[1,1]]
+                        , vertical: [[-1,0],[1,0]], horizontal: [[0,-1],[0,1]], diagonal: [[-1,-1],[1,1]], "anti-diagonal": [[-1,1],[1,-1]]
+                        , any: [[-1,0],[1,0],[0,-1],[0,1],[-1,-1],[1,1],[-1,1],[1,-1]] }
+
+// The actions that rule sets can name.
+const action_kinds = { merge: Merge, combine: Combine, cancel: Cancel }
+
+
+/* ******************************************************************************************************** */
+// Rule sets.
+//
+// Which arrows can be acted on, what they make and what they're worth are given by a rule set, a
+// JSON object of the form
+//
+//   { id            - The rule set's name in saves, logs and leaderboards: lowercase letters,
+//                     digits and dashes, e.g. "classic".
+//   , name          - The name shown to players, e.g. "Classic".
+//   , description   - Optional. A sentence or two on how the rule set plays.
+//   , tiers         - Maps the name of each tier of arrows to { arrows, u }. Every arrow is in exactly
+//                     one tier, and scores by the u of its tier (see actionScore).
+//   , scores        - { merge, combine, cancel }, each { base, shift, bonus }. Each action is worth
+//                     base**(u+shift) + bonus points, where u is that of the dragged arrow. Any of
+//                     the three can be left out: base for no power at all, shift and bonus for 0.
+//   , actions }     - A list of { action, arrows, directions, makes, swaps }, each of which says that
+//                     dragging arrows[0] onto arrows[1], in any of the directions, is the action:
+//                       "merge"   - moves the arrow onto the other, which has to be the same arrow.
+//                       "combine" - makes the two into the arrow makes.
+//                       "cancel"  - removes both arrows.
+//                     Directions are those of rule_directions. swaps is the number of swaps earned,
+//                     0 if left out. No two actions can have the same arrows and direction.
+//
+// default_rule_set is the game as it has always been played. Other rule sets are variants (see
+// variants.js in the page, and the variants directory), which take any of tiers, scores and actions
+// that they leave out from the default rule set (see completeRuleSet).
+
+const default_rule_set =
+  { id: "classic"
+  , name: "Classic"
+  , tiers: { basic: { arrows: [ 1, 5, 8, 3, 10, 4, 2, 7 ], u: 2 }
+           , mid: { arrows: [ 14, 9, 6, 11 ], u: 4 }
+           , star: { arrows: [ 40 ], u: 9 }
+           , max: { arrows: [ 17, 23 ], u: 6 } }
+  , scores: { merge: { bonus: 2 }, combine: { base: 2, shift: 1 }, cancel: { base: 2, bonus: 2 } }
+  , actions:
+    // Each one-way arrow merges with itself along its line, combines with its inverse when dragged
+    // away from where it points, and cancels it when dragged head on.
+    [ { action: "merge", arrows: [ 1, 1 ], directions: [ "vertical" ] }
+    , { action: "merge", arrows: [ 5, 5 ], directions: [ "vertical" ] }
+    , { action: "merge", arrows: [ 8, 8 ], directions: [ "horizontal" ] }
+    , { action: "merge", arrows: [ 3, 3 ], directions: [ "horizontal" ] }
+    , { action: "merge", arrows: [ 10, 10 ], directions: [ "diagonal" ] }
+    , { action: "merge", arrows: [ 4, 4 ], directions: [ "diagonal" ] }
+    , { action: "merge", arrows: [ 2, 2 ], directions: [ "anti-diagonal" ] }
+    , { action: "merge", arrows: [ 7, 7 ], directions: [ "anti-diagonal" ] }
+    , { action: "combine", arrows: [ 1, 5 ], directions: [ "down" ], makes: 6 }
+    , { action: "cancel", arrows: [ 1, 5 ], directions: [ "up" ] }
+    , { action: "combine", arrows: [ 5, 1 ], directions: [ "up" ], makes: 6 }
+    , { action: "cancel", arrows: [ 5, 1 ], directions: [ "down" ] }
+    , { action: "combine", arrows: [ 8, 3 ], directions: [ "right" ], makes: 11 }
+    , { action: "cancel", arrows: [ 8, 3 ], directions: [ "left" ] }
+    , { action: "combine", arrows: [ 3, 8 ], directions: [ "left" ], makes: 11 }
+    , { action: "cancel", arrows: [ 3, 8 ], directions: [ "right" ] }
+    , { action: "combine", arrows: [ 10, 4 ], directions: [ "down-right" ], makes: 14 }
+    , { action: "cancel", arrows: [ 10, 4 ], directions: [ "up-left" ] }
+    , { action: "combine", arrows: [ 4, 10 ], directions: [ "up-left" ], makes: 14 }
+    , { action: "cancel", arrows: [ 4, 10 ], directions: [ "down-right" ] }
+    , { action: "combine", arrows: [ 2, 7 ], directions: [ "down-left" ], makes: 9 }
+    , { action: "cancel", arrows: [ 2, 7 ], directions: [ "up-right" ] }
+    , { action: "combine", arrows: [ 7, 2 ], directions: [ "up-right" ], makes: 9 }
+    , { action: "cancel", arrows: [ 7, 2 ], directions: [ "down-left" ] }
+
+    // Two-way arrows combine with the other two-way arrow of their kind either way, and cancel
+    // themselves along their line.
+    , { action: "combine", arrows: [ 6, 11 ], directions: [ "vertical", "horizontal" ], makes: 17 }
+    , { action: "combine", arrows: [ 11, 6 ], directions: [ "vertical", "horizontal" ], makes: 17 }
+    , { action: "cancel", arrows: [ 6, 6 ], directions: [ "vertical" ] }
+    , { action: "cancel", arrows: [ 11, 11 ], directions: [ "horizontal" ] }
+    , { action: "combine", arrows: [ 14, 9 ], directions: [ "diagonal", "anti-diagonal" ], makes: 23 }
+    , { action: "combine", arrows: [ 9, 14 ], directions: [ "diagonal", "anti-diagonal" ], makes: 23 }
+    , { action: "cancel", arrows: [ 14, 14 ], directions: [ "diagonal" ] }
+    , { action: "cancel", arrows: [ 9, 9 ], directions: [ "anti-diagonal" ] }
+
+    // Pluses and crosses combine into stars, and two stars cancel for a swap, in any direction.
+    , { action: "combine", arrows: [ 17, 23 ], directions: [ "any" ], makes: 40 }
+    , { action: "combine", arrows: [ 23, 17 ], directions: [ "any" ], makes: 40 }
+    , { action: "cancel", arrows: [ 40, 40 ], directions: [ "any" ], swaps: 1 } ] }
+
+
+// Returns a rule set with the tiers, scores and actions that the given variant leaves out taken from the default rule set.
+function completeRuleSet( definition
+){
+  if(definition === null || typeof definition !== "object" || Array.isArray(definition)) { return definition }
+  return Object.assign({ tiers: default_rule_set.tiers, scores: default_rule_set.scores, actions: default_rule_set.actions }, definition)
+}
+
+
+/* **************************************************
+// Checks a rule set against the format above.
+// Returns a list of its problems, which is empty if
+// it can be played by.
+// ************************************************** */
+function validateRuleSet( rules
+){
+  let problems = [],
+      count = n => Number.isInteger(n) && n >= 0,
+      is_object = x => x !== null && typeof x === "object" && !Array.isArray(x);
+
+  if(!is_object(rules)) { return ["The rule set isn't an object."] }
+  if(typeof rules.id !== "string" || !/^[a-z0-9-]{1,40}$/.test(rules.id)) { problems.push("The id has to be 1 to 40 lowercase letters, digits and dashes.") }
+  if(typeof rules.name !== "string" || rules.name.trim() === "") { problems.push("The rule set has no name.") }
+  if(rules.description !== undefined && typeof rules.description !== "string") { problems.push("The description isn't text.") }
+
+  if(!is_object(rules.tiers)) { problems.push("The tiers are missing.") }
+  else
+  {
+    let tiered = []
+    for(let [name, tier] of Object.entries(rules.tiers))
+    {
+      if(!is_object(tier) || !Array.isArray(tier.arrows) || !count(tier.u)) { problems.push("Tier " + name + " needs a list of arrows and a whole number u."); continue }
+      tiered = tiered.concat(tier.arrows)
+    }
+    if(tiered.some(arrow => !arrows.includes(arrow))) { problems.push("The tiers have something that isn't an arrow.") }
+    for(let arrow of arrows)
+    { if(tiered.filter(other => other === arrow).length !== 1) { problems.push("The " + arrow_names[arrow] + " arrow isn't in exactly one tier.") } }
+  }
+
+  if(!is_object(rules.scores)) { problems.push("The scores are missing.") }
+  else
+  {
+    for(let kind of Object.keys(action_kinds))
+    {
+      let points = rules.scores[kind]
+      if(!is_object(points) || (points.base !== undefined && !(count(points.base) && points.base > 0))
+         || (points.shift !== undefined && !count(points.shift)) || (points.bonus !== undefined && !count(points.bonus)))
+      { problems.push("The " + kind + " score needs a whole base, shift and bonus, each of which can be left out.") }
+    }
+  }
+
+  if(!Array.isArray(rules.actions)) { problems.push("The actions aren't a list.") }
+  else
+  {
+    let seen = new Set()
+    rules.actions.forEach((rule, r) => {
+      let where = "Action " + (r+1).toString()
+
+      if(!is_object(rule) || !Object.keys(action_kinds).includes(rule.action)) { problems.push(where + " isn't a merge, combine or cancel."); return }
+      if(!Array.isArray(rule.arrows) || rule.arrows.length !== 2 || !rule.arrows.every(arrow => arrows.includes(arrow))) { problems.push(where + " needs a pair of arrows."); return }
+      if(!Array.isArray(rule.directions) || rule.directions.length === 0 || !rule.directions.every(direction => Object.keys(rule_directions).includes(direction)))
+      { problems.push(where + " needs a list of directions, out of " + Object.keys(rule_directions).join(", ") + "."); return }
+
+      if(rule.action === "merge" && rule.arrows[0] !== rule.arrows[1]) { problems.push(where + " merges two different arrows.") }
+      if(rule.action === "combine" && !arrows.includes(rule.makes)) { problems.push(where + " doesn't make an arrow.") }
+      if(rule.swaps !== undefined && !count(rule.swaps)) { problems.push(where + " earns a number of swaps that isn't whole.") }
+
+      for(let [di,dj] of rule.directions.flatMap(direction => rule_directions[direction]))
+      {
+        let key = rule.arrows.join() + ":" + di.toString() + "," + dj.toString()
+        if(seen.has(key)) { problems.push(where + " has the same arrows and direction as an action before it."); break }
+        seen.add(key)
+      }
+    })
+  }
+
+  return problems
+}
+
+
+// Maps every arrow to the name of its tier in a rule set.
+function arrowTiers( rules
+){
+  let tiers = {}
+  for(let [name, tier] of Object.entries(rules.tiers)) { for(let arrow of tier.arrows) { tiers[arrow] = name } }
+  return tiers
+}
+
+
+// Returns the u of each tier of a rule set, by the name of the tier.
+function tierExponents( rules
+){ return Object.fromEntries(Object.entries(rules.tiers).map(([name, tier]) => [name, tier.u])) }
+
+
+/* **************************************************
+// Builds the table of the actions of a rule set on a
+// grid of the given size, which maps a dragged arrow,
+// the arrow that it's dropped on, and the distance
+// between their cells to { action, makes, swaps },
+// where makes is the arrow left in the second cell
+// (0 for none). e.g. with the default rule set, on
+// the 5x5 grid, table[1][5] is
+//   { 5: { action: Combine, makes: 6, swaps: 0 }
+//   , -5: { action: Cancel, makes: 0, swaps: 0 } }
+// ************************************************** */
+function actionTable( rules, size
+){
+  let table = {}
+
+  for(let rule of rules.actions)
+  {
+    let [src, dest] = rule.arrows,
+        result = { action: action_kinds[rule.action], makes: rule.action === "merge"? src : rule.action === "combine"? rule.makes : 0, swaps: rule.swaps || 0 };
+
+    table[src] = table[src] || {}
+    table[src][dest] = table[src][dest] || {}
+    for(let [di,dj] of rule.directions.flatMap(direction => rule_directions[direction])) { table[src][dest][di*size+dj] = result }
+  }
+  return table
+}
+
+
+// Returns every actionable cell distance on a grid of the given size. e.g. [-6,-5,-4,-1,1,4,5,6] on the 5x5 grid.
+function actionDists( size
+){
+  let dists = [vertical_dist(size), horizontal_dist(size), diagonal_dist(size), anti_diagonal_dist(size)]
+  return dists.map(dist => -dist).concat(dists).sort((a,b) => a - b)
+}
+
+
+// Set by useRuleSet and setGridSize.
+let rule_set = default_rule_set,
+    arrow_tiers = arrowTiers(rule_set),
+    action_table = actionTable(rule_set, grid_size),
+    action_dists = actionDists(grid_size);
+
+
+/* **************************************************
+// Changes the size of the grid, along with every
+// distance that depends on it. Returns false (and
+// changes nothing) if the size isn't supported.
+// Any grid of the old size no longer fits, so the
+// page has to rebuild its grid too. See resizeGrid in
+// main.js.
+// ************************************************** */
+function setGridSize( size
+){
+  if(!valid_grid_size(size)) { return false }
+
+  grid_size = size
+  grid_cells = size*size
+  action_table = actionTable(rule_set, size)
+  action_dists = actionDists(size)
+  return true
+}
+
+
+/* **************************************************
+// Calls f with the grid set to the given size, and
+// then puts the size back. Returns whatever f does.
+// Used to check grids of other sizes, e.g. in saves.
+// ************************************************** */
+function withGridSize( size, f
+){
+  let old_size = grid_size
+  if(!setGridSize(size)) { throw new RangeError("Unsupported grid size: " + String(size)) }
+
+  try { return f() }
+  finally { setGridSize(old_size) }
+}
+
+
+/* **************************************************
+// Plays by the given rule set from now on. Returns
+// false (and changes nothing) if it doesn't pass
+// validateRuleSet. The u of each tier is copied into
+// score_exponents, which is edited in place, so
+// changes made to it by hand last until the next
+// rule set.
+// ************************************************** */
+function useRuleSet( rules
+){
+  if(validateRuleSet(rules).length > 0) { return false }
+
+  rule_set = rules
+  arrow_tiers = arrowTiers(rules)
+  action_table = actionTable(rules, grid_size)
+  for(let tier of Object.keys(score_exponents)) { delete score_exponents[tier] }
+  Object.assign(score_exponents, tierExponents(rules))
+  return true
+}
+
+
+/* **************************************************
+// Calls f with the given rule set, and then puts the
+// old one back. Returns whatever f does. Used to
+// check games played by other rules, e.g. by the
+// verification server.
+// ************************************************** */
+function withRuleSet( rules, f
+){
+  let old_rules = rule_set
+  if(!useRuleSet(rules)) { throw new TypeError("Invalid rule set: " + validateRuleSet(rules).join(" ")) }
+
+  try { return f() }
+  finally { useRuleSet(old_rules) }
+}
+
+
+// Returns what dragging src_content onto dest_content, dist cells away, does by the rule set, or null if nothing.
+let actionRule = (src_content, dest_content, dist) => ((action_table[src_content] || {})[dest_content] || {})[dist] || null
+
+
+/* **************************************************************
+// Given two arrows (such as "↑" and "↓") and an action distance,
+// classifyAction function returns either -1 (if the action is
+// invalid), Combine, Merge, or Cancel (which tell to the action
+// handle what to handle).
+//
+// Note that dist is necessarily signed. i.e., a distance
+// of k is different than a distance of -k. Grid positions
+// increase in decending and left to right order. For example,
+//  a 3*3 grid has the following position values:
+// [0] [1] [2]
+// [3] [4] [5]
+// [6] [7] [8]
+//
+// Positive k values imply a downward move, whereas negative
+// values of k imply an upward move.
+//
+// consider the grid:
+// [] [ ] []
+// [] [↑] []
+// [] [↓] []
+//
+// If the arrow in position 4, namely ↑ is dragged down into
+// the arrow in position 7, namely ↓, then classifyAction
+// should receive the arguments (↑,↓,3). Conversely, if the
+// arrow in position 7 is dragged up into the arrow in position 4,
+// then classifyAction should receive the arguments
+// (↓,↑, -3). In either of these cases, Combine is returned.
+//
+// Which pairs of arrows act at which distances is up to the
+// rule set (see action_table).
+//
+// **************************************************************/
+function classifyAction(arrow1, arrow2, dist){
+  let rule = actionRule(arrow1, arrow2, dist)
+  return rule === null? -1 : rule.action
+}
+
+
+/* **************************************************
+\\ resolveEdgeError verifies that actions are not
+// exploiting certain properties of the grid.
+\\
+// Consider the grid:
+\\
+//    [ ] [ ] [↖]
+\\    [ ] [ ] [ ]
+//    [↘] [ ] [ ]
+\\
+// ↖ and ↘ are clearly in-actionable, however,
+\\ because actions are determined by distance
+// between arrows, it would be possible to combine
+\\ them. i.e., ↖ and ↘ combine into ⤡ when separated
+// by a distance of (GRID_SIZE+1).
+\\
+// The action classifier would treat the above
+\\ action in exactly the same way as it would
+// treat the same action on the following grid:
+\\
+//    [ ] [ ] [ ]
+\\    [↖] [ ] [ ]
+//    [ ] [↘] [ ]
+\\
+//
+\\ Returns true if no error is detected.
+//
+// **************************************************/
+function resolveEdgeError( src
+                         , dest
+                         , dist
+){
+  dist = Math.abs(dist)
+
+  let [src_r, src_c] = src, [dest_r, dest_c] = dest
+
+  // Resolves edge errors for vertical actions.
+  // e.g., all actions of ↑ and ↓. The arrows have to
+  // be in the same column, which they always are when
+  // they're a row apart.
+  if(dist === vertical_dist(grid_size)) { return src_c === dest_c; }
+
+  // Resolves edge errors for horizontal actions.
+  // If the arrows are separated by zero cells, then
+  // perform the action iff the arrows are in the same
+  // row.
+  if(dist === horizontal_dist(grid_size)) { return src_r === dest_r; }
+
+  // Resolves edge errors for diagonal actions.
+  // If the arrows are separated by grid_size-1 or
+  // grid_size+1 cells, then require that the arrows
+  // are spaced apart by one row and one column.
+  if(dist === anti_diagonal_dist(grid_size) || dist === diagonal_dist(grid_size))
+  { return Math.abs(src_r - dest_r) === 1 && Math.abs(src_c - dest_c) === 1; }
+
+  return true;
+}
+
+
+/* **************************************************
+// Returns the list of ids of cells whose which can
+// arrows can combined/merger/canceled with an arrow
+// in the cell corresponding to the given cell_id.
+// ************************************************** */
+function getNeighbors( cell_id
+){ return action_dists.map( n => cell_id + n ) }
+
+
+/* **************************************************
+// Returns true iff there is an action on a pair of
+// arrows whose distance from one another is dist.
+// ************************************************** */
+function canCombine( src, src_content, dest, dest_content, dist
+){
+  if( src >= 0 && dest >= 0 && src < grid_cells && dest < grid_cells // Cell ids are valid
+   && resolveEdgeError(grid_indices(src), grid_indices(dest), dist) // Cells are not on oppsite sides of the grid.
+   && classifyAction(src_content, dest_content, dist) !== -1) // An action exists on the src and dest arrows.
+  { return true }
+
+  return false;
+}
+
+
+/* ******************************************************************************************************** */
+// Scoring and performing actions.
+
+
+// The u of each tier of arrows in actionScore, from the rule set (see useRuleSet). These are edited in
+// place by tools/simulate.js to try out other scoring.
+const score_exponents = tierExponents(default_rule_set)
+
+
+/* **************************************************
+// Returns the number of points earned by performing
+// the given action with src_content as the source,
+// by the scores of the rule set.
+// ************************************************** */
+function actionScore( action, src_content
+){
+  // Relates the arrow type to the score. The actual score depends on the arrow type as well as the action type.
+  let u = score_exponents[arrow_tiers[src_content]],
+      kind = Object.keys(action_kinds).find(kind => action_kinds[kind] === action);
+
+  if(u === undefined || kind === undefined) { return 0 }
+
+  let points = rule_set.scores[kind]
+  return (points.base === undefined? 0 : points.base**(u + (points.shift || 0))) + (points.bonus || 0)
+}
+
+
+/* ****************************************************
+// Attempts the action of dragging the arrow in cell
+// src onto the arrow in cell dest. Returns null if no
+// action is possible. Otherwise, returns an object
+// describing the result:
+//   action  - Merge, Combine, or Cancel.
+//   grid    - The grid after the action, but before
+//             gravity has been applied.
+//   score   - Points earned.
+//   spins   - Swaps earned. By the default rules,
+//             cancelling two stars earns one.
+//   removed - The number of arrows removed.
+// **************************************************** */
+function applyAction( grid, src, dest
+){
+  if(src < 0 || dest < 0 || src >= grid_cells || dest >= grid_cells) { return null }
+
+  let src_content = grid[src],
+      dest_content = grid[dest],
+      dist = dest - src;
+
+  if(!resolveEdgeError(grid_indices(src), grid_indices(dest), dist)) { return null }
+
+  // Determine what action, if any, can be performed on the source and dest cells.
+  let rule = actionRule(src_content, dest_content, dist),
+      new_grid = grid.slice();
+
+  if(rule === null) { return null }
+
+  new_grid[src] = 0
+  new_grid[dest] = rule.makes
+  return { action: rule.action, grid: new_grid, score: actionScore(rule.action, src_content), spins: rule.swaps, removed: rule.action === Cancel? 2 : 1 }
+}
+
+
+/* ******************************************************************************************************** */
+// Gravity.
+
+
+/* ****************************************************
+// Moves every arrow to the lowest empty cell in its
+// column, keeping the order of the arrows in each
+// column. Returns the settled grid and a list of the
+// arrows that fell, as { from, to, content } objects
+// where from and to are cell ids.
+// **************************************************** */
+function resolveGravity( grid
+){
+  let new_grid = grid.slice(),
+      falls = [];
+
+  for(var j = 0; j < grid_size; ++j)
+  {
+    // The next row to be filled, starting from the bottom.
+    let landing_row = grid_size-1
+
+    for(var i = grid_size-1; i >= 0; --i)
+    {
+      let content = grid[grid_id(i,j)]
+      if(content === 0) { continue }
+
+      new_grid[grid_id(i,j)] = 0
+      new_grid[grid_id(landing_row,j)] = content
+      if(landing_row !== i) { falls.push({ from: grid_id(i,j), to: grid_id(landing_row,j), content: content }) }
+      --landing_row
+    }
+  }
+
+  return { grid: new_grid, falls: falls }
+}
+
+
+/* ****************************************************
+// Returns the row that an arrow dropped into column j
+// would land in, or -1 if the column is full.
+// **************************************************** */
+function landingRow( grid, j
+){
+  for(var i = grid_size-1; i >= 0; --i)
+  { if(grid[grid_id(i,j)] === 0) { return i } }
+  return -1
+}
+
+
+/* ****************************************************
+// Drops an arrow into column j. Returns null if the
+// column is full, and otherwise the new grid and the
+// row that the arrow landed in.
+// **************************************************** */
+function dropArrow( grid, j, content
+){
+  let row = landingRow(grid, j)
+  if(row === -1) { return null }
+
+  let new_grid = grid.slice()
+  new_grid[grid_id(row,j)] = content
+
+  return { grid: new_grid, row: row }
+}
+
+
+/* ******************************************************************************************************** */
+// Arrow generator.
+//
+// New arrows come from a small seedable pseudo random number generator (mulberry32), so that any
+// game can be reproduced from its seed. A generator is a plain { seed, state } object, which makes
+// it trivial to save and restore.
+
+
+/* **************************************************
+// Converts a seed into an unsigned 32 bit integer.
+// Integers (or strings of digits) are used as they
+// are, and any other string is hashed (FNV-1a).
+// ************************************************** */
+function hashSeed( seed
+){
+  if(typeof seed === "number" && Number.isInteger(seed)) { return seed >>> 0 }
+  if(/^[0-9]+$/.test(String(seed)) && parseInt(seed) < 2**32) { return parseInt(seed) }
+
+  let hash = 2166136261
+  for(let c of String(seed)) { hash = Math.imul(hash ^ c.charCodeAt(0), 16777619) }
+  return hash >>> 0
+}
+
+
+// Returns a fresh random seed.
+function newSeed(
+){ return Math.floor(Math.random() * 2**32) }
+
+
+// Creates a new generator from the given seed.
+function createRng( seed
+){ seed = hashSeed(seed); return { seed: seed, state: seed } }
+
+
+/* **************************************************
+// Returns a number in [0,1), and advances the state
+// of the given generator.
+// ************************************************** */
+function nextRandom( rng
+){
+  let t = rng.state = (rng.state + 0x6D2B79F5) >>> 0
+  t = Math.imul(t ^ (t >>> 15), t | 1)
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+  return ((t ^ (t >>> 14)) >>> 0) / 2**32
+}
+
+
+// Returns the (UTC) calendar date of the given Date as "YYYY-MM-DD".
+function dateKey( date
+){ return date.toISOString().slice(0,10) }
+
+
+// Returns the seed of the daily challenge on the given date. Everyone gets the same seed on the same day.
+function dailySeed( date
+){ return "daily-" + dateKey(date) }
+
+
+// The relative odds of each arrow from getRandomArrow, in the order of its valid_numbers. These
+// are edited in place by tools/simulate.js to try out other odds.
+const arrow_weights = [1,1,1,1,1,1,1,1]
+
+
+/* **************************************************
+// Returns a number representing on of the most basic
+// arrows (those pointing in one direction).
+//
+// This is used for the new arrow generator.
+// ************************************************** */
+function getRandomArrow( rng // A generator from createRng.
+                       , valid_numbers = [1,2,3,4,5,7,8,10]
+                       , weights = arrow_weights
+){
+  let total = weights.reduce((sum, weight) => sum + weight, 0),
+      rand = nextRandom(rng) * total,
+      cumulative = 0;
+
+  for(var i = 0; i < valid_numbers.length-1; i += 1)
+  {
+    cumulative += weights[i]
+    if(rand < cumulative){ return valid_numbers[i] }
+  }
+  return valid_numbers[valid_numbers.length-1]
+}
+
+
+/* ******************************************************************************************************** */
+// Moves.
+//
+// Games are recorded as a seed and a list of moves, where each move is a short string:
+//   "d3"    - drop the next arrow into column 3.
+//   "a7-12" - drag the arrow in cell 7 onto the arrow in cell 12.
+//   "s"     - swap the next arrow with the preview.
+
+const swap_move = "s"
+
+let encodeDrop = (j) => "d" + j.toString(),
+    encodeAction = (src, dest) => "a" + src.toString() + "-" + dest.toString()
+
+
+/* **************************************************
+// Parses a move string into an object of the form
+// { type: "drop", column }, { type: "action", src,
+// dest }, or { type: "swap" }. Returns null if the
+// string isn't a valid move.
+// ************************************************** */
+function parseMove( move
+){
+  let match = null
+
+  if(move === swap_move) { return { type: "swap" } }
+
+  if((match = /^d([0-9]+)$/.exec(move)) !== null)
+  {
+    let j = parseInt(match[1])
+    return j < grid_size? { type: "drop", column: j } : null
+  }
+
+  if((match = /^a([0-9]+)-([0-9]+)$/.exec(move)) !== null)
+  {
+    let src = parseInt(match[1]), dest = parseInt(match[2])
+    return src < grid_cells && dest < grid_cells? { type: "action", src: src, dest: dest } : null
+  }
+
+  return null
+}
+
+
+/* ******************************************************************************************************** */
+// Playing moves and hints.
+//
+// A game is a { grid, next_arrow, next_next_arrow, rng, spins, score, drops_left, queue } object,
+// where drops_left is the number of arrows that can still be dropped, or null if there's no limit
+// (see the arrows mode in main.js), and queue is the list of arrows to come after the next two, or
+// null if they come from the generator (see the puzzle levels in levels.js). A game whose queue has
+// run out has 0 for its next arrows. applyMove plays a move on a game and returns the game that
+// follows, without touching the original.
+
+// Whether a game has an arrow left to drop. Games without a drops_left have no limit.
+let can_drop = game => game.drops_left === undefined || game.drops_left === null || game.drops_left > 0
+
+
+/* **************************************************
+// Returns the start of a new game with the given seed.
+// The next arrows are drawn in the same order as the
+// page draws them, so the same seed gives the same
+// game everywhere.
+// ************************************************** */
+function newGame( seed
+){
+  let rng = createRng(seed),
+      next_arrow = getRandomArrow(rng),
+      next_next_arrow = getRandomArrow(rng);
+
+  return { grid: newGrid(), next_arrow: next_arrow, next_next_arrow: next_next_arrow, rng: rng, spins: 3, score: 0, drops_left: null }
+}
+
+
+/* **************************************************
+// Returns the arrow that comes after the next two in
+// a game, and what's left of the game's queue after
+// it, as [arrow, queue]. The arrow is the head of the
+// queue (0 if it has run out) if the game has one,
+// and comes from rng (which advances) otherwise.
+// ************************************************** */
+function drawArrow( rng, queue
+){
+  if(queue === undefined || queue === null) { return [getRandomArrow(rng), null] }
+  return [queue.length > 0? queue[0] : 0, queue.slice(1)]
+}
+
+
+/* **************************************************
+// Returns every grid action available in the grid, as
+// { src, dest } pairs of cell ids.
+// ************************************************** */
+function legalActions( grid
+){
+  let actions = []
+
+  for(var src = 0; src < grid_cells; ++src)
+  {
+    if(grid[src] === 0) { continue }
+
+    for(let dist of action_dists)
+    {
+      let dest = src + dist
+      if(dest < 0 || dest >= grid_cells || grid[dest] === 0) { continue }
+
+      if(resolveEdgeError(grid_indices(src), grid_indices(dest), dist) && classifyAction(grid[src], grid[dest], dist) !== -1)
+      { actions.push({ src: src, dest: dest }) }
+    }
+  }
+  return actions
+}
+
+
+/* **************************************************
+// Returns every drop and grid action that can be
+// played in the given game, as encoded moves. Swaps
+// are left out, since they're better left to the
+// player (see swap_move).
+// ************************************************** */
+function legalMoves( game
+){
+  let moves = []
+  for(let j = 0; j < grid_size && can_drop(game); ++j) { if(landingRow(game.grid, j) !== -1) { moves.push(encodeDrop(j)) } }
+  for(let action of legalActions(game.grid)) { moves.push(encodeAction(action.src, action.dest)) }
+  return moves
+}
+
+
+/* **************************************************
+// Plays an encoded move (see parseMove) on a game.
+// Returns the game that follows, with gravity applied
+// and a copy of the generator, or null if the move
+// can't be played.
+// ************************************************** */
+function applyMove( game, move
+){
+  let parsed = parseMove(move),
+      next = { grid: game.grid, next_arrow: game.next_arrow, next_next_arrow: game.next_next_arrow
+             , rng: { seed: game.rng.seed, state: game.rng.state }, spins: game.spins, score: game.score
+             , drops_left: game.drops_left === undefined? null : game.drops_left, queue: game.queue === undefined? null : game.queue };
+
+  if(parsed === null) { return null }
+
+  switch(parsed.type)
+  {
+    case "drop":
+      let drop = can_drop(game)? dropArrow(game.grid, parsed.column, game.next_arrow) : null
+      if(drop === null) { return null }
+
+      next.grid = drop.grid
+      if(next.drops_left !== null) { next.drops_left -= 1 }
+      next.next_arrow = game.next_next_arrow;
+      [next.next_next_arrow, next.queue] = drawArrow(next.rng, next.queue)
+      return next
+
+    case "action":
+      let result = applyAction(game.grid, parsed.src, parsed.dest)
+      if(result === null) { return null }
+
+      next.grid = resolveGravity(result.grid).grid
+      next.score += result.score
+      next.spins += result.spins
+      return next
+
+    case "swap":
+      // Swapping in the empty arrow at the end of a queue would leave nothing to drop.
+      if(game.spins <= 0 || game.next_next_arrow === 0) { return null }
+
+      next.next_arrow = game.next_next_arrow
+      next.next_next_arrow = game.next_arrow
+      next.spins -= 1
+      return next
+  }
+  return null
+}
+
+
+// The number of moves that bestMove looks ahead, counting the move itself.
+const hint_depth = 2
+
+
+/* **************************************************
+// Returns the most points that can be earned in the
+// next depth moves of the given game (not counting
+// swaps).
+// ************************************************** */
+function lookaheadScore( game, depth
+){
+  if(depth <= 0) { return 0 }
+
+  let best = 0
+  for(let move of legalMoves(game))
+  {
+    let next = applyMove(game, move)
+    best = Math.max(best, next.score - game.score + lookaheadScore(next, depth-1))
+  }
+  return best
+}
+
+
+/* **************************************************
+// Returns the best move to play in the given game, as
+// { move, score }, where score is the number of points
+// that the move leads to within depth moves. Returns
+// null if there are no moves. Ties go to the move that
+// scores the most right away, and then to the move
+// that leaves the most grid actions available.
+// ************************************************** */
+function bestMove( game
+                 , depth = hint_depth
+){
+  let best = null
+
+  for(let move of legalMoves(game))
+  {
+    let next = applyMove(game, move),
+        immediate = next.score - game.score,
+        candidate = { move: move, score: immediate + lookaheadScore(next, depth-1), immediate: immediate, options: legalActions(next.grid).length };
+
+    if(best === null || candidate.score > best.score
+       || (candidate.score === best.score && (candidate.immediate > best.immediate
+                                           || (candidate.immediate === best.immediate && candidate.options > best.options))))
+    { best = candidate }
+  }
+
+  return best === null? null : { move: best.move, score: best.score }
+}
+
+
+/* ******************************************************************************************************** */
+// Puzzle goals.
+//
+// Each puzzle level (see levels.js) has a goal, which is one of
+//   { type: "clear" }                - Clear every arrow off the grid.
+//   { type: "create", arrow }        - Make the given arrow, e.g. 40 for a star.
+//   { type: "score", score }         - Score at least the given number of points.
+
+const goal_types = [ "clear", "create", "score" ]
+
+
+// Returns true iff the given game has reached the goal.
+function goalMet( goal, game
+){
+  switch(goal.type)
+  {
+    case "clear": return game.grid.every(content => content === 0)
+    case "create": return game.grid.includes(goal.arrow)
+    case "score": return game.score >= goal.score
+  }
+  return false
+}
+
+
+// Describes a goal, e.g. "Make a star".
+function describeGoal( goal
+){
+  switch(goal.type)
+  {
+    case "clear": return "Clear the grid"
+    case "create": return "Make " + (/^[aeiou]/.test(arrow_names[goal.arrow])? "an " : "a ") + arrow_names[goal.arrow]
+    case "score": return "Score " + goal.score.toString() + " points"
+  }
+  return ""
+}
+
+
+/* ******************************************************************************************************** */
+// End game check.
+
+
+// The most positions that isGameOver visits before giving up. See isGameOver.
+const game_over_node_limit = 5000
+
+
+// Returns a grid with every cell empty.
+function newGrid(
+){ return new Array(grid_cells).fill(0) }
+
+
+/* **************************************************
+// Returns true iff some pair of arrows in the grid
+// can be combined/merged/cancelled.
+// ************************************************** */
+function hasAvailableAction( grid
+){
+  for(var src = 0; src < grid_cells; ++src)
+  {
+    if(grid[src] === 0) { continue }
+
+    let neighbors = getNeighbors(src)
+    for(var n = 0; n < neighbors.length; ++n)
+    {
+      let dest = neighbors[n]
+      if(canCombine(src, grid[src], dest, grid[dest], dest - src)) { return true }
+    }
+  }
+  return false
+}
+
+
+/* **************************************************
+// Returns true iff no grid action can be made and no
+// arrow can be dropped in the given game, so that all
+// that's left is swapping the next arrows, which never
+// makes an action by itself. Unlike isGameOver, this
+// doesn't look ahead, so it's cheap enough to run
+// after every move.
+// ************************************************** */
+function isGridStuck( game // A { grid, drops_left } object.
+){
+  if(hasAvailableAction(game.grid)) { return false }
+  for(let j = 0; j < grid_size && can_drop(game); ++j) { if(landingRow(game.grid, j) !== -1) { return false } }
+  return true
+}
+
+
+/* ****************************************************
+// Returns true iff no grid action can ever be made
+// again in the given game, so that its score is final.
+//
+// Only grid actions score and make room, so this
+// searches every way that the game can go on without
+// one: each of the next arrows can be dropped into any
+// column that has room (followed by gravity), and the
+// next arrows can be swapped while there are swaps
+// left. Since the generator is seeded, the arrows
+// after the next two are known too, and are drawn from
+// a copy of it. Games with a limit on drops only drop
+// as many arrows as they have left. The game is over
+// iff no grid action is available anywhere along the
+// way.
+//
+// The search is breadth first, so that the common case
+// (an action within a drop or two) is found quickly.
+// If it visits more than node_limit positions, then it
+// falls back on isGridStuck, which is exact about the
+// game as it stands but doesn't look ahead.
+// **************************************************** */
+function isGameOver( game // A { grid, next_arrow, next_next_arrow, rng, spins, drops_left } object.
+                   , node_limit = game_over_node_limit
+){
+  let queue = [{ grid: game.grid, next: game.next_arrow, next_next: game.next_next_arrow, rng_state: game.rng.state, spins: game.spins, swapped: false
+               , drops_left: game.drops_left === undefined? null : game.drops_left, arrow_queue: game.queue === undefined? null : game.queue }],
+      seen = new Set();
+
+  for(let head = 0; head < queue.length; ++head)
+  {
+    let position = queue[head]
+    if(hasAvailableAction(position.grid)) { return false }
+    if(head >= node_limit) { return isGridStuck(game) }
+
+    // Drop the next arrow into each column that has room. The arrow after the next two comes from the generator.
+    for(let j = 0; j < grid_size && can_drop(position); ++j)
+    {
+      let drop = dropArrow(position.grid, j, position.next)
+      if(drop === null) { continue }
+
+      let rng = { seed: game.rng.seed, state: position.rng_state },
+          [after, arrow_queue] = drawArrow(rng, position.arrow_queue),
+          drops_left = position.drops_left === null? null : position.drops_left - 1,
+          key = drop.grid.join(",") + "|" + position.next_next + "|" + after + "|" + rng.state + "|" + position.spins + "|" + drops_left
+              + "|" + (arrow_queue === null? "" : arrow_queue.length);
+
+      if(seen.has(key)) { continue }
+      seen.add(key)
+      queue.push({ grid: drop.grid, next: position.next_next, next_next: after, rng_state: rng.state, spins: position.spins, swapped: false
+                 , drops_left: drops_left, arrow_queue: arrow_queue })
+    }
+
+    // Swap the next arrows. Swapping straight back, or swapping two of the same arrow, never helps.
+    if(position.spins > 0 && !position.swapped && position.next !== position.next_next && position.next_next !== 0)
+    {
+      queue.push({ grid: position.grid, next: position.next_next, next_next: position.next, rng_state: position.rng_state
+                 , spins: position.spins - 1, swapped: true, drops_left: position.drops_left, arrow_queue: position.arrow_queue })
+    }
+  }
+  return true
+}
+
+
+/* ******************************************************************************************************** */
+
+if(typeof module !== "undefined" && module.exports)
+{
+  // The grid size, the rule set and the tables that depend on them change with setGridSize and useRuleSet, so they're read through getters.
+  module.exports = { default_grid_size, min_grid_size, max_grid_size
+                   , get grid_size() { return grid_size }, get grid_cells() { return grid_cells }
+                   , valid_grid_size, setGridSize, withGridSize, grid_id, grid_indices, in_grid
+                   , Merge, Combine, Cancel, basic_arr, mid_arr1, mid_arr2, mid_arr, max_arr, arrows, arrow_names
+                   , rule_directions, action_kinds, default_rule_set, completeRuleSet, validateRuleSet, arrowTiers, tierExponents, actionTable, actionDists
+                   , get rule_set() { return rule_set }, get arrow_tiers() { return arrow_tiers }, get action_table() { return action_table }
+                   , get action_dists() { return action_dists }, useRuleSet, withRuleSet, actionRule
+                   , classifyAction, resolveEdgeError, getNeighbors, canCombine
+                   , score_exponents, actionScore, applyAction, resolveGravity, landingRow, dropArrow
+                   , hashSeed, newSeed, createRng, nextRandom, dateKey, dailySeed, arrow_weights, getRandomArrow
+                   , swap_move, encodeDrop, encodeAction, parseMove
+                   , can_drop, newGame, drawArrow, legalActions, legalMoves, applyMove, hint_depth, lookaheadScore, bestMove
+                   , goal_types, goalMet, describeGoal
+                   , game_over_node_limit, newGrid, hasAvailableAction, isGridStuck, isGameOver }
+}
@@ -0,0 +1,388 @@
+/* ***********************************************************************************************
+// This file contains the saved game format for The Arrow Game.
+//
+// The game in progress is saved in local storage as a single JSON document under save_key:
+//
+//   { version         - save_version. Bump it (and add to save_upgrades) when the format changes.
+//   , size            - The number of cells on a side of the grid. See setGridSize in rules.js.
+//   , grid            - The grid, as in main.js. A list of size*size arrow ids, 0 for empty.
+//   , next_arrow
+//   , next_next_arrow - 0 once the queue of a puzzle game has run out.
+//   , spins           - Swaps remaining.
+//   , score
+//   , rng             - The { seed, state } of the arrow generator. See createRng in rules.js.
+//   , undos           - Undos remaining.
+//   , moves           - The moves of the game so far, or null for games that can't be replayed.
+//   , mode            - "classic", "daily", "blitz", "arrows" or "puzzle". See game_mode in main.js.
+//   , daily_date      - The date of the daily challenge, or null.
+//   , daily_scored    - Whether the game counts towards the daily best and streak.
+//   , time_left       - ms left in a blitz game, or null.
+//   , drops_left      - Arrows left to drop in an arrows or puzzle game, or null.
+//   , level           - The level of a puzzle game, as in its level file (see levels.js), or null.
+//   , queue           - The arrows to come after the next two in a puzzle game, or null.
+//   , stats           - The stats of the game so far, for the game history. See newGameStats in history.js.
+//   , hints           - The number of hints used. See showHint in main.js.
+//   , rules }         - The rule set that the game is played by (see rules.js), or null for the default
+//                       one. The whole rule set is kept, so the game plays on the same even if its
+//                       variant file changes.
+//
+// Every document is checked by validateSave before it's loaded. A document that fails the check
+// is reported to the user, and kept under corrupt_save_key, rather than being half loaded.
+//
+// The arrow color is a setting rather than part of the game, so it's kept under its own 'color'
+// key and outlives the save. High scores, streaks and best replays have their own keys too.
+//
+// Named games can be kept in save slots. See slots.js.
+//
+// A board can also be shared as a short code. See encodeShareCode.
+//
+// Saves from before this format was introduced were spread over a few dozen loose keys
+// ('cell0' ... 'cell24', 'next_arrow', 'spins', ...), and were always of the 5x5 grid. readLegacySave turns them into a document,
+// and they're removed once the document has been written.
+//
+// *********************************************************************************************** */
+
+const save_key = 'save',
+      corrupt_save_key = 'corrupt_save',
+      save_version = 7;
+
+// Maps each old version of the save document to a function that upgrades it to the next version.
+const save_upgrades = { 1: save => Object.assign({}, save, { version: 2, hints: 0 }) // Hints were added.
+                      , 2: save => Object.assign({}, save, { version: 3, size: default_grid_size }) // Grid sizes were added.
+                      , 3: save => Object.assign({}, save, { version: 4, time_left: null, drops_left: null }) // Blitz and arrows modes were added.
+                      , 4: save => Object.assign({}, save, { version: 5, level: null, queue: null }) // Puzzle levels were added.
+                      , 5: save => Object.assign({}, save, { version: 6, stats: newGameStats() }) // The game history was added.
+                      , 6: save => Object.assign({}, save, { version: 7, rules: null }) }; // Rule sets were added.
+
+const share_code_version = "2",
+      share_code_arrows = [0].concat(arrows); // See encodeShareCode.
+
+const legacy_save_keys = [ 'next_arrow', 'next_next_arrow', 'spins', 'score', 'did_save_content' ]
+                         .concat([...Array(25).keys()].map(k => 'cell' + k.toString()))
+
+
+/* **************************************************
+// Returns the save document of the current game.
+// ************************************************** */
+function currentSave(
+){
+  return { version: save_version
+         , size: grid_size
+         , grid: grid.slice()
+         , next_arrow: next_arrow
+         , next_next_arrow: next_next_arrow
+         , spins: board.spins_remaining
+         , score: board.score
+         , rng: { seed: rng.seed, state: rng.state }
+         , undos: undos_remaining
+         , moves: move_log === null? null : move_log.moves.slice()
+         , mode: game_mode
+         , daily_date: daily_date
+         , daily_scored: daily_scored
+         , time_left: timeLeft()
+         , drops_left: drops_left
+         , level: current_level
+         , queue: arrow_queue === null? null : arrow_queue.slice()
+         , stats: Object.assign({}, game_stats)
+         , hints: hints_used
+         , rules: loggedRuleSet() }
+}
+
+
+/* **************************************************
+// Saves the current game in local storage. Versus
+// and race games aren't saved (see versus.js and
+// race.js), so the page starts a new game the next
+// time it's opened.
+// ************************************************** */
+function saveGame(
+){
+  if(!["versus", "race"].includes(game_mode)) { window.localStorage.setItem(save_key, JSON.stringify(currentSave())) }
+  window.localStorage.setItem('color', arrow_color)
+  storeActiveSlot()
+}
+
+
+/* **************************************************
+// Erases the saved game from local storage.
+// ************************************************** */
+function clearSavedGame(
+){
+  window.localStorage.removeItem(save_key)
+  clearLegacySave()
+}
+
+
+// Removes the keys of a save from before the save document.
+function clearLegacySave(
+){ legacy_save_keys.forEach(key => window.localStorage.removeItem(key)) }
+
+
+/* **************************************************
+// Reads the saved game from local storage. Returns
+// null if there is no saved game. Otherwise, returns
+// { save, problems }, where problems lists whatever is
+// wrong with the save. The save should only be loaded
+// if problems is empty. See reportCorruptSave.
+// ************************************************** */
+function readSave(
+){
+  let raw = window.localStorage.getItem(save_key)
+
+  if(raw === null)
+  {
+    if(window.localStorage.getItem('did_save_content') !== "true") { return null }
+
+    // Move a save from before the save document over to the new format.
+    let save = readLegacySave(),
+        problems = validateSave(save);
+
+    if(problems.length === 0)
+    {
+      window.localStorage.setItem(save_key, JSON.stringify(save))
+      clearLegacySave()
+    }
+    return { save: save, problems: problems }
+  }
+
+  let save = null
+  try { save = JSON.parse(raw) } catch(e) { return { save: null, problems: ["The save isn't valid JSON."] } }
+
+  if(save !== null && typeof save === "object" && save.version > save_version)
+  { return { save: save, problems: ["The save was made by a newer version of the game."] } }
+
+  save = upgradeSave(save)
+  return { save: save, problems: validateSave(save) }
+}
+
+
+// Upgrades a save document from an older version of the format, one version at a time.
+function upgradeSave( save
+){
+  while(save !== null && typeof save === "object" && save.version in save_upgrades) { save = save_upgrades[save.version](save) }
+  return save
+}
+
+
+/* **************************************************
+// Reads a save from before the save document, when
+// each field had its own key. Those saves only had
+// the grid, the next arrows, the spins and the score,
+// so the rest is what a new game starts with. Cells
+// that don't hold an arrow (e.g. one saved in the
+// middle of a gravity animation) are read as empty,
+// as the game always did, and the grid is settled.
+// Anything else that's missing or unreadable is left
+// for validateSave to catch.
+// ************************************************** */
+function readLegacySave(
+){
+  let get = key => window.localStorage.getItem(key),
+      num = key => get(key) === null || get(key).trim() === ""? NaN : Number(get(key));
+
+  let saved_grid = []
+  for(var k = 0; k < default_grid_size**2; ++k)
+  {
+    let content = num('cell' + k.toString())
+    saved_grid.push(arrows.includes(content)? content : 0)
+  }
+
+  // These saves could be written in the middle of a gravity animation, so settle the grid just in case.
+  saved_grid = withGridSize(default_grid_size, () => resolveGravity(saved_grid).grid)
+
+  return { version: save_version
+         , size: default_grid_size
+         , grid: saved_grid
+         , next_arrow: num('next_arrow')
+         , next_next_arrow: num('next_next_arrow')
+         , spins: num('spins')
+         , score: num('score')
+         , rng: createRng(newSeed())
+         , undos: undo_budget
+         , moves: null
+         , mode: "classic"
+         , daily_date: null
+         , daily_scored: false
+         , time_left: null
+         , drops_left: null
+         , level: null
+         , queue: null
+         , stats: newGameStats()
+         , hints: 0
+         , rules: null }
+}
+
+
+/* **************************************************
+// Checks a save document. Returns a list of problems,
+// which is empty iff the save can be loaded.
+// ************************************************** */
+function validateSave( save
+){
+  if(save === null || typeof save !== "object" || Array.isArray(save)) { return ["The save isn't a save document."] }
+
+  let problems = [],
+      is_count = n => Number.isInteger(n) && n >= 0,
+      is_uint32 = n => Number.isInteger(n) && n >= 0 && n < 2**32;
+
+  if(save.version !== save_version) { problems.push("Unknown save version: " + String(save.version) + ".") }
+
+  // The grid and the moves can only be checked against the size of the grid that they were saved with.
+  if(!valid_grid_size(save.size)) { problems.push("Unknown grid size: " + String(save.size) + ".") }
+  else { problems.push(...withGridSize(save.size, () => validateGrid(save))) }
+
+  // The next arrows of a puzzle game are empty once its queue runs out.
+  let is_next = content => arrows.includes(content) || (save.mode === "puzzle" && content === 0)
+  if(!is_next(save.next_arrow) || !is_next(save.next_next_arrow)) { problems.push("The next arrows are unknown.") }
+  if(!is_count(save.spins)) { problems.push("The swap count is invalid.") }
+  if(!is_count(save.score)) { problems.push("The score is invalid.") }
+  if(save.rng === null || typeof save.rng !== "object" || !is_uint32(save.rng.seed) || !is_uint32(save.rng.state)) { problems.push("The arrow generator is invalid.") }
+  if(!is_count(save.undos) || save.undos > undo_budget) { problems.push("The undo count is invalid.") }
+  if(!["classic", "daily", "blitz", "arrows", "puzzle"].includes(save.mode)) { problems.push("Unknown game mode: " + String(save.mode) + ".") }
+  if(save.daily_date !== null && !/^\d{4}-\d{2}-\d{2}$/.test(save.daily_date)) { problems.push("The daily challenge date is invalid.") }
+  if(typeof save.daily_scored !== "boolean") { problems.push("The daily challenge flag is invalid.") }
+  if(save.mode === "blitz"? !is_count(save.time_left) || save.time_left > blitz_duration : save.time_left !== null) { problems.push("The time left is invalid.") }
+  if(save.mode === "arrows"? !is_count(save.drops_left) || save.drops_left > arrow_limit
+     : save.mode === "puzzle"? !is_count(save.drops_left) : save.drops_left !== null) { problems.push("The arrows left are invalid.") }
+  if(save.mode === "puzzle"? validateLevel(save.level).length > 0 : save.level !== null) { problems.push("The puzzle level is invalid.") }
+  if(save.mode === "puzzle"? !Array.isArray(save.queue) || !save.queue.every(content => arrows.includes(content)) : save.queue !== null)
+  { problems.push("The arrow queue is invalid.") }
+  if(!is_count(save.hints)) { problems.push("The hint count is invalid.") }
+  if(!validGameStats(save.stats)) { problems.push("The game stats are invalid.") }
+  if(save.rules !== null && validateRuleSet(save.rules).length > 0) { problems.push("The rule set is invalid.") }
+
+  return problems
+}
+
+
+// Checks the grid and move log of a save document, with the grid set to the size of the save. See validateSave.
+function validateGrid( save
+){
+  let problems = []
+
+  if(!Array.isArray(save.grid) || save.grid.length !== grid_cells) { problems.push("The grid doesn't have " + grid_cells.toString() + " cells.") }
+  else if(!save.grid.every(content => content === 0 || arrows.includes(content))) { problems.push("The grid has unknown arrows.") }
+  else if(resolveGravity(save.grid).falls.length > 0) { problems.push("The grid has arrows floating over empty cells.") }
+
+  if(save.moves !== null && (!Array.isArray(save.moves) || !save.moves.every(move => parseMove(move) !== null))) { problems.push("The move log is invalid.") }
+
+  return problems
+}
+
+
+/* **************************************************
+// Tells the user that their saved game couldn't be
+// loaded. The save is kept under corrupt_save_key (in
+// place of any earlier one), so that it isn't lost
+// when the new game is saved over it.
+// ************************************************** */
+function reportCorruptSave( problems
+){
+  let raw = window.localStorage.getItem(save_key)
+  window.localStorage.setItem(corrupt_save_key, raw !== null? raw : JSON.stringify(readLegacySave()))
+  clearLegacySave()
+
+  console.warn("The saved game is corrupt:", problems)
+  window.alert("Your saved game couldn't be loaded, so a new game has been started.\n\n" + problems.join("\n")
+               + "\n\nA copy of the save has been kept in local storage under '" + corrupt_save_key + "'.")
+}
+
+
+/* ******************************************************************************************************** */
+// Share codes.
+
+/* **************************************************
+// Returns a short code for the board of a save, e.g.
+// "2-5-000...0a3-3-1c-7". The parts of the code are:
+//   - The version of the code.
+//   - The size of the grid. Version 1 codes don't have
+//     this part, and are always of the 5x5 grid.
+//   - One hex digit for each cell, then the next arrow
+//     and the next next arrow. 0 is an empty cell, and
+//     the other digits are the positions of the arrows
+//     in arrows (rules.js), plus one.
+//   - The swaps remaining, in base 36.
+//   - The score, in base 36.
+//   - The position of the arrow color in arrow_colors.
+// The generator, moves and mode aren't part of the
+// board, so they aren't shared. Nor is the rule set,
+// so a board is always loaded by the default rules,
+// and only a board that passes shareCodeProblem can
+// be shared.
+// ************************************************** */
+function encodeShareCode( save
+                        , color // e.g. "blue".
+){
+  let digits = save.grid.concat([save.next_arrow, save.next_next_arrow]).map(content => share_code_arrows.indexOf(content).toString(16))
+
+  return [ share_code_version, save.size.toString(), digits.join(""), save.spins.toString(36), save.score.toString(36)
+         , arrow_colors.indexOf(color).toString() ].join("-")
+}
+
+
+/* **************************************************
+// Returns why the board of a save can't be shared as
+// a code, or null if it can. A code always has both
+// next arrows, which a puzzle can run out of, and is
+// loaded by the default rules, which a variant's
+// board isn't played by.
+// ************************************************** */
+function shareCodeProblem( save
+){
+  if(save.next_arrow === 0 || save.next_next_arrow === 0) { return "There are no next arrows left." }
+  if(save.rules !== null) { return "Boards played by a variant of the rules can't be shared." }
+  return null
+}
+
+
+/* **************************************************
+// Reads a code from encodeShareCode. A link with a
+// #board= fragment works too. Returns { save, color,
+// problems }. The save is a new classic game on the
+// shared board, and should only be loaded (with
+// loadSave) if problems is empty.
+// ************************************************** */
+function decodeShareCode( code
+){
+  let fail = problem => ({ save: null, color: null, problems: [problem] });
+
+  if(code.includes("board=")) { code = code.slice(code.lastIndexOf("board=") + "board=".length) }
+  let parts = code.trim().toLowerCase().split("-")
+
+  // Version 1 codes are of the 5x5 grid.
+  if(parts.length === 5 && parts[0] === "1") { parts.splice(1, 0, default_grid_size.toString()) }
+  else if(parts.length !== 6 || parts[0] !== share_code_version) { return fail("This isn't a board code.") }
+
+  let [, size, digits, spins, points, color] = parts,
+      cells = parseInt(size)**2;
+
+  if(!/^[0-9]$/.test(size) || !valid_grid_size(parseInt(size))) { return fail("Unknown grid size: " + size + ".") }
+  if(!new RegExp("^[0-9a-f]{" + (cells+2).toString() + "}$").test(digits)) { return fail("The board doesn't have " + cells.toString() + " cells and two next arrows.") }
+  if(!/^[0-9a-z]+$/.test(spins) || !/^[0-9a-z]+$/.test(points)) { return fail("The swaps or score are invalid.") }
+  if(!/^[0-9]+$/.test(color) || parseInt(color) >= arrow_colors.length) { return fail("The arrow color is invalid.") }
+
+  let contents = [...digits].map(digit => share_code_arrows[parseInt(digit, 16)])
+
+  let save = { version: save_version
+             , size: parseInt(size)
+             , grid: contents.slice(0, cells)
+             , next_arrow: contents[cells]
+             , next_next_arrow: contents[cells+1]
+             , spins: parseInt(spins, 36)
+             , score: parseInt(points, 36)
+             , rng: createRng(newSeed())
+             , undos: undo_budget
+             , moves: null
+             , mode: "classic"
+             , daily_date: null
+             , daily_scored: false
+             , time_left: null
+             , drops_left: null
+             , level: null
+             , queue: null
+             , stats: newGameStats()
+             , hints: 0
+             , rules: null }
+
+  return { save: save, color: arrow_colors[parseInt(color)], problems: validateSave(save) }
+}
@@ -0,0 +1,256 @@
+/* ***********************************************************************************************
+// This file contains the save slots for The Arrow Game.
+//
+// Besides the game in progress (see saveGame in save.js), the user can keep up to max_slots
+// named games in save slots, and switch between them with the slot picker. The slots are kept
+// in local storage under slots_key as a list of
+//
+//   { id, name, saved_at (ms since the epoch), save (a save document) }
+//
+// The game being played may belong to a slot, the active slot. Whenever the game is saved, so is
+// its slot, so a game in a slot can be left and picked up again later. New games (from the reset
+// and daily buttons, seeds, and shared boards) don't belong to any slot until they're saved into
+// one from the picker.
+//
+// *********************************************************************************************** */
+
+// Slot fields.
+let active_slot = null; // The id of the slot that the current game belongs to, or null.
+
+const slots_key = 'save_slots',
+      active_slot_key = 'active_slot',
+      max_slots = 10;
+
+
+// Returns the saved slots, newest first. A damaged slot list is reported and ignored.
+function readSlots(
+){
+  let slots = null
+  try { slots = JSON.parse(window.localStorage.getItem(slots_key) || "[]") } catch(e) { slots = null }
+
+  if(!Array.isArray(slots)) { console.warn("The save slots are corrupt, and have been ignored."); return [] }
+  return slots.filter(slot => slot !== null && typeof slot === "object" && typeof slot.name === "string"
+                                 && slot.save !== null && typeof slot.save === "object")
+              .sort((a,b) => b.saved_at - a.saved_at)
+}
+
+
+function writeSlots( slots
+){ window.localStorage.setItem(slots_key, JSON.stringify(slots)) }
+
+
+// Returns the slot with the given id, or undefined.
+function findSlot( slots, id
+){ return slots.find(slot => slot.id === id) }
+
+
+/* **************************************************
+// Copies the current game into its slot, if it has
+// one. Called by saveGame.
+// ************************************************** */
+function storeActiveSlot(
+){
+  if(active_slot === null || replaying || editing) { return }
+
+  let slots = readSlots(),
+      slot = findSlot(slots, active_slot);
+
+  // The slot was deleted (perhaps in another tab), so the game no longer has one.
+  if(slot === undefined) { leaveSlot(); return }
+
+  slot.save = currentSave()
+  slot.saved_at = Date.now()
+  writeSlots(slots)
+  window.localStorage.setItem(active_slot_key, active_slot)
+}
+
+
+// Forgets the slot of the current game, e.g. when a new game is started.
+function leaveSlot(
+){
+  active_slot = null
+  window.localStorage.removeItem(active_slot_key)
+}
+
+
+// Picks the slot of the saved game back up when the page loads.
+function resumeSlot(
+){
+  let id = parseInt(window.localStorage.getItem(active_slot_key))
+  active_slot = findSlot(readSlots(), id) === undefined? null : id
+}
+
+
+/* **************************************************
+// Saves the current game into a new slot, which the
+// game then belongs to. Asks for a name.
+// ************************************************** */
+function saveToNewSlot(
+){
+  if(replaying || editing) { return }
+  if(["versus", "race"].includes(game_mode)) { window.alert("Versus and race games can't be saved."); return }
+
+  let slots = readSlots()
+  if(slots.length >= max_slots) { window.alert("All " + max_slots.toString() + " slots are in use. Delete one to make room."); return }
+
+  let name = window.prompt("Name this game:", "Game " + (slots.length+1).toString())
+  if(name === null || name.trim() === "") { return }
+
+  let id = Math.max(0, ...slots.map(slot => slot.id)) + 1
+  slots.push({ id: id, name: name.trim(), saved_at: Date.now(), save: currentSave() })
+  writeSlots(slots)
+
+  active_slot = id
+  window.localStorage.setItem(active_slot_key, active_slot)
+  renderSlotPicker()
+}
+
+
+/* **************************************************
+// Switches to the game in the given slot. The current
+// game stays in its own slot, if it has one. If it
+// doesn't, it's lost, so the user is asked first.
+// ************************************************** */
+function loadSlot( id
+){
+  if(replaying) { return }
+  storeActiveSlot()
+
+  let slot = findSlot(readSlots(), id)
+  if(slot === undefined) { renderSlotPicker(); return }
+
+  let save = upgradeSave(slot.save),
+      problems = validateSave(save);
+  if(problems.length > 0) { window.alert("This game can't be loaded.\n\n" + problems.join("\n")); return }
+
+  if(active_slot === null && !window.confirm("The current game isn't in a slot, and will be lost. Click ok to load \"" + slot.name + "\" anyway"))
+  { return }
+
+  loadSave(save)
+  active_slot = id
+  window.localStorage.setItem(active_slot_key, active_slot)
+  saveGame()
+  hideSlotPicker()
+}
+
+
+function renameSlot( id
+){
+  let slots = readSlots(),
+      slot = findSlot(slots, id);
+  if(slot === undefined) { return }
+
+  let name = window.prompt("Rename this game:", slot.name)
+  if(name === null || name.trim() === "") { return }
+
+  slot.name = name.trim()
+  writeSlots(slots)
+  renderSlotPicker()
+}
+
+
+// Deletes a slot. If the current game belongs to it, the game carries on without a slot.
+function deleteSlot( id
+){
+  let slots = readSlots(),
+      slot = findSlot(slots, id);
+  if(slot === undefined || !window.confirm("Click ok to delete \"" + slot.name + "\"")) { return }
+
+  writeSlots(slots.filter(s => s.id !== id))
+  if(active_slot === id) { leaveSlot() }
+  renderSlotPicker()
+}
+
+
+/* **************************************************
+// Shows the slot picker. The slot of the current game
+// is brought up to date first, so that it shows the
+// current score and grid.
+// ************************************************** */
+function showSlotPicker(
+){
+  if(replaying) { return }
+  storeActiveSlot()
+  renderSlotPicker()
+  document.getElementById('slot-picker').style.display = 'block'
+}
+
+
+function hideSlotPicker(
+){ document.getElementById('slot-picker').style.display = 'none' }
+
+
+/* **************************************************
+// Draws the list of slots in the slot picker. Each
+// slot shows its name, when it was saved, its score,
+// and a thumbnail of its grid.
+// ************************************************** */
+function renderSlotPicker(
+){
+  let list = document.getElementById('slot-list'),
+      slots = readSlots();
+
+  list.replaceChildren()
+  if(slots.length === 0)
+  {
+    let empty = document.createElement('p')
+    empty.className = "slot-empty"
+    empty.textContent = "No saved games yet. Save the current game to keep it in a slot."
+    list.appendChild(empty)
+  }
+
+  for(let slot of slots)
+  {
+    let row = document.createElement('div'),
+        info = document.createElement('div'),
+        name = document.createElement('p'),
+        details = document.createElement('p'),
+        buttons = document.createElement('div');
+
+    row.className = "slot" + (slot.id === active_slot? " active-slot" : "")
+    info.className = "slot-info"
+    buttons.className = "slot-buttons"
+
+    // Names are typed in by the user, so they're set as text rather than html.
+    name.className = "slot-name"
+    name.textContent = slot.name + (slot.id === active_slot? " (playing)" : "")
+    details.className = "slot-details"
+    details.textContent = new Date(slot.saved_at).toLocaleString() + " - Score: " + String(slot.save.score)
+
+    for(let [label, onclick] of [["Load", loadSlot], ["Rename", renameSlot], ["Delete", deleteSlot]])
+    {
+      let button = document.createElement('a')
+      button.className = "slot-button"
+      button.textContent = label
+      button.onclick = () => onclick(slot.id)
+      buttons.appendChild(button)
+    }
+
+    info.append(name, details, buttons)
+    row.append(slotThumbnail(upgradeSave(slot.save)), info)
+    list.appendChild(row)
+  }
+}
+
+
+// Returns a small drawing of the grid of a save document.
+function slotThumbnail( save
+){
+  let thumbnail = document.createElement('div'),
+      size = valid_grid_size(save.size)? save.size : default_grid_size;
+
+  thumbnail.className = "slot-thumbnail"
+  thumbnail.style.gridTemplateColumns = "repeat(" + size.toString() + ", 1fr)"
+  thumbnail.style.gridTemplateRows = "repeat(" + size.toString() + ", 1fr)"
+
+  for(let k = 0; k < size*size; ++k)
+  {
+    let cell = document.createElement('div'),
+        content = Array.isArray(save.grid) && arrows.includes(save.grid[k])? save.grid[k] : 0;
+
+    cell.className = "slot-thumbnail-cell"
+    if(content !== 0) { cell.style.backgroundImage = arrow_path(content) }
+    thumbnail.appendChild(cell)
+  }
+  return thumbnail
+}
@@ -0,0 +1,187 @@
+/* ***********************************************************************************************
+// This file draws the stats page of The Arrow Game, from the game history that the game keeps in
+// local storage (see history.js): averages and bests over the games, a histogram of their scores,
+// and their scores over time. The games can be narrowed down to a mode, a size of grid and the
+// rules they were played by. Games played by a variant score differently, so only the games played
+// by the default rules are shown until another rule set is picked.
+//
+// *********************************************************************************************** */
+
+// The stats shown for each game, with their labels. duration is shown as a time.
+const stat_fields = [ ["score", "Score"], ["arrows_placed", "Arrows placed"], ["merges", "Merges"], ["combines", "Combines"]
+                    , ["cancels", "Cancels"], ["swaps", "Swaps used"], ["star_swaps", "Swaps earned"], ["duration", "Time played"] ]
+
+const histogram_buckets = 10,
+      trend_window = 10; // The number of games in the moving average of the trend.
+
+let sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+
+$(document).ready( () =>
+{
+  // This style class allows us to circumvent unwanted initial css animations.
+  sleep(500).then(() => {document.body.classList.remove('preload'); })
+
+  document.getElementById('stats-mode').addEventListener('change', drawStats)
+  document.getElementById('stats-size').addEventListener('change', drawStats)
+  document.getElementById('stats-rules').addEventListener('change', drawStats)
+  fillRulesFilter()
+  drawStats()
+});
+
+
+// Returns the id of the variant that a recorded game was played by, or null for the default rules.
+let recordRules = record => typeof record.rules === "string"? record.rules : null
+
+
+// Adds an option to the rules filter for each variant that a recorded game was played by. The stats page doesn't load the variants, so they go by their ids.
+function fillRulesFilter(
+){
+  let select = document.getElementById('stats-rules'),
+      ids = [...new Set(readGameHistory().map(recordRules).filter(id => id !== null))].sort();
+
+  for(let id of ids)
+  {
+    let option = document.createElement('option')
+    option.value = "variant:" + id
+    option.textContent = id
+    select.appendChild(option)
+  }
+}
+
+
+// Returns the recorded games in the mode, size and rules picked in the filters, oldest first.
+function filteredHistory(
+){
+  let mode = document.getElementById('stats-mode').value,
+      size = document.getElementById('stats-size').value,
+      rules = document.getElementById('stats-rules').value;
+
+  return readGameHistory().filter(record => (mode === "all" || record.mode === mode) && (size === "all" || String(record.size) === size)
+                                         && (rules === "all" || (rules === "default"? recordRules(record) === null : "variant:" + recordRules(record) === rules)))
+}
+
+
+// Formats ms as e.g. "3:05", or "1:02:05" past an hour.
+function formatDuration( ms
+){
+  let seconds = Math.round(ms / 1000),
+      parts = [Math.floor(seconds / 3600), Math.floor(seconds / 60) % 60, seconds % 60];
+
+  if(parts[0] === 0) { parts.shift() }
+  return parts.map((part, n) => n === 0? part.toString() : part.toString().padStart(2, "0")).join(":")
+}
+
+
+// Formats a stat for the tables.
+function formatStat( field, value
+){ return field === "duration"? formatDuration(value) : Number.isInteger(value)? value.toString() : value.toFixed(1) }
+
+
+// Fills a table with [label, value] rows.
+function fillTable( table, rows
+){
+  table.replaceChildren()
+  for(let [label, value] of rows)
+  {
+    let row = table.insertRow()
+    row.insertCell().textContent = label
+    row.insertCell().textContent = value
+  }
+}
+
+
+/* **************************************************
+// Draws everything on the page for the games picked
+// in the filters.
+// ************************************************** */
+function drawStats(
+){
+  let games = filteredHistory(),
+      total = games.reduce((sum, game) => sum + (game.duration || 0), 0);
+
+  document.getElementById('stats-summary').textContent = games.length === 0
+    ? "No finished games yet. Games are recorded here when they end."
+    : games.length.toString() + (games.length === 1? " game, " : " games, ") + formatDuration(total) + " played."
+
+  // Records from before a stat was kept don't count towards its average or best.
+  let values = field => games.map(game => game[field]).filter(Number.isFinite),
+      average = field => values(field).length === 0? "-" : formatStat(field, values(field).reduce((sum, x) => sum + x, 0) / values(field).length),
+      best = field => values(field).length === 0? "-" : formatStat(field, Math.max(...values(field)));
+
+  fillTable(document.getElementById('stats-averages'), stat_fields.map(([field, label]) => [label, average(field)]))
+
+  let best_game = games.reduce((best, game) => best === null || game.score > best.score? game : best, null)
+  fillTable(document.getElementById('stats-bests'),
+            [["Score", best_game === null? "-" : best_game.score.toString() + " (" + new Date(best_game.ended_at).toLocaleDateString() + ")"]]
+            .concat(stat_fields.filter(([field]) => field !== "score").map(([field, label]) => ["Most " + label.toLowerCase(), best(field)])))
+
+  drawHistogram(games.map(game => game.score))
+  drawTrend(games)
+}
+
+
+/* **************************************************
+// Draws a bar for each of histogram_buckets equal
+// ranges of scores, as tall as the number of games
+// that scored in it.
+// ************************************************** */
+function drawHistogram( scores
+){
+  let histogram = document.getElementById('stats-histogram')
+  histogram.replaceChildren()
+  if(scores.length === 0) { return }
+
+  let min = Math.min(...scores),
+      width = Math.max(1, Math.ceil((Math.max(...scores) - min + 1) / histogram_buckets)),
+      counts = new Array(histogram_buckets).fill(0);
+
+  for(let score of scores) { counts[Math.floor((score - min) / width)] += 1 }
+
+  let most = Math.max(...counts)
+  counts.forEach((count, b) => {
+    let bar = document.createElement('div'),
+        label = document.createElement('p'),
+        low = min + b*width;
+
+    bar.className = "stats-bar"
+    bar.style.height = (100 * count / most).toString() + "%"
+    bar.title = low.toString() + "-" + (low + width - 1).toString() + ": " + count.toString() + (count === 1? " game" : " games")
+    label.className = "stats-bar-label"
+    label.textContent = low.toString()
+    bar.appendChild(label)
+    histogram.appendChild(bar)
+  })
+}
+
+
+/* **************************************************
+// Draws the score of every game in order, with the
+// moving average of the last trend_window games over
+// it.
+// ************************************************** */
+function drawTrend( games
+){
+  let svg = document.getElementById('stats-trend'),
+      label = document.getElementById('stats-trend-label');
+
+  svg.replaceChildren()
+  label.textContent = ""
+  if(games.length < 2) { return }
+
+  let scores = games.map(game => game.score),
+      averages = scores.map((score, n) => { let recent = scores.slice(Math.max(0, n+1 - trend_window), n+1); return recent.reduce((sum, x) => sum + x, 0) / recent.length }),
+      top = Math.max(1, ...scores),
+      point = (score, n) => (300 * n / (scores.length - 1)).toFixed(1) + "," + (150 - 145 * score / top).toFixed(1);
+
+  for(let [values, name] of [[scores, "stats-scores"], [averages, "stats-average"]])
+  {
+    let line = document.createElementNS("http://www.w3.org/2000/svg", "polyline")
+    line.setAttribute('class', name)
+    line.setAttribute('points', values.map(point).join(" "))
+    svg.appendChild(line)
+  }
+
+  label.textContent = new Date(games[0].ended_at).toLocaleDateString() + " to " + new Date(games[games.length-1].ended_at).toLocaleDateString()
+                    + ". Top score " + top.toString() + ". The gold line is the average of the last " + trend_window.toString() + " games."
+}
@@ -0,0 +1,122 @@
+/* ***********************************************************************************************
+// Tests of the leaderboard server (tools/leaderboard-server.js): that scores go into their tables,
+// and that a verified game only goes in once, however many receipts it has. Run with
+//
+//   node --test test/
+//
+// *********************************************************************************************** */
+
+const test = require('node:test'),
+      assert = require('node:assert'),
+      fs = require('fs'),
+      os = require('os'),
+      path = require('path');
+
+const leaderboard = require('../tools/leaderboard-server.js'),
+      verify = require('../tools/verify-server.js');
+
+const secret = "a secret of sixteen characters or more",
+      data_dir = fs.mkdtempSync(path.join(os.tmpdir(), 'leaderboard-'));
+
+test.after(() => fs.rmSync(data_dir, { recursive: true, force: true }))
+
+
+// Returns the options of a server that keeps its tables in a new file of its own.
+function serverOptions( secret
+){
+  let dir = fs.mkdtempSync(path.join(data_dir, 'server-'))
+  return { data: path.join(dir, 'leaderboard.json'), page_size: 10, max_table: 1000, secret: secret }
+}
+
+
+// Posts a score as POST /scores does, and returns { status, body } of the answer.
+function post( entry, options, tables
+){
+  let answer = {}
+  leaderboard.postScore(entry, options, tables, { writeHead: status => { answer.status = status }, end: body => { answer.body = JSON.parse(body) } })
+  return answer
+}
+
+
+// Returns a score for a game, with a receipt signed as the verification server signs them, at the given time.
+function verifiedEntry( claim, name, verified_at
+){
+  let receipt = { mode: claim.mode, size: claim.size, seed: claim.seed, score: claim.score, date: claim.mode === "daily"? claim.date : null
+                , rules: null, game: verify.gameDigest(claim), verified_at: verified_at }
+  receipt.signature = verify.signReceipt(receipt, secret)
+
+  return { mode: claim.mode, size: claim.size, date: receipt.date, rules: null, name: name, score: claim.score, hints: 0, receipt: receipt }
+}
+
+
+const claim = { mode: "classic", size: 5, seed: 1234, moves: [ "d0", "d0", "a20-15" ], score: 2 }
+
+
+test("tableName names a table for each mode, size, variant and day", () => {
+  assert.strictEqual(leaderboard.tableName("blitz", 6, null, null), "blitz_6x6")
+  assert.strictEqual(leaderboard.tableName("blitz", 6, null, "high-stakes"), "blitz_6x6_high-stakes")
+  assert.strictEqual(leaderboard.tableName("daily", 5, "2026-10-19", null), "daily_5x5_2026-10-19")
+  assert.strictEqual(leaderboard.tableName("daily", 5, null, null), null)
+  assert.strictEqual(leaderboard.tableName("race", 5, null, null), null)
+  assert.strictEqual(leaderboard.tableName("classic", 9, null, null), null)
+})
+
+
+test("the same game can't go in twice with two different receipts", () => {
+  let options = serverOptions(secret),
+      tables = {};
+
+  let first = post(verifiedEntry(claim, "ada", 1000), options, tables)
+  assert.strictEqual(first.status, 201)
+  assert.strictEqual(first.body.rank, 1)
+
+  let again = post(verifiedEntry(claim, "ada", 2000), options, tables)
+  assert.strictEqual(again.status, 400)
+  assert.strictEqual(again.body.error, "This game has already been submitted.")
+
+  let resent = post(verifiedEntry(claim, "bob", 1000), options, tables)
+  assert.strictEqual(resent.status, 400)
+  assert.strictEqual(tables.classic_5x5.length, 1)
+})
+
+
+test("other games of the same seed still go in", () => {
+  let options = serverOptions(secret),
+      tables = {},
+      daily = { mode: "daily", size: 5, seed: 99, moves: [ "d0" ], score: 0, date: "2026-10-19" };
+
+  assert.strictEqual(post(verifiedEntry(daily, "ada", 1000), options, tables).status, 201)
+  assert.strictEqual(post(verifiedEntry(Object.assign({}, daily, { moves: [ "d1" ] }), "bob", 1000), options, tables).status, 201)
+  assert.strictEqual(tables["daily_5x5_2026-10-19"].length, 2)
+})
+
+
+test("scores need a receipt that's signed, has a game, and is for the same score", () => {
+  let options = serverOptions(secret),
+      tables = {},
+      entry = verifiedEntry(claim, "ada", 1000);
+
+  assert.strictEqual(post(Object.assign({}, entry, { receipt: undefined }), options, tables).body.error, "Scores need a receipt from the verification server.")
+  assert.strictEqual(post(Object.assign({}, entry, { receipt: Object.assign({}, entry.receipt, { score: 4 }) }), options, tables).body.error
+                    , "Scores need a receipt from the verification server.")
+
+  let old_receipt = Object.assign({}, entry.receipt)
+  delete old_receipt.game
+  old_receipt.signature = verify.signReceipt(old_receipt, secret)
+  assert.strictEqual(post(Object.assign({}, entry, { receipt: old_receipt }), options, tables).body.error, "Scores need a receipt from the verification server.")
+
+  assert.strictEqual(post(Object.assign({}, entry, { score: 4 }), options, tables).body.error, "The receipt is for another game.")
+  assert.deepStrictEqual(tables, {})
+})
+
+
+test("without a secret, any score goes in", () => {
+  let options = serverOptions(undefined),
+      tables = {},
+      entry = { mode: "classic", size: 5, date: null, rules: null, name: "ada", score: 10, hints: 0 };
+
+  assert.strictEqual(post(entry, options, tables).status, 201)
+  assert.strictEqual(post(entry, options, tables).status, 201)
+  assert.strictEqual(tables.classic_5x5.length, 2)
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(options.data, 'utf8')), tables)
+})
@@ -0,0 +1,235 @@
+/* ***********************************************************************************************
+// Tests of the rule sets of rules.js: that the default rule set plays exactly as the hand-coded
+// rules did before there were rule sets, that validateRuleSet refuses broken rule sets, and that
+// the variants in the variants directory pass it. Run with
+//
+//   node --test test/
+//
+// *********************************************************************************************** */
+
+const test = require('node:test'),
+      assert = require('node:assert'),
+      fs = require('fs'),
+      path = require('path');
+
+const rules = require('../rules.js')
+
+const { Merge, Combine, Cancel } = rules
+
+
+/* ******************************************************************************************************** */
+// The rules as they were hand-coded, before the rule sets. See classifyAction and actionScore in the
+// history of rules.js.
+
+
+// Maps each one-way and two-way arrow to its inverse and the distance(s) that it acts at.
+function oldActionTriples( size
+){
+  let v = size, h = 1, d = size+1, a = size-1
+
+  return { 1:[v,5], 5:[-v,1], 8:[h,3], 3:[-h,8], 2:[a,7], 7:[-a,2], 10:[d,4], 4:[-d,10]
+         , 11:[[[h,v],h],6], 6:[[[h,v],v],11], 9:[[[a,d],a],14], 14:[[[a,d],d],9] }
+}
+
+
+function oldClassifyAction( arrow1, arrow2, dist, size
+){
+  let action_triples = oldActionTriples(size),
+      action_dists = [size, 1, size+1, size-1].flatMap(dist => [dist, -dist]);
+
+  if(rules.basic_arr.includes(arrow1))
+  {
+    let [valid_dist, inv] = action_triples[arrow1]
+    if(arrow1 === arrow2 && Math.abs(dist) === Math.abs(valid_dist)) { return Merge }
+    if(arrow2 === inv && dist === valid_dist) { return Combine }
+    if(arrow2 === inv && dist === -valid_dist) { return Cancel }
+  }
+  else if(rules.mid_arr.includes(arrow1))
+  {
+    let [valid_dist, inv] = action_triples[arrow1]
+    if(arrow1 === arrow2 && Math.abs(dist) === valid_dist[1]) { return Cancel }
+    if(arrow2 === inv && valid_dist[0].includes(Math.abs(dist))) { return Combine }
+  }
+  else if(action_dists.includes(dist))
+  {
+    if(arrow1 === arrow2 && arrow1 === 40) { return Cancel }
+    if((arrow1 === 17 && arrow2 === 23) || (arrow1 === 23 && arrow2 === 17)) { return Combine }
+  }
+  return -1
+}
+
+
+function oldActionScore( action, src_content
+){
+  let u = rules.basic_arr.includes(src_content)? 2 : rules.mid_arr.includes(src_content)? 4 : src_content === 40? 9 : 6
+
+  switch(action)
+  {
+    case Merge: return 2
+    case Combine: return 2**(u+1)
+    case Cancel: return 2**u + 2
+  }
+  return 0
+}
+
+
+// Returns the arrow that an action leaves in the cell that the arrow was dragged onto.
+function oldMakes( action, src_content, dest_content
+){ return action === Merge? src_content : action === Combine? (src_content + dest_content) % 80 : 0 }
+
+
+/* ******************************************************************************************************** */
+
+
+test("the default rule set acts as the old rules did for every pair of arrows in every direction", () => {
+  for(let size = rules.min_grid_size; size <= rules.max_grid_size; ++size)
+  {
+    let table = rules.actionTable(rules.default_rule_set, size),
+        center = Math.floor(size / 2) * (size + 1); // A cell with a neighbour in every direction.
+
+    rules.withGridSize(size, () => {
+      for(let src_content of rules.arrows)
+      {
+        for(let dest_content of rules.arrows)
+        {
+          for(let [di,dj] of rules.rule_directions.any)
+          {
+            let dist = di*size + dj,
+                where = rules.arrow_names[src_content] + " onto " + rules.arrow_names[dest_content] + " at " + dist.toString() + " on " + size.toString() + "x" + size.toString(),
+                action = oldClassifyAction(src_content, dest_content, dist, size),
+                entry = ((table[src_content] || {})[dest_content] || {})[dist];
+
+            assert.strictEqual(rules.classifyAction(src_content, dest_content, dist), action, where)
+            assert.strictEqual(entry === undefined? -1 : entry.action, action, where)
+
+            let grid = rules.newGrid()
+            grid[center] = src_content
+            grid[center + dist] = dest_content
+
+            let result = rules.applyAction(grid, center, center + dist)
+            if(action === -1) { assert.strictEqual(result, null, where); continue }
+
+            assert.strictEqual(result.action, action, where)
+            assert.strictEqual(result.score, oldActionScore(action, src_content), where)
+            assert.strictEqual(result.grid[center + dist], oldMakes(action, src_content, dest_content), where)
+            assert.strictEqual(result.spins, action === Cancel && src_content + dest_content === 80? 1 : 0, where)
+            assert.strictEqual(result.removed, action === Cancel? 2 : 1, where)
+          }
+        }
+      }
+    })
+  }
+})
+
+
+test("the default rule set has no actions at other distances", () => {
+  for(let size = rules.min_grid_size; size <= rules.max_grid_size; ++size)
+  {
+    rules.withGridSize(size, () => {
+      for(let dist = -2*size - 2; dist <= 2*size + 2; ++dist)
+      {
+        if(rules.action_dists.includes(dist)) { continue }
+        for(let src_content of rules.arrows)
+        {
+          for(let dest_content of rules.arrows)
+          { assert.strictEqual(rules.classifyAction(src_content, dest_content, dist), -1, src_content + " onto " + dest_content + " at " + dist) }
+        }
+      }
+    })
+  }
+})
+
+
+/* ******************************************************************************************************** */
+// validateRuleSet.
+
+
+// Returns the problems of a copy of the default rule set, changed by f.
+function problemsWith( f
+){
+  let rule_set = structuredClone(rules.default_rule_set)
+  f(rule_set)
+  return rules.validateRuleSet(rule_set)
+}
+
+
+test("validateRuleSet passes the default rule set and the variants", () => {
+  assert.deepStrictEqual(rules.validateRuleSet(rules.default_rule_set), [])
+
+  let dir = path.join(__dirname, '..', 'variants')
+  for(let file of JSON.parse(fs.readFileSync(path.join(dir, 'index.json'), 'utf8')))
+  {
+    let variant = rules.completeRuleSet(JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')))
+    assert.deepStrictEqual(rules.validateRuleSet(variant), [], file)
+    assert.notStrictEqual(variant.id, rules.default_rule_set.id, file)
+  }
+})
+
+
+test("validateRuleSet refuses rule sets that aren't objects, or have no id or name", () => {
+  assert.deepStrictEqual(rules.validateRuleSet(null), ["The rule set isn't an object."])
+  assert.deepStrictEqual(rules.validateRuleSet([]), ["The rule set isn't an object."])
+  assert.deepStrictEqual(rules.validateRuleSet("classic"), ["The rule set isn't an object."])
+
+  let id_problem = "The id has to be 1 to 40 lowercase letters, digits and dashes."
+  assert.deepStrictEqual(problemsWith(rule_set => { rule_set.id = "Classic Rules" }), [id_problem])
+  assert.deepStrictEqual(problemsWith(rule_set => { rule_set.id = "" }), [id_problem])
+  assert.deepStrictEqual(problemsWith(rule_set => { delete rule_set.id }), [id_problem])
+  assert.deepStrictEqual(problemsWith(rule_set => { delete rule_set.name }), ["The rule set has no name."])
+  assert.deepStrictEqual(problemsWith(rule_set => { rule_set.name = " " }), ["The rule set has no name."])
+  assert.deepStrictEqual(problemsWith(rule_set => { rule_set.description = 5 }), ["The description isn't text."])
+})
+
+
+test("validateRuleSet refuses tiers that don't hold every arrow exactly once", () => {
+  assert.deepStrictEqual(problemsWith(rule_set => { rule_set.tiers.mid.arrows.push(1) }), ["The up arrow isn't in exactly one tier."])
+  assert.deepStrictEqual(problemsWith(rule_set => { rule_set.tiers.star.arrows = [] }), ["The star arrow isn't in exactly one tier."])
+  assert.deepStrictEqual(problemsWith(rule_set => { rule_set.tiers.star.arrows.push(99) }), ["The tiers have something that isn't an arrow."])
+  assert.deepStrictEqual(problemsWith(rule_set => { rule_set.tiers.max.u = -1 }).slice(0, 1), ["Tier max needs a list of arrows and a whole number u."])
+  assert.deepStrictEqual(problemsWith(rule_set => { delete rule_set.tiers }), ["The tiers are missing."])
+})
+
+
+test("validateRuleSet refuses scores that aren't whole", () => {
+  let problem = kind => ["The " + kind + " score needs a whole base, shift and bonus, each of which can be left out."]
+
+  assert.deepStrictEqual(problemsWith(rule_set => { rule_set.scores.combine.base = 0 }), problem("combine"))
+  assert.deepStrictEqual(problemsWith(rule_set => { rule_set.scores.combine.shift = -1 }), problem("combine"))
+  assert.deepStrictEqual(problemsWith(rule_set => { rule_set.scores.cancel.bonus = 1.5 }), problem("cancel"))
+  assert.deepStrictEqual(problemsWith(rule_set => { delete rule_set.scores.merge }), problem("merge"))
+  assert.deepStrictEqual(problemsWith(rule_set => { delete rule_set.scores }), ["The scores are missing."])
+})
+
+
+test("validateRuleSet refuses actions that can't be played", () => {
+  let first = action => problemsWith(rule_set => { rule_set.actions[0] = Object.assign({}, rule_set.actions[0], action) })
+
+  assert.deepStrictEqual(first({ action: "swap" }), ["Action 1 isn't a merge, combine or cancel."])
+  assert.deepStrictEqual(first({ arrows: [ 1 ] }), ["Action 1 needs a pair of arrows."])
+  assert.deepStrictEqual(first({ arrows: [ 1, 99 ] }), ["Action 1 needs a pair of arrows."])
+  assert.match(first({ directions: [ "sideways" ] })[0], /^Action 1 needs a list of directions, out of up, down, /)
+  assert.match(first({ directions: [] })[0], /^Action 1 needs a list of directions/)
+  assert.deepStrictEqual(first({ arrows: [ 1, 5 ] }).slice(0, 1), ["Action 1 merges two different arrows."])
+  assert.deepStrictEqual(first({ action: "combine", arrows: [ 1, 1 ] }), ["Action 1 doesn't make an arrow."])
+  assert.deepStrictEqual(first({ swaps: -1 }), ["Action 1 earns a number of swaps that isn't whole."])
+  assert.deepStrictEqual(first({ swaps: 0.5 }), ["Action 1 earns a number of swaps that isn't whole."])
+  assert.deepStrictEqual(problemsWith(rule_set => { delete rule_set.actions }), ["The actions aren't a list."])
+})
+
+
+test("validateRuleSet refuses two actions with the same arrows and direction", () => {
+  assert.deepStrictEqual(problemsWith(rule_set => { rule_set.actions.push({ action: "cancel", arrows: [ 1, 1 ], directions: [ "up" ] }) })
+                        , ["Action " + (rules.default_rule_set.actions.length + 1).toString() + " has the same arrows and direction as an action before it."])
+  assert.deepStrictEqual(problemsWith(rule_set => { rule_set.actions[0].directions = [ "vertical", "up" ] })
+                        , ["Action 1 has the same arrows and direction as an action before it."])
+})
+
+
+test("useRuleSet refuses an invalid rule set, and keeps the one it had", () => {
+  let rule_set = structuredClone(rules.default_rule_set)
+  rule_set.actions[0].arrows = [ 1, 5 ]
+
+  assert.strictEqual(rules.useRuleSet(rule_set), false)
+  assert.strictEqual(rules.rule_set, rules.default_rule_set)
+  assert.throws(() => rules.withRuleSet(rule_set, () => null), TypeError)
+})
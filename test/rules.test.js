@@ -0,0 +1,179 @@
+/* ***********************************************************************************************
+// Tests of the rules engine (rules.js), run under Node with no dependencies:
+//
+//   node --test test/
+//
+// The expected results are those of the game as it was played before the rules were moved out of
+// main.js, on the 5x5 grid unless a test says otherwise.
+//
+// *********************************************************************************************** */
+
+const test = require('node:test'),
+      assert = require('node:assert');
+
+const rules = require('../rules.js')
+
+const { Merge, Combine, Cancel } = rules
+
+
+// Returns a 5x5 grid with the given arrows in it, from { cell id: arrow id }.
+function gridWith( contents
+){
+  let grid = rules.newGrid()
+  for(let [k, content] of Object.entries(contents)) { grid[parseInt(k)] = content }
+  return grid
+}
+
+
+// Returns a full 5x5 grid on which no action can be made: a checkerboard of up and left arrows.
+function stuckGrid(
+){ return rules.newGrid().map((content, k) => (Math.floor(k / 5) + k % 5) % 2 === 0? 1 : 8) }
+
+
+test("classifyAction merges one-way arrows along their line", () => {
+  assert.strictEqual(rules.classifyAction(1, 1, 5), Merge)
+  assert.strictEqual(rules.classifyAction(1, 1, -5), Merge)
+  assert.strictEqual(rules.classifyAction(8, 8, 1), Merge)
+  assert.strictEqual(rules.classifyAction(10, 10, -6), Merge)
+  assert.strictEqual(rules.classifyAction(2, 2, 4), Merge)
+  assert.strictEqual(rules.classifyAction(1, 1, 1), -1)
+  assert.strictEqual(rules.classifyAction(8, 8, 5), -1)
+})
+
+
+test("classifyAction combines inverse arrows one way and cancels them the other", () => {
+  assert.strictEqual(rules.classifyAction(1, 5, 5), Combine)
+  assert.strictEqual(rules.classifyAction(1, 5, -5), Cancel)
+  assert.strictEqual(rules.classifyAction(5, 1, -5), Combine)
+  assert.strictEqual(rules.classifyAction(8, 3, 1), Combine)
+  assert.strictEqual(rules.classifyAction(3, 8, 1), Cancel)
+  assert.strictEqual(rules.classifyAction(10, 4, 6), Combine)
+  assert.strictEqual(rules.classifyAction(2, 7, 4), Combine)
+  assert.strictEqual(rules.classifyAction(1, 5, 1), -1)
+  assert.strictEqual(rules.classifyAction(1, 3, 5), -1)
+})
+
+
+test("classifyAction handles two-way arrows, pluses, crosses and stars", () => {
+  assert.strictEqual(rules.classifyAction(11, 6, 1), Combine)
+  assert.strictEqual(rules.classifyAction(11, 6, -5), Combine)
+  assert.strictEqual(rules.classifyAction(11, 11, 1), Cancel)
+  assert.strictEqual(rules.classifyAction(11, 11, 5), -1)
+  assert.strictEqual(rules.classifyAction(9, 14, 4), Combine)
+  assert.strictEqual(rules.classifyAction(14, 14, 6), Cancel)
+  assert.strictEqual(rules.classifyAction(17, 23, -4), Combine)
+  assert.strictEqual(rules.classifyAction(23, 17, 1), Combine)
+  assert.strictEqual(rules.classifyAction(40, 40, 6), Cancel)
+  assert.strictEqual(rules.classifyAction(40, 40, 2), -1)
+  assert.strictEqual(rules.classifyAction(17, 17, 1), -1)
+})
+
+
+test("resolveEdgeError refuses actions across the edges of the grid", () => {
+  assert.strictEqual(rules.resolveEdgeError([0,4], [1,0], 1), false)
+  assert.strictEqual(rules.resolveEdgeError([0,3], [0,4], 1), true)
+  assert.strictEqual(rules.resolveEdgeError([0,4], [2,0], 6), false)
+  assert.strictEqual(rules.resolveEdgeError([1,1], [2,2], 6), true)
+  assert.strictEqual(rules.resolveEdgeError([1,0], [1,4], 4), false)
+  assert.strictEqual(rules.resolveEdgeError([1,1], [2,0], 4), true)
+  assert.strictEqual(rules.resolveEdgeError([1,2], [2,2], 5), true)
+})
+
+
+test("applyAction scores each action by the kind of arrow dragged", () => {
+  let cases = [ // [src arrow, dest arrow, dist, action, score, arrow left, spins]
+    [1, 1, 5, Merge, 2, 1, 0],
+    [1, 5, 5, Combine, 8, 6, 0],
+    [1, 5, -5, Cancel, 6, 0, 0],
+    [11, 6, 1, Combine, 32, 17, 0],
+    [11, 11, 1, Cancel, 18, 0, 0],
+    [17, 23, 1, Combine, 128, 40, 0],
+    [40, 40, 1, Cancel, 514, 0, 1] ]
+
+  for(let [src_content, dest_content, dist, action, score, left, spins] of cases)
+  {
+    let src = 12, dest = src + dist,
+        result = rules.applyAction(gridWith({ [src]: src_content, [dest]: dest_content }), src, dest);
+
+    assert.strictEqual(result.action, action)
+    assert.strictEqual(result.score, score)
+    assert.strictEqual(result.spins, spins)
+    assert.strictEqual(result.removed, action === Cancel? 2 : 1)
+    assert.strictEqual(result.grid[src], 0)
+    assert.strictEqual(result.grid[dest], left)
+  }
+})
+
+
+test("applyAction leaves the grid alone when there's no action", () => {
+  let grid = gridWith({ 4: 8, 5: 3 })
+  assert.strictEqual(rules.applyAction(grid, 4, 5), null) // Across the right edge.
+  assert.strictEqual(rules.applyAction(grid, 4, 25), null)
+  assert.strictEqual(rules.applyAction(gridWith({ 12: 1, 13: 3 }), 12, 13), null)
+  assert.deepStrictEqual(grid, gridWith({ 4: 8, 5: 3 }))
+})
+
+
+test("resolveGravity settles every arrow to the bottom of its column", () => {
+  let result = rules.resolveGravity(gridWith({ 0: 1, 10: 3, 20: 5, 6: 8 }))
+
+  assert.deepStrictEqual(result.grid, gridWith({ 10: 1, 15: 3, 20: 5, 21: 8 }))
+  assert.deepStrictEqual(result.falls, [ { from: 10, to: 15, content: 3 }, { from: 0, to: 10, content: 1 }, { from: 6, to: 21, content: 8 } ])
+  assert.deepStrictEqual(rules.resolveGravity(result.grid).falls, [])
+})
+
+
+test("isGameOver is false while an action or a drop can still lead to one", () => {
+  let game = rules.newGame(1)
+  assert.strictEqual(rules.isGameOver(game), false)
+
+  let grid = stuckGrid()
+  grid[21] = 5 // Under an up arrow, so the up arrow can combine with it.
+  assert.strictEqual(rules.isGameOver(Object.assign({}, game, { grid: grid })), false)
+
+  grid = stuckGrid()
+  grid[1] = 0 // Room for one more arrow. Dropping an up arrow onto the up arrow below leaves a merge.
+  assert.strictEqual(rules.isGameOver(Object.assign({}, game, { grid: grid, next_arrow: 1, next_next_arrow: 1, spins: 0 })), false)
+})
+
+
+test("isGameOver is true once the grid is full and stuck", () => {
+  let game = Object.assign({}, rules.newGame(1), { grid: stuckGrid() })
+  assert.strictEqual(rules.hasAvailableAction(game.grid), false)
+  assert.strictEqual(rules.isGameOver(game), true)
+})
+
+
+test("isGameOver is true once no arrow still to come can act, even with room in the grid", () => {
+  let grid = stuckGrid()
+  grid[0] = 0 // Only a left or right arrow dropped here would act, on the left arrow beside it.
+
+  let game = Object.assign({}, rules.newGame(1), { grid: grid, next_arrow: 1, next_next_arrow: 5, spins: 1 })
+  assert.strictEqual(rules.isGridStuck(game), false)
+  assert.strictEqual(rules.isGameOver(game), true)
+  assert.strictEqual(rules.isGameOver(Object.assign({}, game, { next_next_arrow: 3 })), false)
+})
+
+
+test("isGridStuck is true only when there's no action and no room for an arrow", () => {
+  let game = Object.assign({}, rules.newGame(1), { grid: stuckGrid() })
+  assert.strictEqual(rules.isGridStuck(game), true)
+
+  game.grid[1] = 0
+  assert.strictEqual(rules.isGridStuck(game), false)
+  assert.strictEqual(rules.isGridStuck(Object.assign({}, game, { drops_left: 0 })), true)
+
+  game.grid = stuckGrid()
+  game.grid[21] = 5
+  assert.strictEqual(rules.isGridStuck(game), false)
+})
+
+
+test("isGameOver falls back on isGridStuck when the search runs out of positions", () => {
+  let game = Object.assign({}, rules.newGame(1), { grid: stuckGrid() })
+  assert.strictEqual(rules.isGameOver(game, 0), true)
+
+  game.grid[0] = 0 // Room for one more arrow, so the game goes on without a search.
+  Object.assign(game, { next_arrow: 8, next_next_arrow: 8, spins: 0, rng: { seed: 0, state: 0 } })
+  assert.strictEqual(rules.isGameOver(game, 0), false)
+})
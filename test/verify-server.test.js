@@ -0,0 +1,141 @@
+/* ***********************************************************************************************
+// Tests of the score verification server (tools/verify-server.js): that it verifies the games that
+// the bots play, and refuses claims that have been tampered with. Run with
+//
+//   node --test test/
+//
+// *********************************************************************************************** */
+
+const test = require('node:test'),
+      assert = require('node:assert'),
+      fs = require('fs'),
+      path = require('path'),
+      vm = require('vm');
+
+const server = require('../tools/verify-server.js')
+
+const rules = server.loadRules(),
+      variants = server.loadVariants(rules),
+      date = "2026-10-19";
+
+
+// Loads the bots (ai.js) with their own copy of the rules, as tools/simulate.js does.
+function loadBots(
+){
+  let context = vm.createContext({})
+  for(let file of ['rules.js', 'ai.js']) { vm.runInContext(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'), context, { filename: file }) }
+  return vm.runInContext('({ playGame, greedyMove, useRuleSet, completeRuleSet, default_rule_set })', context)
+}
+
+const bots = loadBots()
+
+
+// Returns the claim of a whole game played by the greedy bot from the given seed.
+function botClaim( mode, seed
+){
+  let result = bots.playGame(seed, bots.greedyMove)
+  return { mode: mode, size: 5, seed: seed, moves: result.moves, score: result.score, date: mode === "daily"? date : undefined }
+}
+
+const classic_claim = botClaim("classic", 12345),
+      daily_claim = botClaim("daily", rules.hashSeed(rules.dailySeed(new Date(date))));
+
+
+test("checkClaim accepts whole games that were really played", () => {
+  assert.ok(classic_claim.moves.length > 0)
+  assert.strictEqual(server.checkClaim(rules, variants, classic_claim), null)
+  assert.strictEqual(server.checkClaim(rules, variants, daily_claim), null)
+})
+
+
+test("checkClaim accepts a game played by a variant that the server has", () => {
+  let variant = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'variants', 'high-stakes.json'), 'utf8'))
+  assert.ok(variants.has(variant.id))
+
+  bots.useRuleSet(bots.completeRuleSet(variant))
+  let claim = Object.assign(botClaim("classic", 777), { rules: variant.id })
+  bots.useRuleSet(bots.default_rule_set)
+
+  assert.strictEqual(server.checkClaim(rules, variants, claim), null)
+  assert.match(server.checkClaim(rules, variants, Object.assign({}, claim, { rules: null })), /^The moves score |can't be played\.$/)
+})
+
+
+test("checkClaim refuses a tampered move log", () => {
+  let moves = classic_claim.moves.slice()
+  moves.splice(1, 0, "a0-1") // An action between empty cells.
+  assert.strictEqual(server.checkClaim(rules, variants, Object.assign({}, classic_claim, { moves: moves })), "Move 2 (a0-1) can't be played.")
+
+  assert.strictEqual(server.checkClaim(rules, variants, Object.assign({}, classic_claim, { moves: classic_claim.moves.concat(["d0"]) }))
+                    , "Move " + (classic_claim.moves.length + 1).toString() + " (d0) can't be played.")
+  assert.strictEqual(server.checkClaim(rules, variants, Object.assign({}, classic_claim, { moves: ["d0", 5] })), "The moves are invalid.")
+})
+
+
+test("checkClaim refuses a daily game that wasn't played from the daily seed", () => {
+  let reason = "The seed isn't the daily seed of that date."
+  assert.strictEqual(server.checkClaim(rules, variants, Object.assign({}, classic_claim, { mode: "daily", date: date })), reason)
+  assert.strictEqual(server.checkClaim(rules, variants, Object.assign({}, daily_claim, { date: "2026-10-20" })), reason)
+  assert.strictEqual(server.checkClaim(rules, variants, Object.assign({}, daily_claim, { date: undefined })), reason)
+})
+
+
+test("checkClaim refuses a score that the moves don't make", () => {
+  let claim = Object.assign({}, classic_claim, { score: classic_claim.score + 2 })
+  assert.strictEqual(server.checkClaim(rules, variants, claim), "The moves score " + classic_claim.score.toString() + ", not " + claim.score.toString() + ".")
+})
+
+
+test("checkClaim refuses a game that isn't over, unless it's a blitz game", () => {
+  let claim = Object.assign({}, classic_claim, { moves: ["d0"], score: 0 })
+  assert.strictEqual(server.checkClaim(rules, variants, claim), "The game isn't over.")
+  assert.strictEqual(server.checkClaim(rules, variants, Object.assign({}, claim, { mode: "arrows" })), "The game isn't over.")
+  assert.strictEqual(server.checkClaim(rules, variants, Object.assign({}, claim, { mode: "blitz" })), null)
+})
+
+
+test("checkClaim refuses a blitz game with more moves than fit in its time", () => {
+  let claim = { mode: "blitz", size: 5, seed: 5, moves: new Array(361).fill("s"), score: 0 },
+      reason = "A blitz game can't have that many moves.";
+
+  assert.strictEqual(server.checkClaim(rules, variants, claim), reason)
+  assert.notStrictEqual(server.checkClaim(rules, variants, Object.assign({}, claim, { moves: claim.moves.slice(0, 360) })), reason)
+})
+
+
+test("checkClaim refuses a variant that the server doesn't have", () => {
+  assert.strictEqual(server.checkClaim(rules, variants, Object.assign({}, classic_claim, { rules: "no-such-variant" }))
+                    , "The server doesn't have the rules of this game.")
+  assert.strictEqual(server.checkClaim(rules, variants, Object.assign({}, daily_claim, { rules: [...variants.keys()][0] }))
+                    , "Daily games are played by the default rules.")
+})
+
+
+test("checkClaim refuses claims that aren't games it can verify", () => {
+  assert.strictEqual(server.checkClaim(rules, variants, null), "The claim isn't an object.")
+  assert.strictEqual(server.checkClaim(rules, variants, Object.assign({}, classic_claim, { mode: "race" })), "Games of this mode can't be verified.")
+  assert.strictEqual(server.checkClaim(rules, variants, Object.assign({}, classic_claim, { size: 2 })), "The grid can't be that size.")
+  assert.strictEqual(server.checkClaim(rules, variants, Object.assign({}, classic_claim, { seed: -1 })), "The seed is invalid.")
+  assert.strictEqual(server.checkClaim(rules, variants, Object.assign({}, classic_claim, { score: 1.5 })), "The score is invalid.")
+})
+
+
+test("gameDigest is the same for the same game, and differs for another", () => {
+  assert.strictEqual(server.gameDigest(classic_claim), server.gameDigest(Object.assign({}, classic_claim)))
+  assert.notStrictEqual(server.gameDigest(classic_claim), server.gameDigest(Object.assign({}, classic_claim, { moves: classic_claim.moves.slice(1) })))
+  assert.notStrictEqual(server.gameDigest(daily_claim), server.gameDigest(Object.assign({}, daily_claim, { date: "2026-10-20" })))
+})
+
+
+test("checkReceipt only accepts receipts signed with the secret and left as they were", () => {
+  let secret = "a secret of sixteen characters or more",
+      receipt = { mode: "classic", size: 5, seed: classic_claim.seed, score: classic_claim.score, date: null, rules: null, verified_at: 1 };
+  receipt.signature = server.signReceipt(receipt, secret)
+
+  assert.strictEqual(server.checkReceipt(receipt, secret), true)
+  assert.strictEqual(server.checkReceipt(receipt, secret + "!"), false)
+  assert.strictEqual(server.checkReceipt(Object.assign({}, receipt, { score: receipt.score + 2 }), secret), false)
+  assert.strictEqual(server.checkReceipt(Object.assign({}, receipt, { rules: "high-stakes" }), secret), false)
+  assert.strictEqual(server.checkReceipt(Object.assign({}, receipt, { game: server.gameDigest(classic_claim) }), secret), false)
+  assert.strictEqual(server.checkReceipt(Object.assign({}, receipt, { signature: "00" }), secret), false)
+})
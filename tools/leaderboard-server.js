@@ -0,0 +1,255 @@
+/* ***********************************************************************************************
+// The leaderboard server for The Arrow Game (see leaderboard.js). e.g.
+//
+//   node tools/leaderboard-server.js --port 8082 --data leaderboard.json
+//
+// and then open the leaderboard from the game over screen, click Server, and give it
+// http://localhost:8082. The final score of every game that ends is then submitted to it.
+//
+// Options:
+//   --port        The port to listen on. Default 8082.
+//   --host        The address to listen on. Default 127.0.0.1, i.e. only this machine. Give it
+//                 0.0.0.0 (every address of the machine) to keep the scores of players on other
+//                 machines.
+//   --data        The file that the scores are kept in. It's made on the first score. Default
+//                 leaderboard.json, in the directory the server is started from.
+//   --page-size   The scores on each page. Default 10.
+//   --max-table   The most scores kept in each table. Lower scores are dropped. Default 1000.
+//
+// If the ARROW_GAME_SECRET environment variable is set, only scores with a receipt signed by the
+// verification server with the same secret are accepted (see tools/verify-server.js), and each
+// game only once, however many receipts it has (see the game of a receipt). Otherwise any score is
+// accepted, so the leaderboard is only as honest as its players.
+//
+// Each mode and size of grid has a table of its own, e.g. "blitz_6x6", and so does each variant
+// of the rules (see variants.js), e.g. "blitz_6x6_high-stakes", and each day's daily challenge,
+// e.g. "daily_5x5_2026-10-19". See tableName. The API, in JSON:
+//
+//   GET /scores?mode=&size=&date=&rules=&page=  - A page of a table, highest scores first. date
+//                                                 is for daily tables, rules is the id of a
+//                                                 variant, and page counts from 1. Answers with
+//                                                 { table, page, pages, total, scores }, where
+//                                                 scores are { rank, name, score, hints,
+//                                                 submitted_at, verified }.
+//   POST /scores                                - Adds a score: { mode, size, date, rules, name,
+//                                                 score, hints, receipt }. Answers with { table,
+//                                                 rank, page }.
+//
+// Errors are answered with { error }, and a 400 or 404 status.
+//
+// When this file is loaded with require, it exports what the tests need instead of starting the
+// server (see test/leaderboard-server.test.js).
+//
+// *********************************************************************************************** */
+
+const fs = require('fs'),
+      http = require('http'),
+      path = require('path');
+
+const { checkReceipt } = require('./verify-server.js');
+
+const leaderboard_modes = [ "classic", "daily", "blitz", "arrows" ], // See game_mode in main.js. Races aren't logged, so their scores can't be verified.
+      max_name = 20, // Characters in a player's name.
+      max_body = 16384; // Bytes. Bigger requests are refused.
+
+
+// Reads --name value pairs from the command line.
+function parseOptions( args
+){
+  let options = { port: '8082', host: '127.0.0.1', data: 'leaderboard.json', 'page-size': '10', 'max-table': '1000' }
+
+  for(let a = 0; a < args.length; a += 2)
+  {
+    let name = args[a].replace(/^--/, '')
+    if(!(name in options) || a+1 >= args.length) { throw new Error("Unknown option or missing value: " + args[a]) }
+    options[name] = args[a+1]
+  }
+  return options
+}
+
+
+/* ******************************************************************************************************** */
+// Tables.
+
+
+/* **************************************************
+// Returns the name of the table that scores of the
+// given mode, size, date and rules (the id of a
+// variant, or null for the default rules) go into,
+// or null if there's no such table. Daily challenges
+// are always played by the default rules.
+// ************************************************** */
+function tableName( mode, size, date, rules
+){
+  if(!leaderboard_modes.includes(mode) || !Number.isInteger(size) || size < 4 || size > 8) { return null }
+  if(rules !== undefined && rules !== null && (mode === "daily" || typeof rules !== "string" || !/^[a-z0-9-]{1,40}$/.test(rules))) { return null }
+
+  let name = mode + "_" + size.toString() + "x" + size.toString() + (typeof rules === "string"? "_" + rules : "")
+  if(mode !== "daily") { return name }
+  return typeof date === "string" && /^\d{4}-\d{2}-\d{2}$/.test(date) && !isNaN(Date.parse(date))? name + "_" + date : null
+}
+
+
+/* **************************************************
+// Reads the tables from the data file, as an object
+// that maps table names to lists of scores, highest
+// first. A missing file is an empty leaderboard.
+// ************************************************** */
+function readTables( file
+){
+  if(!fs.existsSync(file)) { return {} }
+
+  let tables = JSON.parse(fs.readFileSync(file, 'utf8'))
+  if(tables === null || typeof tables !== "object" || !Object.values(tables).every(Array.isArray)) { throw new Error(file + " isn't a leaderboard.") }
+  return tables
+}
+
+
+// Writes the tables to the data file. The file is replaced whole, so that a crash can't leave half of it.
+function writeTables( file, tables
+){
+  fs.writeFileSync(file + ".tmp", JSON.stringify(tables))
+  fs.renameSync(file + ".tmp", file)
+}
+
+
+/* **************************************************
+// Checks a score sent to the server. Returns the
+// reason that it can't be added, or null if it can.
+// ************************************************** */
+function checkEntry( entry, secret, tables
+){
+  if(entry === null || typeof entry !== "object") { return "The score isn't an object." }
+  if(tableName(entry.mode, entry.size, entry.date, entry.rules) === null) { return "There's no leaderboard for this mode, size, date or rules." }
+  if(typeof entry.name !== "string" || entry.name.trim() === "" || entry.name.trim().length > max_name)
+  { return "Names have 1 to " + max_name.toString() + " characters." }
+  if(!Number.isInteger(entry.score) || entry.score < 0 || !Number.isInteger(entry.hints) || entry.hints < 0) { return "The score is invalid." }
+  if(secret === undefined) { return null }
+
+  let receipt = entry.receipt
+  if(!checkReceipt(receipt, secret) || typeof receipt.game !== "string") { return "Scores need a receipt from the verification server." }
+  if(receipt.mode !== entry.mode || receipt.size !== entry.size || receipt.score !== entry.score || (entry.mode === "daily" && receipt.date !== entry.date)
+     || (receipt.rules === undefined? null : receipt.rules) !== (entry.rules === undefined? null : entry.rules))
+  { return "The receipt is for another game." }
+  if(Object.values(tables).some(table => table.some(row => row.signature === receipt.signature || row.game === receipt.game))) { return "This game has already been submitted." }
+  return null
+}
+
+
+/* ******************************************************************************************************** */
+// Requests.
+
+
+// Answers a request with a JSON body. The page may be served from anywhere, so any origin can read the answer.
+function sendJSON( response, status, body
+){
+  response.writeHead(status, { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*" })
+  response.end(JSON.stringify(body))
+}
+
+
+/* **************************************************
+// Answers GET /scores with a page of a table. Pages
+// past the end are empty.
+// ************************************************** */
+function getScores( url, options, tables, response
+){
+  let table = tableName(url.searchParams.get('mode'), parseInt(url.searchParams.get('size')), url.searchParams.get('date'), url.searchParams.get('rules')),
+      page = parseInt(url.searchParams.get('page') || "1");
+
+  if(table === null) { sendJSON(response, 400, { error: "There's no leaderboard for this mode, size, date or rules." }); return }
+  if(!(page >= 1)) { sendJSON(response, 400, { error: "Pages count from 1." }); return }
+
+  let rows = tables[table] || [],
+      first = (page-1) * options.page_size;
+
+  sendJSON(response, 200, { table: table, page: page, pages: Math.max(1, Math.ceil(rows.length / options.page_size)), total: rows.length
+                          , scores: rows.slice(first, first + options.page_size).map((row, r) =>
+                              ({ rank: first + r + 1, name: row.name, score: row.score, hints: row.hints, submitted_at: row.submitted_at, verified: row.signature !== null })) })
+}
+
+
+/* **************************************************
+// Answers POST /scores: adds the score to its table,
+// after the scores that are at least as high, and
+// saves the tables.
+// ************************************************** */
+function postScore( entry, options, tables, response
+){
+  let problem = checkEntry(entry, options.secret, tables)
+  if(problem !== null) { sendJSON(response, 400, { error: problem }); return }
+
+  let table = tableName(entry.mode, entry.size, entry.date, entry.rules),
+      rows = tables[table] || [],
+      row = { name: entry.name.trim(), score: entry.score, hints: entry.hints, submitted_at: Date.now()
+            , signature: options.secret === undefined? null : entry.receipt.signature, game: options.secret === undefined? null : entry.receipt.game },
+      rank = rows.findIndex(other => other.score < row.score);
+
+  if(rank === -1) { rank = rows.length }
+  if(rank >= options.max_table) { sendJSON(response, 200, { table: table, rank: null, page: null }); return }
+
+  rows.splice(rank, 0, row)
+  tables[table] = rows.slice(0, options.max_table)
+  writeTables(options.data, tables)
+
+  console.log(row.name + " scored " + row.score.toString() + " in " + table + " (#" + (rank+1).toString() + ")")
+  sendJSON(response, 201, { table: table, rank: rank+1, page: Math.floor(rank / options.page_size) + 1 })
+}
+
+
+// Handles a request to the server. Only /scores (and the browser's preflight for it) is answered.
+function handleRequest( options, tables, request, response
+){
+  let url = new URL(request.url, "http://localhost")
+
+  if(request.method === "OPTIONS")
+  {
+    response.writeHead(204, { "Access-Control-Allow-Origin": "*", "Access-Control-Allow-Methods": "GET, POST", "Access-Control-Allow-Headers": "Content-Type" })
+    response.end()
+    return
+  }
+  if(url.pathname !== "/scores" || !["GET", "POST"].includes(request.method)) { sendJSON(response, 404, { error: "Not found." }); return }
+  if(request.method === "GET") { getScores(url, options, tables, response); return }
+
+  let chunks = [], length = 0
+  request.on('data', chunk => {
+    length += chunk.length
+    if(length > max_body) { sendJSON(response, 413, { error: "The score is too big." }); request.destroy(); return }
+    chunks.push(chunk)
+  })
+  request.on('end', () => {
+    if(length > max_body) { return }
+
+    let entry = null
+    try { entry = JSON.parse(Buffer.concat(chunks).toString('utf8')) } catch(e) { sendJSON(response, 400, { error: "The score isn't JSON." }); return }
+    postScore(entry, options, tables, response)
+  })
+}
+
+
+function main(
+){
+  let parsed = parseOptions(process.argv.slice(2)),
+      options = { data: path.resolve(parsed.data), page_size: parseInt(parsed['page-size']), max_table: parseInt(parsed['max-table'])
+                , secret: process.env.ARROW_GAME_SECRET },
+      port = parseInt(parsed.port);
+
+  if(!(port >= 0 && port < 65536) || !(options.page_size > 0) || !(options.max_table > 0))
+  { throw new Error("--port, --page-size and --max-table must be numbers.") }
+
+  let tables = readTables(options.data),
+      server = http.createServer((request, response) => handleRequest(options, tables, request, response));
+
+  server.listen(port, parsed.host, () => {
+    console.log("Leaderboard at http://localhost:" + server.address().port.toString() + "/scores, kept in " + options.data)
+    console.log(options.secret === undefined? "Any score is accepted. Set ARROW_GAME_SECRET to only accept verified scores." : "Only verified scores are accepted.")
+  })
+}
+
+
+if(require.main === module)
+{
+  try { main() }
+  catch(e) { console.error(e.message); process.exit(1) }
+}
+else { module.exports = { tableName, checkEntry, postScore } }
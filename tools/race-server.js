@@ -0,0 +1,364 @@
+/* ***********************************************************************************************
+// The relay server for race games (see race.js), which also serves the game itself. e.g.
+//
+//   node tools/race-server.js --port 8080
+//
+// and then open http://localhost:8080/ in each player's browser, and pick Race in the mode picker.
+// The server address to give it is ws://localhost:8080/ plus a room name, e.g.
+// ws://localhost:8080/lunch. Players in the same room race each other.
+//
+// Options:
+//   --port       The port to listen on. Default 8080.
+//   --host       The address to listen on. Default 127.0.0.1, i.e. only this machine. Give it
+//                0.0.0.0 (every address of the machine) to race players on other machines.
+//   --max-room   The most players in one room. Default 8.
+//
+// It has no dependencies: WebSockets (RFC 6455) are handled here, just enough for the browser's
+// WebSocket to talk to it. Messages are JSON text frames. A player sends
+//
+//   { type: "join", name }                - Once, when connected.
+//   { type: "start", size }               - Starts a race on a grid of that size, if none is on.
+//   { type: "board", score, grid, over }  - Their board, after every move.
+//   { type: "junk" }                      - They cancelled two stars. See sendJunk in race.js.
+//
+// and the server sends
+//
+//   { type: "welcome", id, room, players, racing }  - After the join. players is a list of the
+//                                                     players in the room, as from playerInfo.
+//   { type: "player", player }                      - A player joined, or their board changed.
+//   { type: "left", id }                            - A player left.
+//   { type: "start", seed, size }                   - A race started. Everyone in the room is in it.
+//   { type: "junk", from }                          - Another player cancelled two stars.
+//   { type: "finished" }                            - Everyone in the race is stuck, or has left.
+//   { type: "error", message }
+//
+// The server only relays. It doesn't check that boards or scores are real, so it's only meant
+// for friendly races. Of the repository, it only serves the files that the game is made of (see
+// servedFile), so that the rest (tools, .git, ...) stays private.
+//
+// *********************************************************************************************** */
+
+const crypto = require('crypto'),
+      fs = require('fs'),
+      http = require('http'),
+      path = require('path');
+
+const root = path.join(__dirname, '..')
+
+const websocket_guid = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11", // See RFC 6455, section 1.3.
+      max_message = 65536, // Bytes. Bigger messages close the connection.
+      max_name = 20; // Characters in a player's name.
+
+// The directories of the repository that the game loads files from. Of the files at the top, only
+// index.html, stylesheet.css and the scripts are served. See servedFile.
+const served_directories = [ "resources", "levels", "variants", "stats", "game-rules" ]
+
+// Content types of the files that the game is made of.
+const content_types = { ".html": "text/html; charset=utf-8", ".js": "text/javascript; charset=utf-8", ".css": "text/css; charset=utf-8"
+                      , ".json": "application/json", ".png": "image/png", ".svg": "image/svg+xml", ".ico": "image/x-icon" }
+
+let rooms = new Map(), // Maps room names to { players, racing } objects. players maps ids to players. See joinRoom.
+    next_id = 1;
+
+
+// Reads --name value pairs from the command line.
+function parseOptions( args
+){
+  let options = { port: '8080', host: '127.0.0.1', 'max-room': '8' }
+
+  for(let a = 0; a < args.length; a += 2)
+  {
+    let name = args[a].replace(/^--/, '')
+    if(!(name in options) || a+1 >= args.length) { throw new Error("Unknown option or missing value: " + args[a]) }
+    options[name] = args[a+1]
+  }
+  return options
+}
+
+
+// Returns the decoded path of a request's url, e.g. "/levels/plus.json", or null if it can't be decoded.
+function requestPath( request
+){
+  try { return decodeURIComponent(new URL(request.url, "http://localhost").pathname) } catch(e) { return null }
+}
+
+
+/* ******************************************************************************************************** */
+// Files.
+
+
+/* **************************************************
+// Returns the file of the repository that a request
+// path stands for, or null if it isn't one of the
+// files of the game: index.html, stylesheet.css, the
+// scripts at the top, and the served_directories.
+// Paths with any part starting with a dot are never
+// served.
+// ************************************************** */
+function servedFile( url_path
+){
+  let parts = (url_path.endsWith("/")? url_path + "index.html" : url_path).split("/").filter(part => part !== "")
+
+  if(parts.length === 0 || parts.some(part => part.startsWith(".") || part.includes("\\") || part.includes("\0"))) { return null }
+  if(parts.length === 1 && !["index.html", "stylesheet.css"].includes(parts[0]) && path.extname(parts[0]) !== ".js") { return null }
+  if(parts.length > 1 && !served_directories.includes(parts[0])) { return null }
+
+  return path.join(root, ...parts)
+}
+
+
+// Serves the files of the game. Anything that servedFile doesn't allow is answered with a 404.
+function serveFile( request, response
+){
+  let url_path = requestPath(request),
+      file = url_path === null? null : servedFile(url_path);
+
+  if(request.method !== "GET" || file === null) { response.writeHead(404); response.end("Not found"); return }
+
+  fs.readFile(file, (error, data) => {
+    if(error !== null) { response.writeHead(404); response.end("Not found"); return }
+    response.writeHead(200, { "Content-Type": content_types[path.extname(file).toLowerCase()] || "application/octet-stream" })
+    response.end(data)
+  })
+}
+
+
+/* ******************************************************************************************************** */
+// WebSockets.
+
+
+/* **************************************************
+// Completes the opening handshake of a WebSocket, and
+// returns a connection object: { socket, send, close },
+// where send sends a text message. Returns null if the
+// request isn't a WebSocket handshake.
+// ************************************************** */
+function acceptWebSocket( request, socket
+                        , onMessage // Called with the text of each message.
+                        , onClose // Called once, when the connection closes.
+){
+  let key = request.headers['sec-websocket-key']
+  if(typeof key !== "string" || (request.headers['upgrade'] || "").toLowerCase() !== "websocket")
+  { socket.end("HTTP/1.1 400 Bad Request\r\n\r\n"); return null }
+
+  let accept = crypto.createHash('sha1').update(key + websocket_guid).digest('base64')
+  socket.write("HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\nSec-WebSocket-Accept: " + accept + "\r\n\r\n")
+
+  let buffer = Buffer.alloc(0),
+      fragments = [],
+      closed = false;
+
+  let connection = {
+    socket: socket,
+    send: text => { if(!closed) { socket.write(encodeFrame(0x1, Buffer.from(text, 'utf8'))) } },
+    close: (code = 1000) => {
+      if(closed) { return }
+      closed = true
+      let payload = Buffer.alloc(2)
+      payload.writeUInt16BE(code)
+      socket.end(encodeFrame(0x8, payload))
+      onClose()
+    }
+  }
+
+  socket.on('data', data => {
+    buffer = Buffer.concat([buffer, data])
+
+    let frame = null
+    while(!closed && (frame = decodeFrame(buffer)) !== null)
+    {
+      buffer = buffer.subarray(frame.length)
+      if(frame.error !== undefined) { connection.close(frame.error); return }
+
+      switch(frame.opcode)
+      {
+        case 0x0: // A continuation of a fragmented message.
+        case 0x1:
+          fragments.push(frame.payload)
+          if(fragments.reduce((sum, part) => sum + part.length, 0) > max_message) { connection.close(1009); return }
+          if(frame.fin) { let text = Buffer.concat(fragments).toString('utf8'); fragments = []; onMessage(text) }
+          break
+        case 0x8: connection.close(); break
+        case 0x9: socket.write(encodeFrame(0xA, frame.payload)); break // Ping.
+        case 0xA: break // Pong.
+        default: connection.close(1003) // Binary messages and unknown opcodes aren't supported.
+      }
+    }
+  })
+
+  // A client that goes away without a close frame has left all the same.
+  socket.on('end', () => { if(!closed) { closed = true; socket.end(); onClose() } })
+  socket.on('close', () => { if(!closed) { closed = true; onClose() } })
+  socket.on('error', () => socket.destroy())
+  return connection
+}
+
+
+/* **************************************************
+// Reads one frame from the start of a buffer. Returns
+// null if the buffer doesn't hold a whole frame yet.
+// Otherwise, returns { fin, opcode, payload, length },
+// where length is the number of bytes read, or
+// { error, length } with the close code to send if the
+// frame can't be accepted.
+// ************************************************** */
+function decodeFrame( buffer
+){
+  if(buffer.length < 2) { return null }
+
+  let fin = (buffer[0] & 0x80) !== 0,
+      opcode = buffer[0] & 0x0F,
+      masked = (buffer[1] & 0x80) !== 0,
+      length = buffer[1] & 0x7F,
+      offset = 2;
+
+  if(length === 126) { if(buffer.length < 4) { return null }; length = buffer.readUInt16BE(2); offset = 4 }
+  else if(length === 127) { if(buffer.length < 10) { return null }; length = Number(buffer.readBigUInt64BE(2)); offset = 10 }
+
+  // Clients must mask their frames. See RFC 6455, section 5.1.
+  if(!masked) { return { error: 1002, length: buffer.length } }
+  if(length > max_message) { return { error: 1009, length: buffer.length } }
+  if(buffer.length < offset + 4 + length) { return null }
+
+  let mask = buffer.subarray(offset, offset + 4),
+      payload = Buffer.alloc(length);
+
+  for(let n = 0; n < length; ++n) { payload[n] = buffer[offset + 4 + n] ^ mask[n % 4] }
+  return { fin: fin, opcode: opcode, payload: payload, length: offset + 4 + length }
+}
+
+
+// Returns a whole, unmasked frame, as the server sends them.
+function encodeFrame( opcode, payload
+){
+  let header = null
+
+  if(payload.length < 126) { header = Buffer.from([0x80 | opcode, payload.length]) }
+  else if(payload.length < 65536) { header = Buffer.alloc(4); header[0] = 0x80 | opcode; header[1] = 126; header.writeUInt16BE(payload.length, 2) }
+  else { header = Buffer.alloc(10); header[0] = 0x80 | opcode; header[1] = 127; header.writeBigUInt64BE(BigInt(payload.length), 2) }
+
+  return Buffer.concat([header, payload])
+}
+
+
+/* ******************************************************************************************************** */
+// Rooms.
+
+
+// Returns what the other players see of a player.
+function playerInfo( player
+){ return { id: player.id, name: player.name, score: player.score, grid: player.grid, over: player.over, racing: player.racing } }
+
+
+// Sends a message to every player in a room, except the one given (if any).
+function broadcast( room, message
+                  , except = null
+){
+  let text = JSON.stringify(message)
+  for(let player of room.players.values()) { if(player !== except) { player.connection.send(text) } }
+}
+
+
+/* **************************************************
+// Ends the race in a room once every player in it is
+// stuck (or has left).
+// ************************************************** */
+function checkFinished( room
+){
+  if(!room.racing) { return }
+  if([...room.players.values()].some(player => player.racing && !player.over)) { return }
+
+  room.racing = false
+  broadcast(room, { type: "finished" })
+}
+
+
+/* **************************************************
+// Handles a connection to the server: joins the room
+// named by the path of its url (e.g. "/lunch"), and
+// relays its messages to the rest of the room.
+// ************************************************** */
+function joinRoom( request, socket, max_room
+){
+  let room_name = (requestPath(request) || "/").slice(1).trim() || "lobby",
+      player = null,
+      room = null;
+
+  let connection = acceptWebSocket(request, socket, text => {
+    let message = null
+    try { message = JSON.parse(text) } catch(e) { message = null }
+    if(message === null || typeof message !== "object") { return }
+
+    if(message.type === "join" && player === null)
+    {
+      room = rooms.get(room_name)
+      if(room === undefined) { room = { players: new Map(), racing: false }; rooms.set(room_name, room) }
+      if(room.players.size >= max_room)
+      { connection.send(JSON.stringify({ type: "error", message: "The room is full." })); connection.close(); return }
+
+      let name = typeof message.name === "string" && message.name.trim() !== ""? message.name.trim().slice(0, max_name) : "Player " + next_id.toString()
+      player = { id: next_id++, name: name, connection: connection, score: 0, grid: [], over: false, racing: false }
+      room.players.set(player.id, player)
+
+      connection.send(JSON.stringify({ type: "welcome", id: player.id, room: room_name, players: [...room.players.values()].map(playerInfo), racing: room.racing }))
+      broadcast(room, { type: "player", player: playerInfo(player) }, player)
+      console.log(name + " joined " + room_name + " (" + room.players.size.toString() + " players)")
+      return
+    }
+    if(player === null) { return }
+
+    if(message.type === "start")
+    {
+      if(room.racing) { connection.send(JSON.stringify({ type: "error", message: "A race is already on." })); return }
+
+      let size = Number.isInteger(message.size) && message.size >= 4 && message.size <= 8? message.size : 5,
+          seed = crypto.randomInt(0, 2**31);
+
+      room.racing = true
+      for(let other of room.players.values()) { Object.assign(other, { score: 0, grid: [], over: false, racing: true }) }
+      broadcast(room, { type: "start", seed: seed, size: size })
+      console.log(player.name + " started a race in " + room_name + " (seed " + seed.toString() + ")")
+    }
+    else if(message.type === "board" && player.racing)
+    {
+      player.score = Number.isInteger(message.score) && message.score >= 0? message.score : player.score
+      player.grid = Array.isArray(message.grid) && message.grid.length <= 64 && message.grid.every(Number.isInteger)? message.grid : player.grid
+      player.over = message.over === true
+      broadcast(room, { type: "player", player: playerInfo(player) }, player)
+      checkFinished(room)
+    }
+    else if(message.type === "junk" && player.racing && !player.over)
+    {
+      for(let other of room.players.values()) { if(other !== player && other.racing && !other.over) { other.connection.send(JSON.stringify({ type: "junk", from: player.id })) } }
+    }
+  },
+  () => {
+    if(player === null) { return }
+
+    room.players.delete(player.id)
+    broadcast(room, { type: "left", id: player.id })
+    console.log(player.name + " left " + room_name)
+    if(room.players.size === 0) { rooms.delete(room_name) } else { checkFinished(room) }
+  })
+}
+
+
+function main(
+){
+  let options = parseOptions(process.argv.slice(2)),
+      port = parseInt(options.port),
+      max_room = parseInt(options['max-room']);
+
+  if(!(port >= 0 && port < 65536) || !(max_room > 0)) { throw new Error("--port and --max-room must be numbers.") }
+
+  let server = http.createServer(serveFile)
+  server.on('upgrade', (request, socket) => joinRoom(request, socket, max_room))
+  server.listen(port, options.host, () => {
+    console.log("Serving the game at http://localhost:" + server.address().port.toString() + "/")
+    console.log("Race server address: ws://localhost:" + server.address().port.toString() + "/<room>")
+  })
+}
+
+
+try { main() }
+catch(e) { console.error(e.message); process.exit(1) }
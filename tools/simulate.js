@@ -0,0 +1,181 @@
+/* ***********************************************************************************************
+// Plays many games with one of the bots in ai.js, and reports how they went. e.g.
+//
+//   node tools/simulate.js --strategy search --games 1000
+//   node tools/simulate.js --weights 2,2,2,2,1,1,1,1 --score-exponents 2,4,9,6
+//   node tools/simulate.js --rules variants/high-stakes.json
+//
+// Options:
+//   --strategy         greedy or search (see ai_strategies). Default greedy.
+//   --games            The number of games to play. Default 1000.
+//   --first-seed       The seed of the first game. The games use consecutive seeds. Default 1.
+//   --depth            How far the search strategy looks ahead. Default search_depth.
+//   --size             The number of cells on a side of the grid. Default 5.
+//   --weights          The odds of each arrow from getRandomArrow, in the order of its
+//                      valid_numbers. Default 1,1,1,1,1,1,1,1.
+//   --rules            A rule set to play by, as a JSON file (see the Rule sets section of
+//                      rules.js), e.g. a variant. Default the default rule set.
+//   --score-exponents  The u of each tier of arrows in actionScore, in the order of the rule set's
+//                      tiers. Default the rule set's, i.e. 2,4,9,6 for the basic, mid, star and
+//                      max arrows of the default rule set.
+//   --games-out        A file to write each game to, as a JSON line of { seed, size, score,
+//                      moves }, and rules with --rules. Any of the move logs can be watched with
+//                      playReplay.
+//
+// The rules and bots are loaded the same way that the page loads them: as classic scripts that
+// share one global scope. The rule set is set, and the weights and exponents edited in place,
+// before any game starts.
+//
+// *********************************************************************************************** */
+
+const fs = require('fs'),
+      path = require('path'),
+      vm = require('vm');
+
+const root = path.join(__dirname, '..')
+
+
+// Loads rules.js and ai.js into a fresh context, and returns it.
+function loadScripts(
+){
+  let context = vm.createContext({ console: console })
+  for(let file of ['rules.js', 'ai.js']) { vm.runInContext(fs.readFileSync(path.join(root, file), 'utf8'), context, { filename: file }) }
+  return context
+}
+
+
+// Reads --name value pairs from the command line.
+function parseOptions( args
+){
+  let options = { strategy: 'greedy', games: '1000', 'first-seed': '1', depth: null, size: null, weights: null, rules: null
+                , 'score-exponents': null, 'games-out': null }
+
+  for(let a = 0; a < args.length; a += 2)
+  {
+    let name = args[a].replace(/^--/, '')
+    if(!(name in options) || a+1 >= args.length) { throw new Error("Unknown option or missing value: " + args[a]) }
+    options[name] = args[a+1]
+  }
+  return options
+}
+
+
+// Reads a comma separated list of n positive numbers.
+function parseNumbers( text, n, name
+){
+  let numbers = text.split(',').map(Number)
+  if(numbers.length !== n || !numbers.every(x => isFinite(x) && x >= 0)) { throw new Error(name + " needs " + n.toString() + " numbers.") }
+  return numbers
+}
+
+
+// Returns the p-th percentile of a sorted list.
+function percentile( sorted, p
+){ return sorted[Math.min(sorted.length-1, Math.floor(p/100 * sorted.length))] }
+
+
+// Describes the spread of a list of numbers on one line.
+function summarize( name, values
+){
+  let sorted = values.slice().sort((a,b) => a - b),
+      mean = values.reduce((sum, x) => sum + x, 0) / values.length,
+      sd = Math.sqrt(values.reduce((sum, x) => sum + (x - mean)**2, 0) / values.length);
+
+  return name.padEnd(8) + "mean " + mean.toFixed(1) + "  sd " + sd.toFixed(1) + "  min " + sorted[0]
+       + "  p10 " + percentile(sorted, 10) + "  p25 " + percentile(sorted, 25) + "  median " + percentile(sorted, 50)
+       + "  p75 " + percentile(sorted, 75) + "  p90 " + percentile(sorted, 90) + "  max " + sorted[sorted.length-1]
+}
+
+
+// Draws a text histogram of a list of numbers.
+function histogram( values
+                  , buckets = 10
+){
+  let min = Math.min(...values),
+      width = Math.max(1, Math.ceil((Math.max(...values) - min + 1) / buckets)),
+      counts = new Array(buckets).fill(0),
+      lines = [];
+
+  for(let x of values) { counts[Math.floor((x - min) / width)] += 1 }
+
+  let most = Math.max(...counts)
+  for(let b = 0; b < buckets; ++b)
+  {
+    let low = min + b*width
+    lines.push((low.toString() + "-" + (low + width - 1).toString()).padStart(13) + " | "
+               + "#".repeat(Math.round(40 * counts[b] / most)) + " " + counts[b].toString())
+  }
+  return lines.join("\n")
+}
+
+
+function main(
+){
+  let options = parseOptions(process.argv.slice(2)),
+      context = loadScripts(),
+      rules = vm.runInContext('({ arrow_weights, score_exponents, search_depth, ai_strategies, searchMove, playGame, setGridSize'
+                              + ', completeRuleSet, validateRuleSet, useRuleSet })', context),
+      rule_set = null,
+      games = parseInt(options.games),
+      first_seed = parseInt(options['first-seed']);
+
+  if(!(options.strategy in rules.ai_strategies)) { throw new Error("Unknown strategy: " + options.strategy) }
+  if(!(games > 0) || isNaN(first_seed)) { throw new Error("--games and --first-seed must be numbers.") }
+
+  if(options.size !== null && !rules.setGridSize(parseInt(options.size))) { throw new Error("Unsupported grid size: " + options.size) }
+  if(options.weights !== null) { rules.arrow_weights.splice(0, rules.arrow_weights.length, ...parseNumbers(options.weights, rules.arrow_weights.length, "--weights")) }
+  if(options.rules !== null)
+  {
+    rule_set = rules.completeRuleSet(JSON.parse(fs.readFileSync(options.rules, 'utf8')))
+    let problems = rules.validateRuleSet(rule_set)
+    if(problems.length > 0) { throw new Error(options.rules + " isn't a rule set. " + problems.join(" ")) }
+    rules.useRuleSet(rule_set)
+  }
+  if(options['score-exponents'] !== null)
+  {
+    let tiers = Object.keys(rules.score_exponents),
+        exponents = parseNumbers(options['score-exponents'], tiers.length, "--score-exponents");
+    tiers.forEach((tier, t) => { rules.score_exponents[tier] = exponents[t] })
+  }
+
+  // The grid size that the games are played on, for the games written out.
+  let size = vm.runInContext('grid_size', context)
+
+  let strategy = rules.ai_strategies[options.strategy]
+  if(options.depth !== null && options.strategy !== 'search') { throw new Error("--depth only applies to the search strategy.") }
+  if(options.depth !== null) { let depth = parseInt(options.depth); strategy = game => rules.searchMove(game, depth) }
+
+  let scores = [], lengths = [], drops = [],
+      out = options['games-out'] === null? null : fs.openSync(options['games-out'], 'w'),
+      started = Date.now();
+
+  for(let g = 0; g < games; ++g)
+  {
+    let result = rules.playGame(first_seed + g, strategy)
+    scores.push(result.score)
+    lengths.push(result.moves.length)
+    drops.push(result.drops)
+    if(out !== null) { fs.writeSync(out, JSON.stringify(Object.assign({ seed: result.seed, size: size, score: result.score, moves: result.moves }, rule_set === null? {} : { rules: rule_set })) + "\n") }
+    if(process.stderr.isTTY) { process.stderr.write("\r" + (g+1).toString() + " / " + games.toString()) }
+  }
+  if(out !== null) { fs.closeSync(out) }
+  if(process.stderr.isTTY) { process.stderr.write("\n") }
+
+  console.log("Strategy: " + options.strategy + (options.depth === null? "" : " (depth " + options.depth + ")")
+              + (options.size === null? "" : " on the " + options.size + "x" + options.size + " grid")
+              + (rule_set === null? "" : " by the " + rule_set.name + " rules")
+              + ", " + games.toString() + " games (seeds " + first_seed.toString() + "-" + (first_seed + games - 1).toString() + ")"
+              + " in " + ((Date.now() - started) / 1000).toFixed(1) + "s")
+  console.log("Weights: " + rules.arrow_weights.join(",") + "  Score exponents: " + Object.values(rules.score_exponents).join(","))
+  console.log()
+  console.log(summarize("Score", scores))
+  console.log(summarize("Moves", lengths))
+  console.log(summarize("Drops", drops))
+  console.log()
+  console.log("Scores:")
+  console.log(histogram(scores))
+}
+
+
+try { main() }
+catch(e) { console.error(e.message); process.exit(1) }
@@ -0,0 +1,291 @@
+/* ***********************************************************************************************
+// The score verification server for The Arrow Game (see verify.js). e.g.
+//
+//   ARROW_GAME_SECRET=<a long random string> node tools/verify-server.js --port 8081
+//
+// and then click Verify on the page, and give it http://localhost:8081. The page then sends the
+// move log of every game that ends to the server, and only counts the game's score as a high
+// score once the server has signed it.
+//
+// Options:
+//   --port       The port to listen on. Default 8081.
+//   --host       The address to listen on. Default 127.0.0.1, i.e. only this machine. Give it
+//                0.0.0.0 (every address of the machine) to verify the scores of players on other
+//                machines.
+//
+// The key that receipts are signed with is read from the ARROW_GAME_SECRET environment variable,
+// so that it doesn't show up in the list of processes. Keep it to yourself: anyone who has it can
+// sign any score.
+//
+// The page sends a claim, as JSON, to POST /verify:
+//
+//   { mode    - "classic", "daily", "blitz" or "arrows". See game_mode in main.js.
+//   , size    - The number of cells on a side of the grid.
+//   , seed    - The seed of the game's generator. See move_log in main.js.
+//   , moves   - Every move of the game, in order. See the Moves section of rules.js.
+//   , score   - The final score claimed.
+//   , date    - The date of a daily game, e.g. "2026-10-19". Only daily games have one.
+//   , rules } - The id of the variant that the game was played by (see variants.js), if any.
+//
+// The server plays the moves on a fresh game from the seed, with the same rules.js that the page
+// plays by (so the same classifyAction, resolveEdgeError and scoring), and by the variant's rule
+// set from the variants directory, if there is one. The page's own copy of the variant is never
+// trusted. It answers with
+//
+//   { receipt: { mode, size, seed, score, date, rules, game, verified_at, signature } }  - 200, if
+//                                 the moves can all be played, the game is over, and the score is
+//                                 the one claimed. rules is the id of the variant, or null for the
+//                                 default rules. game tells the game apart from every other (see
+//                                 gameDigest), so that a game verified twice can be told for the
+//                                 same one. signature is the HMAC-SHA256 of the other fields (see
+//                                 receiptText), in hex.
+//   { error }                   - 400, otherwise.
+//
+// Blitz games end when their time runs out, which the server can't check, so they don't need to
+// be over. Instead, a blitz game can't have more moves than fit in its two minutes at three moves
+// a second (see max_blitz_moves), which no player keeps up for long. The receipt says that the
+// score was reached by playing the game from its seed, not how long it took or how many hints
+// were used.
+//
+// Other services can check receipts with the same secret. See checkReceipt, which is exported when
+// this file is loaded with require, along with what the tests need (see test/verify-server.test.js).
+//
+// *********************************************************************************************** */
+
+const crypto = require('crypto'),
+      fs = require('fs'),
+      http = require('http'),
+      path = require('path'),
+      vm = require('vm');
+
+const root = path.join(__dirname, '..')
+
+const verified_modes = [ "classic", "daily", "blitz", "arrows" ],
+      arrow_limit = 50, // The arrows dropped in an arrows game. See arrow_limit in main.js.
+      max_blitz_moves = 360, // Three moves a second for the two minutes of a blitz game. See blitz_duration in main.js.
+      max_claim = 1048576, // Bytes. Bigger claims are refused.
+      max_moves = 100000;
+
+
+// Loads rules.js into a fresh context, and returns the parts of it that the server uses.
+function loadRules(
+){
+  let context = vm.createContext({})
+  vm.runInContext(fs.readFileSync(path.join(root, 'rules.js'), 'utf8'), context, { filename: 'rules.js' })
+  return vm.runInContext('({ valid_grid_size, hashSeed, dailySeed, withGridSize, default_rule_set, completeRuleSet, validateRuleSet, withRuleSet'
+                         + ', newGame, applyMove, isGameOver })', context)
+}
+
+
+/* **************************************************
+// Reads the variants listed in variants/index.json,
+// as the page does (see loadVariants in variants.js).
+// Returns a map from their ids to their rule sets.
+// Variants that can't be played by are left out.
+// ************************************************** */
+function loadVariants( rules
+){
+  let dir = path.join(root, 'variants'),
+      variants = new Map();
+  if(!fs.existsSync(path.join(dir, 'index.json'))) { return variants }
+
+  for(let file of JSON.parse(fs.readFileSync(path.join(dir, 'index.json'), 'utf8')))
+  {
+    let variant = rules.completeRuleSet(JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'))),
+        problems = rules.validateRuleSet(variant);
+
+    if(problems.length > 0) { console.warn("Skipped the variant in " + file + ": " + problems.join(" ")) }
+    else if(variant.id === rules.default_rule_set.id || variants.has(variant.id)) { console.warn("Skipped the variant in " + file + ": its id is taken.") }
+    else { variants.set(variant.id, variant) }
+  }
+  return variants
+}
+
+
+// Reads --name value pairs from the command line.
+function parseOptions( args
+){
+  let options = { port: '8081', host: '127.0.0.1' }
+
+  for(let a = 0; a < args.length; a += 2)
+  {
+    let name = args[a].replace(/^--/, '')
+    if(!(name in options) || a+1 >= args.length) { throw new Error("Unknown option or missing value: " + args[a]) }
+    options[name] = args[a+1]
+  }
+  return options
+}
+
+
+/* ******************************************************************************************************** */
+// Verification.
+
+
+/* **************************************************
+// Plays a claim's moves on a fresh game from its
+// seed, by the rules of its variant (from
+// loadVariants), if it has one. Returns the reason
+// that the claim is false, or null if it's true.
+// ************************************************** */
+function checkClaim( rules, variants, claim
+){
+  if(claim === null || typeof claim !== "object") { return "The claim isn't an object." }
+  if(!verified_modes.includes(claim.mode)) { return "Games of this mode can't be verified." }
+  if(!rules.valid_grid_size(claim.size)) { return "The grid can't be that size." }
+  if(!Number.isInteger(claim.seed) || claim.seed < 0 || claim.seed >= 2**32) { return "The seed is invalid." }
+  if(!Number.isInteger(claim.score) || claim.score < 0) { return "The score is invalid." }
+  if(!Array.isArray(claim.moves) || claim.moves.length > max_moves || !claim.moves.every(move => typeof move === "string"))
+  { return "The moves are invalid." }
+  if(claim.mode === "blitz" && claim.moves.length > max_blitz_moves) { return "A blitz game can't have that many moves." }
+
+  // Daily games have to be played from the seed of their day.
+  if(claim.mode === "daily" && (typeof claim.date !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(claim.date) || isNaN(Date.parse(claim.date))
+                                || rules.hashSeed(rules.dailySeed(new Date(claim.date))) !== claim.seed))
+  { return "The seed isn't the daily seed of that date." }
+
+  let rule_set = claim.rules === undefined || claim.rules === null? rules.default_rule_set : variants.get(claim.rules)
+  if(rule_set === undefined) { return "The server doesn't have the rules of this game." }
+  if(claim.mode === "daily" && rule_set !== rules.default_rule_set) { return "Daily games are played by the default rules." }
+
+  return rules.withRuleSet(rule_set, () => rules.withGridSize(claim.size, () => {
+    let game = rules.newGame(claim.seed)
+    if(claim.mode === "arrows") { game.drops_left = arrow_limit }
+
+    for(let m = 0; m < claim.moves.length; ++m)
+    {
+      game = rules.applyMove(game, claim.moves[m])
+      if(game === null) { return "Move " + (m+1).toString() + " (" + claim.moves[m] + ") can't be played." }
+    }
+
+    if(game.score !== claim.score) { return "The moves score " + game.score.toString() + ", not " + claim.score.toString() + "." }
+    if(claim.mode !== "blitz" && !rules.isGameOver(game)) { return "The game isn't over." }
+    return null
+  }))
+}
+
+
+// Returns the SHA-256 of a claim's game, in hex: of its mode, size, seed, date, rules and moves, which are the same however often it's verified.
+function gameDigest( claim
+){
+  let fields = [claim.mode, claim.size, claim.seed, claim.mode === "daily"? claim.date : null, claim.rules === undefined? null : claim.rules, claim.moves]
+  return crypto.createHash('sha256').update(JSON.stringify(fields)).digest('hex')
+}
+
+
+/* **************************************************
+// Returns the text that a receipt's signature signs:
+// every field of the receipt but the signature.
+// Receipts of games by the default rules sign the
+// same text as receipts from before there were
+// variants, and receipts without a game the same
+// text as receipts from before there were games, so
+// those still check out.
+// ************************************************** */
+function receiptText( receipt
+){
+  let fields = [receipt.mode, receipt.size, receipt.seed, receipt.score, receipt.date, receipt.verified_at],
+      rules = receipt.rules === undefined? null : receipt.rules;
+
+  if(receipt.game !== undefined) { fields.push(rules, receipt.game) }
+  else if(rules !== null) { fields.push(rules) }
+  return JSON.stringify(fields)
+}
+
+
+// Returns the signature of a receipt, in hex.
+function signReceipt( receipt, secret
+){ return crypto.createHmac('sha256', secret).update(receiptText(receipt)).digest('hex') }
+
+
+/* **************************************************
+// Checks that a receipt was signed with the given
+// secret, and hasn't been changed since. Returns
+// true iff it was.
+// ************************************************** */
+function checkReceipt( receipt, secret
+){
+  if(receipt === null || typeof receipt !== "object" || typeof receipt.signature !== "string" || !/^[0-9a-f]{64}$/.test(receipt.signature))
+  { return false }
+
+  return crypto.timingSafeEqual(Buffer.from(signReceipt(receipt, secret), 'hex'), Buffer.from(receipt.signature, 'hex'))
+}
+
+
+/* ******************************************************************************************************** */
+// Requests.
+
+
+// Answers a request with a JSON body. The page may be served from anywhere, so any origin can read the answer.
+function sendJSON( response, status, body
+){
+  response.writeHead(status, { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*" })
+  response.end(JSON.stringify(body))
+}
+
+
+/* **************************************************
+// Handles a request to the server. Only POST /verify
+// (and the browser's preflight for it) is answered.
+// ************************************************** */
+function handleRequest( rules, variants, secret, request, response
+){
+  if(request.method === "OPTIONS")
+  {
+    response.writeHead(204, { "Access-Control-Allow-Origin": "*", "Access-Control-Allow-Methods": "POST", "Access-Control-Allow-Headers": "Content-Type" })
+    response.end()
+    return
+  }
+  if(request.method !== "POST" || request.url !== "/verify") { sendJSON(response, 404, { error: "Not found." }); return }
+
+  let chunks = [], length = 0
+  request.on('data', chunk => {
+    length += chunk.length
+    if(length > max_claim) { sendJSON(response, 413, { error: "The claim is too big." }); request.destroy(); return }
+    chunks.push(chunk)
+  })
+  request.on('end', () => {
+    if(length > max_claim) { return }
+
+    let claim = null
+    try { claim = JSON.parse(Buffer.concat(chunks).toString('utf8')) } catch(e) { sendJSON(response, 400, { error: "The claim isn't JSON." }); return }
+
+    let problem = checkClaim(rules, variants, claim)
+    if(problem !== null) { console.log("Refused " + String(claim && claim.mode) + " game: " + problem); sendJSON(response, 400, { error: problem }); return }
+
+    let receipt = { mode: claim.mode, size: claim.size, seed: claim.seed, score: claim.score, date: claim.mode === "daily"? claim.date : null
+                  , rules: claim.rules === undefined? null : claim.rules, game: gameDigest(claim), verified_at: Date.now() }
+    receipt.signature = signReceipt(receipt, secret)
+
+    console.log("Verified " + claim.mode + " game" + (receipt.rules === null? "" : " (" + receipt.rules + ")") + ": "
+                + claim.score.toString() + " in " + claim.moves.length.toString() + " moves")
+    sendJSON(response, 200, { receipt: receipt })
+  })
+}
+
+
+function main(
+){
+  let options = parseOptions(process.argv.slice(2)),
+      port = parseInt(options.port),
+      secret = process.env.ARROW_GAME_SECRET;
+
+  if(!(port >= 0 && port < 65536)) { throw new Error("--port must be a number.") }
+  if(secret === undefined || secret.length < 16) { throw new Error("Set ARROW_GAME_SECRET to a secret of at least 16 characters.") }
+
+  let rules = loadRules(),
+      variants = loadVariants(rules),
+      server = http.createServer((request, response) => handleRequest(rules, variants, secret, request, response));
+
+  server.listen(port, options.host, () => {
+    console.log("Verifying scores at http://localhost:" + server.address().port.toString() + "/verify")
+    if(variants.size > 0) { console.log("Variants: " + [...variants.keys()].join(", ")) }
+  })
+}
+
+
+if(require.main === module)
+{
+  try { main() }
+  catch(e) { console.error(e.message); process.exit(1) }
+}
+else { module.exports = { checkReceipt, signReceipt, gameDigest, checkClaim, loadRules, loadVariants } }
@@ -0,0 +1,127 @@
+/* ***********************************************************************************************
+// This file contains the variants of The Arrow Game: games played by other rules.
+//
+// A variant is a rule set (see the Rule sets section of rules.js) with different actions, scores
+// or tiers of arrows, e.g. combines at other distances, a steeper scoring curve, or more swaps for
+// a cancel. The variants are JSON files in the variants directory, listed by variants/index.json
+// (a list of file names, as with the levels). A variant only needs the parts of the rules that it
+// changes. The rest are taken from the default rule set (see completeRuleSet).
+//
+// The rules picker under the grid starts a new game by a variant (see startRulesGame). Each
+// variant keeps its own high scores (see highScoreKey), and the rule set of a game goes into its
+// save and move log, so that it's resumed and replayed by the same rules. Daily challenges,
+// puzzle levels and races are always played by the default rules (see loadNewGame).
+//
+// Like the levels, the variants only load when the page is served over http. Until they do, the
+// picker only has the default rules.
+//
+// *********************************************************************************************** */
+
+// Variant fields.
+let variants = null, // The rule sets from variants/index.json, once they're loaded. See loadVariants.
+    variants_problem = null; // Why the variants couldn't be loaded, if they couldn't.
+
+const variants_path = 'variants/';
+
+
+/* **************************************************
+// Fetches every variant listed in variants/index.json,
+// once. Variants that fail validateRuleSet are left
+// out, with a warning, and so are variants whose id
+// is taken. Returns the variants, or null (with
+// variants_problem set) if they couldn't be loaded.
+// ************************************************** */
+async function loadVariants(
+){
+  if(variants !== null) { return variants }
+
+  let fetchJSON = async file => {
+    let response = await fetch(variants_path + file)
+    if(!response.ok) { throw new Error(file + ": " + response.status.toString() + " " + response.statusText) }
+    return response.json()
+  }
+
+  try
+  {
+    let files = await fetchJSON('index.json'),
+        loaded = [];
+    if(!Array.isArray(files)) { throw new Error("index.json isn't a list of variant files.") }
+
+    for(let file of files)
+    {
+      let rules = completeRuleSet(await fetchJSON(file)),
+          problems = validateRuleSet(rules);
+
+      if(problems.length > 0) { console.warn("Skipped the variant in " + file + ":", problems) }
+      else if(rules.id === default_rule_set.id || loaded.some(other => other.id === rules.id)) { console.warn("Skipped the variant in " + file + ": its id is taken.") }
+      else { loaded.push(rules) }
+    }
+
+    variants = loaded
+    variants_problem = null
+  }
+  catch(e)
+  {
+    console.warn("The variants couldn't be loaded:", e)
+    variants_problem = "The variants couldn't be loaded. They only load when the game is served over http."
+  }
+  return variants
+}
+
+
+// Returns the rule set of the current game as it goes into saves and move logs: null for the default rule set, so that those look as they always have.
+function loggedRuleSet(
+){ return rule_set === default_rule_set? null : rule_set }
+
+
+// Plays by the given rule set (null for the default one) from now on, and shows it in the rules picker. The rule set has to pass validateRuleSet.
+function setRuleSet( rules
+){
+  useRuleSet(rules === null? default_rule_set : rules)
+  updateRulesSelect()
+}
+
+
+/* **************************************************
+// Fills the rules picker with the default rule set
+// and the variants, and shows the rule set of the
+// current game in it. A rule set that isn't one of
+// them (e.g. from a save made with a variant that's
+// since been removed) gets an option of its own.
+// ************************************************** */
+function updateRulesSelect(
+){
+  let select = document.getElementById('rules-select'),
+      choices = [default_rule_set].concat(variants === null? [] : variants);
+
+  if(!choices.some(rules => rules.id === rule_set.id)) { choices.push(rule_set) }
+
+  select.replaceChildren(...choices.map(rules => {
+    let option = document.createElement('option')
+    option.value = rules.id
+    option.textContent = rules.name
+    option.title = rules.description === undefined? "" : rules.description
+    return option
+  }))
+  select.value = rule_set.id
+}
+
+
+/* *****************************************************
+// Starts a new game by the rule set with the given id.
+// Prompts the user to confirm. Handles the rules
+// picker.
+// ***************************************************** */
+function startRulesGame( id
+                       , bypass_confirmation = false
+){
+  let rules = [default_rule_set, rule_set].concat(variants === null? [] : variants).find(rules => rules.id === id)
+
+  if(rules === undefined || replaying || (!bypass_confirmation && !window.confirm("Click ok to start a new game by the " + rules.name + " rules")))
+  { updateRulesSelect(); return false }
+
+  clearSavedGame()
+  setRuleSet(rules)
+  loadNewGame(newSeed(), followingMode())
+  return true
+}
@@ -0,0 +1,78 @@
+/* ***********************************************************************************************
+// This file contains the score verification of The Arrow Game, which checks scores against the
+// verification server in tools/verify-server.js.
+//
+// Verification is off until the user gives the page the address of a server (see
+// setVerifyServer). From then on, the move log of every game that ends is sent to the server,
+// which plays it again and signs the score if it adds up. endGameMenu in main.js only counts the
+// score as a high score (or daily best) once it's signed, and keeps the signed receipt of each
+// high score beside it. Scores that can't be verified are still shown, and still go into the game
+// history, but don't count.
+//
+// Games without a move log (races, see race.js) can't be verified. Neither can games that the
+// server doesn't know the mode of. Games played by a variant (see variants.js) are only sent with
+// the id of their rules, and the server plays them by its own copy of the variant, so it only
+// verifies the variants that it has, as they are in its variants directory.
+//
+// *********************************************************************************************** */
+
+const verify_server_key = 'verify_server', // Local storage key of the address of the server, if verification is on.
+      verify_timeout = 5000; // ms to wait for the server before giving up on it.
+
+
+// Returns the address of the verification server, or null if scores aren't verified.
+function verifyServer(
+){ return window.localStorage.getItem(verify_server_key) }
+
+
+/* **************************************************
+// Asks for the address of a verification server, and
+// verifies scores with it from then on. An empty
+// address turns verification off. Handles the Verify
+// button.
+// ************************************************** */
+function setVerifyServer(
+){
+  let address = window.prompt("Score verification server (leave empty to stop verifying scores):", verifyServer() || "http://localhost:8081")
+  if(address === null) { return false }
+
+  address = address.trim().replace(/\/+$/, "")
+  if(address === "") { window.localStorage.removeItem(verify_server_key); announce("Scores are no longer verified."); return true }
+
+  try { new URL(address) } catch(e) { window.alert("This isn't a server address: " + address); return false }
+  window.localStorage.setItem(verify_server_key, address)
+  announce("Scores are verified by " + address + " from now on.")
+  return true
+}
+
+
+/* **************************************************
+// Sends the move log of the game that just ended to
+// the verification server. Returns a promise of
+// { counted, receipt, note }, where counted is true
+// iff the score counts as a high score, receipt is
+// the server's signed receipt (or null), and note
+// says how the check went. The promise is never
+// rejected. Scores are counted without a receipt
+// when verification is off.
+// ************************************************** */
+function verifyFinalScore(
+){
+  let server = verifyServer()
+  if(server === null) { return Promise.resolve({ counted: true, receipt: null, note: "" }) }
+  if(move_log === null) { return Promise.resolve({ counted: false, receipt: null, note: "This game can't be verified, so it doesn't count as a high score." }) }
+
+  let claim = { mode: game_mode, size: grid_size, seed: move_log.seed, moves: move_log.moves.slice(), score: board.score }
+  if(game_mode === "daily") { claim.date = daily_date }
+  if(rule_set !== default_rule_set) { claim.rules = rule_set.id }
+
+  let controller = new AbortController(),
+      timer = setTimeout(() => controller.abort(), verify_timeout);
+
+  return fetch(server + "/verify", { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(claim), signal: controller.signal })
+    .then(response => response.json().then(body =>
+      response.ok && body.receipt !== undefined? { counted: true, receipt: body.receipt, note: "Verified." }
+      : { counted: false, receipt: null, note: "Not verified: " + (body.error || "the server refused it.") + " It doesn't count as a high score." }))
+    .catch(() => ({ counted: false, receipt: null, note: "The verification server couldn't be reached, so this score doesn't count as a high score." }))
+    .finally(() => clearTimeout(timer))
+}
@@ -0,0 +1,181 @@
+/* ***********************************************************************************************
+// This file contains the versus mode of The Arrow Game, where two players take turns on a board
+// each, on the same device (hot-seat).
+//
+// Both boards start from the same seed, so they're fed the same sequence of arrows, and both
+// players play the same arrows (swaps aside). A turn is any number of grid actions and swaps,
+// followed by a drop, which passes the turn to the other player. The page's grid always shows the
+// board whose turn it is, and the other player's board is drawn beside it (see drawVersusBoard).
+//
+// Each board has its own score, swaps and arrows in the air (see board in main.js), and each
+// player's grid, next arrows and generator are kept in a snapshot (see takeSnapshot) while it's
+// the other player's turn. The game ends as soon as either board is stuck (see endGameCheck), and
+// the player with the higher score wins. The results screen shows both boards' scores, in place
+// of the single-player game over screen.
+//
+// Undo is off in versus games, since a move can't be taken back once the other player has seen
+// it. Versus games aren't saved, and aren't kept in the game history.
+//
+// *********************************************************************************************** */
+
+// Versus fields.
+let versus_players = null, // The two players of a versus game, as { name, board, snapshot }, or null in the other modes.
+    versus_turn = 0; // The index of the player whose turn it is. The other player's game is in their snapshot.
+
+const versus_names = [ "Player 1", "Player 2" ];
+
+
+/* **************************************************
+// Sets up the two players of a new versus game. The
+// game that loadNewGame just started is the first
+// player's, and the second player's is a copy of it
+// with a board of its own.
+// ************************************************** */
+function startVersus(
+){
+  versus_players = versus_names.map(name => ({ name: name, board: null, snapshot: null }))
+  versus_players[0].board = board
+  versus_players[1].board = newBoard()
+  versus_players[1].snapshot = takeSnapshot()
+  versus_turn = 0
+
+  document.getElementById('versus-board').style.display = 'block'
+  drawVersusBoard()
+}
+
+
+// Ends the versus game, if there is one, and hides the other player's board. Used when a new game replaces it.
+function leaveVersus(
+){
+  if(versus_players === null) { return }
+
+  versus_players = null
+  versus_turn = 0
+  document.getElementById('versus-board').style.display = 'none'
+}
+
+
+/* **************************************************
+// Passes the turn to the other player: puts the
+// current player's game aside, and puts the other
+// player's game on the grid. Called after every drop
+// in a versus game.
+// ************************************************** */
+function passTurn(
+){
+  if(versus_players === null || replaying || game_over) { return false }
+
+  // Arrows in the air and hints belong to the cells of the current player's board.
+  settleFalls()
+  clearHint()
+  versus_players[versus_turn].snapshot = takeSnapshot()
+
+  versus_turn = 1 - versus_turn
+  board = versus_players[versus_turn].board
+  restoreSnapshot(versus_players[versus_turn].snapshot)
+  versus_players[versus_turn].snapshot = null
+
+  updateSeedLabel()
+  drawVersusBoard()
+  announce(versus_players[versus_turn].name + "'s turn. Score: " + board.score.toString() + ".")
+
+  // The other player's board may be stuck, now that it's up.
+  endGameCheck()
+  return true
+}
+
+
+// Returns the name of the player whose turn it is, e.g. "Player 1". See updateSeedLabel in main.js.
+function versusTurnName(
+){ return versus_players[versus_turn].name }
+
+
+/* **************************************************
+// Draws the board of the player who's waiting for
+// their turn: its score, swaps, next arrows and grid.
+// ************************************************** */
+function drawVersusBoard(
+){
+  let waiting = versus_players[1 - versus_turn],
+      snapshot = waiting.snapshot,
+      next_arrows = document.getElementById('versus-board-next');
+
+  document.getElementById('versus-board-name').textContent = waiting.name + " (waiting)"
+  document.getElementById('versus-board-details').textContent = "Score: " + waiting.board.score.toString() + ", Swaps: " + waiting.board.spins_remaining.toString()
+
+  next_arrows.replaceChildren()
+  for(let content of [snapshot.next_arrow, snapshot.next_next_arrow])
+  {
+    let arrow = document.createElement('div')
+    arrow.className = "versus-board-arrow"
+    arrow.style.backgroundImage = arrow_path(content)
+    arrow.title = arrow_names[content]
+    next_arrows.appendChild(arrow)
+  }
+
+  document.getElementById('versus-board-grid').replaceChildren(slotThumbnail({ size: grid_size, grid: snapshot.grid }))
+}
+
+
+/* **************************************************
+// Hides the game, and shows the results screen with
+// both players' scores and the winner. Takes the
+// place of endGameMenu in versus games.
+// ************************************************** */
+function versusResults(
+){
+  let stuck = versus_players[versus_turn],
+      [first, second] = versus_players,
+      winner = first.board.score === second.board.score? null : first.board.score > second.board.score? first : second,
+      outcome = winner === null? "It's a draw!" : winner.name + " wins!";
+
+  announce("Game over. " + stuck.name + "'s board is stuck. " + outcome)
+
+  document.getElementById('versus-winner').textContent = outcome
+  document.getElementById('versus-reason').textContent = stuck.name + "'s board is stuck."
+  document.getElementById('versus-scores').textContent = versus_players.map(player => player.name + ": " + player.board.score.toString()).join("  -  ")
+
+  let game_sub_container = document.getElementById('ag_sub_container'),
+      results_container = document.getElementById('versus-results'),
+      close_game = game_sub_container.animate(hide, 1500);
+
+  /* Fade out the game. */
+  close_game.finished.then( () => {
+    game_sub_container.style.display = 'none';
+    game_sub_container.style.opacity = '0';
+
+    results_container.style.display = 'block'
+    results_container.style.opacity = '0'
+
+    /* Fade in the results. */
+    let open_results = results_container.animate(show, 500);
+    open_results.finished.then( () => { results_container.style.opacity = '1' })
+  })
+}
+
+
+/* **************************************************
+// Handles the play again button of the results
+// screen. Starts a new versus game. See
+// hideEndGameMenu in main.js.
+// ************************************************** */
+function hideVersusResults(
+){
+  let game_sub_container = document.getElementById('ag_sub_container'),
+      results_container = document.getElementById('versus-results'),
+      close_results = results_container.animate(hide, 1500);
+
+  resetGame(true)
+  /* Fade out the results. */
+  close_results.finished.then( () => {
+    results_container.style.display = 'none';
+    results_container.style.opacity = '0';
+
+    game_sub_container.style.display = 'block'
+    game_sub_container.style.opacity = '0'
+
+    /* Fade in the game. */
+    let reopen_game = game_sub_container.animate(show, 500);
+    reopen_game.finished.then( () => { game_sub_container.style.opacity = '1' })
+  })
+}